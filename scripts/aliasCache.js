@@ -0,0 +1,69 @@
+/**
+ * Serve the creations of one cache key under another too, e.g. after spotting
+ * in the dev page that "canon" and "cannon" should share them. Only code
+ * references are copied (see src/codeHash.js); the alias gets fresh stats.
+ *
+ *   CACHE_URL=http://localhost:8789 CACHE_ADMIN_TOKEN=<token> npm run alias-cache -- canon cannon
+ *   FIREBASE_DB_URL=https://... FIREBASE_AUTH=<secret> npm run alias-cache -- canon cannon
+ */
+const [alias, key] = process.argv.slice(2);
+const restUrl = process.env.CACHE_URL || process.env.VITE_CACHE_URL;
+const firebaseUrl = process.env.FIREBASE_DB_URL || process.env.VITE_FIREBASE_DB_URL;
+const auth = process.env.FIREBASE_AUTH;
+const adminToken = process.env.CACHE_ADMIN_TOKEN;
+
+if (!alias || !key || alias === key) {
+  console.error('Usage: aliasCache.js <alias> <existing key>');
+  process.exit(1);
+}
+if (!restUrl && !firebaseUrl) {
+  console.error('Set FIREBASE_DB_URL or CACHE_URL');
+  process.exit(1);
+}
+if (restUrl && !adminToken) {
+  console.error('Set CACHE_ADMIN_TOKEN (same as the cache server\'s)');
+  process.exit(1);
+}
+
+async function request(url, method = 'GET', body, headers = {}) {
+  const res = await fetch(url, {
+    method,
+    headers,
+    ...(body !== undefined && {
+      body: JSON.stringify(body),
+      headers: { ...headers, 'Content-Type': 'application/json' },
+    }),
+  });
+  if (!res.ok) throw new Error(`${method} ${url} failed: ${res.status} ${await res.text()}`);
+  return res.json();
+}
+
+try {
+  if (restUrl) {
+    const { added } = await request(`${restUrl}/aliases/${encodeURIComponent(alias)}`, 'PUT', { key }, {
+      Authorization: `Bearer ${adminToken}`,
+    });
+    console.log(`${alias} → ${key}: ${added.length} variants added`);
+  } else {
+    // Firebase keys cannot contain . $ # [ ] / (same as src/storage/firebaseStore.js)
+    const encode = k => k.replace(/[.$#\[\]/]/g, '_');
+    const target = (k, rest = '') => `${firebaseUrl}/cache/${encode(k)}/variants${rest}.json${auth ? `?auth=${encodeURIComponent(auth)}` : ''}`;
+
+    const variants = (await request(target(key))) || {};
+    if (Object.keys(variants).length === 0) throw new Error(`No entry "${key}"`);
+    const existing = (await request(target(alias))) || {};
+    const hashes = new Set(Object.values(existing).map(v => v?.codeHash));
+    let added = 0;
+    for (const [id, variant] of Object.entries(variants)) {
+      // Variants with inline code need `npm run migrate-cache` first
+      if (!variant?.codeHash || hashes.has(variant.codeHash) || Object.hasOwn(existing, id)) continue;
+      const { stats, ...record } = variant;
+      await request(target(alias, `/${id}`), 'PUT', { ...record, aliasOf: key });
+      added++;
+    }
+    console.log(`${alias} → ${key}: ${added} variants added`);
+  }
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
@@ -0,0 +1,64 @@
+/**
+ * Export the live cache to a bundle file, or import a bundle into a backend
+ * (bundle format in src/storage/bundle.js).
+ *
+ *   FIREBASE_DB_URL=https://... npm run export-cache                    # → public/cache-bundle.json
+ *   CACHE_URL=http://localhost:8789 npm run export-cache -- --out cache.json
+ *   CACHE_URL=http://localhost:8789 npm run import-cache -- cache.json [--dry-run]
+ *
+ * The backend is FIREBASE_DB_URL, or CACHE_URL (REST cache server) if set.
+ * Exports written to public/ ship with the build, so the game serves them
+ * offline (see src/storage/bundleStore.js). Imported variants are submitted
+ * like new ones, so they go through review (see src/moderation.js).
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { createBundle, readBundle } from '../src/storage/bundle.js';
+import { createFirebaseStore } from '../src/storage/firebaseStore.js';
+import { createRestStore } from '../src/storage/restStore.js';
+import { toVariants } from '../src/cache.js';
+
+const DEFAULT_OUT = 'public/cache-bundle.json';
+
+const [command, ...args] = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const outIndex = args.indexOf('--out');
+const out = path.resolve(outIndex === -1 ? DEFAULT_OUT : args[outIndex + 1]);
+const file = args.find((a, i) => !a.startsWith('--') && (outIndex === -1 || i !== outIndex + 1));
+
+const restUrl = process.env.CACHE_URL || process.env.VITE_CACHE_URL;
+const firebaseUrl = process.env.FIREBASE_DB_URL || process.env.VITE_FIREBASE_DB_URL;
+if (!restUrl && !firebaseUrl) {
+  console.error('Set FIREBASE_DB_URL or CACHE_URL');
+  process.exit(1);
+}
+const store = restUrl ? createRestStore({ baseUrl: restUrl }) : createFirebaseStore({ url: firebaseUrl });
+const source = restUrl || firebaseUrl;
+
+if (command === 'export') {
+  const bundle = createBundle(await store.entries(), { source });
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify(bundle));
+  console.log(`${bundle.count} entries from ${source} → ${out}`);
+} else if (command === 'import' && file) {
+  const { entries, skipped, meta } = readBundle(JSON.parse(fs.readFileSync(file, 'utf8')));
+  console.log(`${Object.keys(entries).length} entries from ${meta.source || file} → ${source}${dryRun ? ' (dry run)' : ''}`);
+  for (const key of skipped) console.warn(`  ${key} skipped: hash mismatch`);
+
+  let failed = 0;
+  for (const [key, entry] of Object.entries(entries)) {
+    for (const { id, ...record } of toVariants(entry)) {
+      try {
+        if (!dryRun) await store.addVariant(key, id, record);
+        console.log(`  ${key}/${id} ✓`);
+      } catch (e) {
+        failed++;
+        console.error(`  ${key}/${id} failed: ${e.message}`);
+      }
+    }
+  }
+  if (failed > 0) process.exit(1);
+} else {
+  console.error('Usage: cacheBundle.js export [--out file] | import <file> [--dry-run]');
+  process.exit(1);
+}
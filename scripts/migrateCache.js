@@ -0,0 +1,115 @@
+/**
+ * Bring Firebase cache entries up to the current layout (see src/cache.js):
+ *   - legacy entries (bare code strings or single records) become variant sets
+ *   - code stored inline moves to code/<hash> (see src/codeHash.js), and the
+ *     variant keeps only its codeHash, so identical creations are stored once
+ *   - variants still referring to an old 64-bit FNV hash are re-keyed to the
+ *     SHA-256 one. code/<hash> is never overwritten; old blobs are left in place
+ *
+ *   FIREBASE_DB_URL=https://... FIREBASE_AUTH=<secret> npm run migrate-cache -- --dry-run
+ *   FIREBASE_DB_URL=https://... FIREBASE_AUTH=<secret> npm run migrate-cache
+ *
+ * Migrated legacy entries get a null prompt version, so they are served as
+ * legacy entries rather than as output of the current prompt.
+ */
+import { toRecord, toVariants } from '../src/cache.js';
+import { codeHash, isCodeHash } from '../src/codeHash.js';
+
+const firebaseUrl = process.env.FIREBASE_DB_URL || process.env.VITE_FIREBASE_DB_URL;
+const auth = process.env.FIREBASE_AUTH;
+const dryRun = process.argv.includes('--dry-run');
+
+if (!firebaseUrl) {
+  console.error('Set FIREBASE_DB_URL');
+  process.exit(1);
+}
+
+function request(target, method = 'GET', body) {
+  return fetch(`${firebaseUrl}/${target}.json${auth ? `?auth=${encodeURIComponent(auth)}` : ''}`, {
+    method,
+    ...(body !== undefined && {
+      body: JSON.stringify(body),
+      headers: { 'Content-Type': 'application/json' },
+    }),
+  });
+}
+
+// Stored code for a hash, or null. Throws if it can't tell, so nothing gets overwritten
+async function codeOf(hash) {
+  const got = await request(`code/${hash}`);
+  if (!got.ok) throw new Error(`Fetching code/${hash} failed: ${got.status}`);
+  return got.json();
+}
+
+const res = await request('cache');
+if (!res.ok) {
+  console.error(`Fetching cache failed: ${res.status} ${await res.text()}`);
+  process.exit(1);
+}
+const entries = (await res.json()) || {};
+
+// Keys come back already Firebase-encoded, so they can be written back as is
+const stale = Object.entries(entries).filter(([, entry]) => (
+  !entry?.variants || Object.values(entry.variants).some(v => (
+    typeof v === 'string' || typeof v?.code === 'string' || (v?.codeHash && !isCodeHash(v.codeHash))
+  ))
+));
+console.log(`${Object.keys(entries).length} entries, ${stale.length} to migrate${dryRun ? ' (dry run)' : ''}`);
+
+const codes = {};    // codeHash → code
+const migrated = {}; // fbKey → entry
+for (const [fbKey, entry] of stale) {
+  const variants = {};
+  const list = entry?.variants ? Object.entries(entry.variants) : toVariants(entry).map(({ id, ...r }) => [id, r]);
+  for (const [id, variant] of list) {
+    let record = toRecord(variant);
+    if (!record && variant?.codeHash && !isCodeHash(variant.codeHash)) {
+      const code = await codeOf(variant.codeHash);
+      if (typeof code === 'string') record = toRecord({ ...variant, code });
+    }
+    if (!record) {
+      // Already stored by reference (or unreadable): keep as is
+      variants[id] = variant;
+      continue;
+    }
+    const { code, ...rest } = record;
+    const hash = await codeHash(code);
+    codes[hash] = code;
+    variants[id] = { ...rest, codeHash: hash };
+  }
+  migrated[fbKey] = { variants };
+}
+const variantCount = Object.values(migrated).reduce((n, e) => n + Object.keys(e.variants).length, 0);
+console.log(`${variantCount} variants, ${Object.keys(codes).length} distinct code blobs`);
+
+if (dryRun) {
+  for (const [fbKey, entry] of stale) {
+    console.log(`  ${fbKey} (${entry?.variants ? 'inline code or old hashes' : typeof entry === 'string' ? 'code string' : 'record'})`);
+  }
+  process.exit(0);
+}
+
+// Code first: if writing an entry then fails, its old inline code is still there.
+// A blob that is already stored holds the same code (up to formatting): keep it
+let failed = 0;
+for (const [hash, code] of Object.entries(codes)) {
+  if ((await codeOf(hash)) !== null) continue;
+  const put = await request(`code/${hash}`, 'PUT', code);
+  if (!put.ok) {
+    failed++;
+    console.error(`  code/${hash} failed: ${put.status}`);
+  }
+}
+if (failed > 0) process.exit(1);
+
+for (const [fbKey, entry] of Object.entries(migrated)) {
+  const put = await request(`cache/${fbKey}`, 'PUT', entry);
+  if (put.ok) {
+    console.log(`  ${fbKey} ✓`);
+  } else {
+    failed++;
+    console.error(`  ${fbKey} failed: ${put.status}`);
+  }
+}
+
+if (failed > 0) process.exit(1);
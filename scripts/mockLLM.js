@@ -0,0 +1,170 @@
+/**
+ * Local mock LLM server for offline dev and CI (VITE_LLM_PROVIDER=mock).
+ * Speaks the same /generate and /normalize protocol as server/proxy.js.
+ *
+ *   npm run mock-llm                      # replay recordings, port 8787
+ *   npm run mock-llm -- --port=9000
+ *   GEMINI_API_KEY=... npm run mock-llm -- --record
+ *
+ * Each /generate request is keyed by a hash of its last user message and
+ * answered from mocks/llm/<hash>.json. Unrecorded requests get a curated
+ * object instead (matched by name, otherwise picked by the hash), so every
+ * prompt has a deterministic answer. With --record, misses are forwarded to
+ * Gemini and the reply is saved for next time.
+ */
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CURATED_OBJECTS, CURATED_KEYS } from '../src/curatedCache.js';
+import { createGeminiProvider } from '../src/llm/geminiProvider.js';
+import { fnv1a as hash } from '../src/hash.js';
+
+const RECORDINGS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../mocks/llm');
+const DEFAULT_PORT = 8787;
+const STREAM_CHUNK = 24;   // chars per streamed event
+const STREAM_DELAY = 20;   // ms between events, so live typing is visible offline
+
+const args = process.argv.slice(2);
+const portArg = args.find(a => a.startsWith('--port='));
+const port = portArg ? Number(portArg.split('=')[1]) : DEFAULT_PORT;
+const record = args.includes('--record');
+
+let upstream = null;
+if (record) {
+  const apiKey = process.env.GEMINI_API_KEY || process.env.VITE_GEMINI_API_KEY;
+  if (!apiKey) {
+    console.error('--record needs GEMINI_API_KEY');
+    process.exit(1);
+  }
+  upstream = createGeminiProvider({ apiKey });
+}
+
+function recordingPath(key) {
+  return path.join(RECORDINGS_DIR, `${key}.json`);
+}
+
+function readRecording(key) {
+  try {
+    return JSON.parse(fs.readFileSync(recordingPath(key), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeRecording(key, recording) {
+  fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+  fs.writeFileSync(recordingPath(key), JSON.stringify(recording, null, 2) + '\n');
+}
+
+function cleanName(text) {
+  return text.trim().toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ');
+}
+
+// Curated key named in the prompt, or a hash-picked one
+function curatedFor(prompt, key) {
+  const keys = Object.keys(CURATED_OBJECTS);
+  const name = cleanName(prompt);
+  const match = keys.find(k => name === k) || keys.find(k => name.includes(k));
+  return match || keys[parseInt(key, 16) % keys.length];
+}
+
+// Curated code as a structured response (see src/llm/objectSchema.js)
+function curatedJson(key) {
+  const code = CURATED_OBJECTS[key];
+  return JSON.stringify({
+    name: key,
+    description: `The curated ${key}.`,
+    refusalReason: null,
+    tags: ['curated'],
+    estimatedBodies: (code.match(/createBody/g) || []).length,
+    hasUpdate: /update\s*:/.test(code),
+    code,
+  });
+}
+
+async function handleGenerate({ messages }) {
+  const last = [...messages].reverse().find(m => m.role === 'user');
+  if (!last) throw new Error('No user message');
+  // Prefixed as when plain-code requests were recorded too, so old recordings still replay
+  const key = hash('json:' + last.text);
+
+  const recording = readRecording(key);
+  if (recording) {
+    console.log(`[replay] ${key}  ${last.text.slice(0, 60)}`);
+    return { text: recording.text, model: recording.model || 'mock' };
+  }
+
+  if (upstream) {
+    const { text, model } = await upstream.generateObject(messages);
+    writeRecording(key, { request: last.text, model, text });
+    console.log(`[record] ${key}  ${last.text.slice(0, 60)}`);
+    return { text, model };
+  }
+
+  // `Create: "<prompt>"` for new objects; repair requests fall through to the hash pick
+  const prompt = last.text.match(/^Create: "(.*)"$/s)?.[1] || '';
+  const curated = curatedFor(prompt, key);
+  console.log(`[curated:${curated}] ${key}  ${last.text.slice(0, 60)}`);
+  return { text: curatedJson(curated), model: `mock (curated ${curated})` };
+}
+
+function handleNormalize({ prompt }) {
+  const name = cleanName(prompt);
+  const match = CURATED_KEYS.find(k => name === k) || CURATED_KEYS.find(k => name.includes(k));
+  return { text: match || name.split(' ').slice(-2).join(' ') };
+}
+
+// Replay a finished response as server-sent events, like the proxy does
+async function streamText(res, { text, model }) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  for (let i = 0; i < text.length && !res.destroyed; i += STREAM_CHUNK) {
+    res.write(`data: ${JSON.stringify({ delta: text.slice(i, i + STREAM_CHUNK) })}\n\n`);
+    await new Promise(r => setTimeout(r, STREAM_DELAY));
+  }
+  res.end(`data: ${JSON.stringify({ done: true, truncated: false, model })}\n\n`);
+}
+
+const ROUTES = {
+  '/generate': handleGenerate,
+  '/normalize': handleNormalize,
+};
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204).end();
+    return;
+  }
+
+  const route = ROUTES[req.url];
+  if (req.method !== 'POST' || !route) {
+    res.writeHead(404).end('Not found');
+    return;
+  }
+
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', async () => {
+    try {
+      const request = JSON.parse(body);
+      const result = await route(request);
+      if (request.stream) {
+        await streamText(res, result);
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(result));
+      }
+    } catch (e) {
+      console.error(e);
+      // Same error shape as server/proxy.js
+      res.writeHead(500, { 'Content-Type': 'application/json' })
+        .end(JSON.stringify({ error: { code: 'mock_error', message: e.message } }));
+    }
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock LLM listening on http://localhost:${port}${record ? ' (recording)' : ''}`);
+  console.log(`Recordings: ${RECORDINGS_DIR}`);
+});
@@ -0,0 +1,111 @@
+/**
+ * Moderation pass over the Firebase cache (see src/moderation.js):
+ *   - pending/<key>/<id>: review each submitted variant in an isolated
+ *     process without this script's env (see server/review.js), then promote
+ *     it to cache/<key>/variants/<id> (its code stored once under code/<hash>,
+ *     which is never overwritten, see src/codeHash.js) or move it to
+ *     rejected/<key>/<id>, recording the outcome in safety/<key>. Submissions
+ *     whose code the key already serves are dropped
+ *   - crashes/<key>/<id>: quarantine served variants with too many runtime
+ *     crash reports, moving them to quarantine/<key>/<id>
+ *
+ *   FIREBASE_DB_URL=https://... FIREBASE_AUTH=<secret> npm run moderate -- --dry-run
+ *   FIREBASE_DB_URL=https://... FIREBASE_AUTH=<secret> npm run moderate
+ *
+ * Clients can't write to cache/ (see database.rules.json), so FIREBASE_AUTH
+ * must be a database secret or an admin token. Run it on a schedule.
+ */
+import { shouldQuarantine } from '../src/moderation.js';
+import { codeHash } from '../src/codeHash.js';
+import { reviewSubmission } from '../server/review.js';
+
+const firebaseUrl = process.env.FIREBASE_DB_URL || process.env.VITE_FIREBASE_DB_URL;
+const auth = process.env.FIREBASE_AUTH;
+const dryRun = process.argv.includes('--dry-run');
+
+if (!firebaseUrl) {
+  console.error('Set FIREBASE_DB_URL');
+  process.exit(1);
+}
+
+// Paths come back already Firebase-encoded, so they can be used as is
+async function request(target, method = 'GET', body) {
+  const res = await fetch(`${firebaseUrl}/${target}.json${auth ? `?auth=${encodeURIComponent(auth)}` : ''}`, {
+    method,
+    ...(body !== undefined && {
+      body: JSON.stringify(body),
+      headers: { 'Content-Type': 'application/json' },
+    }),
+  });
+  if (!res.ok) throw new Error(`${method} ${target} failed: ${res.status} ${await res.text()}`);
+  return res.json();
+}
+
+// Runs one write unless this is a dry run
+function write(target, method, body) {
+  return dryRun ? null : request(target, method, body);
+}
+
+// code/<hash> is write-once: a blob already stored there holds the same code
+// (up to formatting, see src/codeHash.js), and replacing it would change what
+// every variant referring to it runs
+async function storeCode(hash, code) {
+  if ((await request(`code/${hash}`)) !== null) return;
+  await write(`code/${hash}`, 'PUT', code);
+}
+
+let failed = 0;
+
+// --- Pending submissions ---
+const pending = (await request('pending')) || {};
+for (const [fbKey, submissions] of Object.entries(pending)) {
+  const served = (await request(`cache/${fbKey}/variants`)) || {};
+  const servedHashes = new Set(Object.values(served).map(v => v?.codeHash).filter(Boolean));
+  for (const [id, record] of Object.entries(submissions || {})) {
+    try {
+      const hash = typeof record?.code === 'string' ? await codeHash(record.code) : null;
+      const result = hash && servedHashes.has(hash) ? null : await reviewSubmission(record?.code);
+      if (result) await write(`safety/${fbKey}`, 'PUT', { ok: result.ok, reason: result.reason, checkedAt: Date.now() });
+      if (!result) {
+        console.log(`  ${fbKey}/${id} → duplicate`);
+      } else if (result.ok) {
+        const { code, ...rest } = record;
+        await storeCode(hash, code);
+        await write(`cache/${fbKey}/variants/${id}`, 'PUT', { ...rest, codeHash: hash });
+        servedHashes.add(hash);
+        console.log(`  ${fbKey}/${id} → live`);
+      } else {
+        await write(`rejected/${fbKey}/${id}`, 'PUT', {
+          ...record, reason: result.reason, simulation: result.simulation, reviewedAt: Date.now(),
+        });
+        console.log(`  ${fbKey}/${id} → rejected: ${result.reason}`);
+      }
+      await write(`pending/${fbKey}/${id}`, 'DELETE');
+    } catch (e) {
+      failed++;
+      console.error(`  ${fbKey}/${id} failed: ${e.message}`);
+    }
+  }
+}
+
+// --- Crash reports ---
+const crashes = (await request('crashes')) || {};
+for (const [fbKey, byVariant] of Object.entries(crashes)) {
+  for (const [id, reports] of Object.entries(byVariant || {})) {
+    try {
+      const count = Object.keys(reports || {}).length;
+      const variant = await request(`cache/${fbKey}/variants/${id}`);
+      // Already quarantined (or removed): nothing to do
+      if (!variant || !shouldQuarantine(count, variant.stats?.runs || 0)) continue;
+      await write(`quarantine/${fbKey}/${id}`, 'PUT', { ...variant, crashes: count, quarantinedAt: Date.now() });
+      await write(`cache/${fbKey}/variants/${id}`, 'DELETE');
+      console.log(`  ${fbKey}/${id} → quarantined (${count} crash reports in ${variant.stats?.runs || 0} runs)`);
+    } catch (e) {
+      failed++;
+      console.error(`  ${fbKey}/${id} failed: ${e.message}`);
+    }
+  }
+}
+
+if (dryRun) console.log('(dry run, nothing written)');
+if (failed > 0) process.exit(1);
@@ -0,0 +1,177 @@
+/**
+ * Lint of the curated manifest (src/curated/manifest.js) and headless check
+ * of every curated object (see src/headless.js).
+ *
+ *   npm run validate                  # all entries
+ *   npm run validate -- tank cannon   # only these keys
+ *   npm run validate -- --frames=900  # simulate longer
+ *   npm run validate -- --seed=7      # different (but repeatable) Math.random
+ *
+ * Fails (exit code 1) on manifest problems (missing fields or files, bad or
+ * clashing keys and aliases, code failing safety analysis), exceptions, NaN
+ * positions, entries that create no bodies, or entries missing the behaviour
+ * in their `expect` block. Those expectations are tuned for 10 seconds, so a
+ * shorter --frames skips them.
+ */
+import fs from 'node:fs';
+import { CURATED_MANIFEST, CURATED_OBJECTS, curatedFile } from '../src/curatedCache.js';
+import { analyzeCode, formatReport } from '../src/codeAnalyzer.js';
+import { simulateCode } from '../src/headless.js';
+import { SCALE } from '../src/constants.js';
+import { EYE_MIN_RADIUS } from '../src/combat/combatConstants.js';
+
+// A typical 1440×800 desktop viewport, in meters
+const W = 1440 / SCALE;
+const H = 800 / SCALE;
+
+// The Crash comes in from the left; put the stub eye where it usually sits
+const EYE = { x: W * 0.15, y: H * 0.6, radius: EYE_MIN_RADIUS };
+
+const args = process.argv.slice(2);
+const framesArg = args.find(a => a.startsWith('--frames='));
+const EXPECT_FRAMES = 600; // expect blocks describe the first 10 seconds
+const frames = framesArg ? Number(framesArg.split('=')[1]) : EXPECT_FRAMES;
+const checkExpect = frames >= EXPECT_FRAMES;
+const seedArg = args.find(a => a.startsWith('--seed='));
+const seed = seedArg ? Number(seedArg.split('=')[1]) : 1;
+const keys = args.filter(a => !a.startsWith('--'));
+
+const unknown = keys.filter(k => !(k in CURATED_OBJECTS));
+if (unknown.length > 0) {
+  console.error(`Unknown curated keys: ${unknown.join(', ')}`);
+  process.exit(1);
+}
+
+// --- Manifest lint ---
+const KEY_PATTERN = /^[a-z0-9]+( [a-z0-9]+)?$/; // what normalizePrompt produces
+const TEXT_FIELDS = ['author', 'description', 'behaviour'];
+const EXPECT_FIELDS = {
+  firesWithin: v => typeof v === 'number' && v > 0 && v * 60 <= EXPECT_FRAMES,
+  minHits: v => Number.isInteger(v) && v > 0,
+  staysOnScreen: v => typeof v === 'boolean',
+  maxBodies: v => Number.isInteger(v) && v > 0,
+};
+
+// --- Behaviour expectations ---
+function checkBehaviour(expect, report) {
+  const problems = [];
+  const { firesWithin, minHits, staysOnScreen, maxBodies } = expect;
+  if (firesWithin !== undefined) {
+    const at = report.firstSpawnFrame;
+    if (at === null || at > firesWithin * 60) {
+      problems.push(`expected to fire within ${firesWithin}s, ${at === null ? 'never fired' : `first fired at ${(at / 60).toFixed(2)}s`}`);
+    }
+  }
+  if (minHits !== undefined && report.eyeHits < minHits) {
+    problems.push(`expected at least ${minHits} hits on the eye, got ${report.eyeHits}`);
+  }
+  if (staysOnScreen && report.spawnEscaped > 0) {
+    problems.push(`${report.spawnEscaped} of its own bodies left the screen`);
+  }
+  if (maxBodies !== undefined && report.peakBodies > maxBodies) {
+    problems.push(`expected at most ${maxBodies} bodies alive, peaked at ${report.peakBodies}`);
+  }
+  return problems;
+}
+
+function lintManifest() {
+  const problems = new Map(); // key → problems
+  const add = (key, problem) => problems.set(key, [...(problems.get(key) || []), problem]);
+  const names = new Map();    // key or alias → key it belongs to
+
+  for (const entry of CURATED_MANIFEST) {
+    const { key, aliases, tags } = entry;
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      add(String(key), 'key must be 1-2 lowercase words');
+      continue;
+    }
+    for (const field of TEXT_FIELDS) {
+      if (typeof entry[field] !== 'string' || !entry[field].trim()) add(key, `missing ${field}`);
+    }
+    if (!Array.isArray(tags) || tags.length === 0) add(key, 'missing tags');
+    if (!Array.isArray(aliases)) add(key, 'aliases must be a list');
+    if (entry.expect !== undefined) {
+      for (const [field, value] of Object.entries(entry.expect ?? {})) {
+        if (!EXPECT_FIELDS[field]) add(key, `unknown expect field "${field}"`);
+        else if (!EXPECT_FIELDS[field](value)) add(key, `bad expect.${field}: ${JSON.stringify(value)}`);
+      }
+    }
+
+    for (const name of [key, ...(Array.isArray(aliases) ? aliases : [])]) {
+      if (typeof name !== 'string' || !KEY_PATTERN.test(name)) add(key, `bad alias "${name}"`);
+      else if (names.has(name)) add(key, `"${name}" is also used by "${names.get(name)}"`);
+      else names.set(name, key);
+    }
+
+    const code = CURATED_OBJECTS[key];
+    if (code === undefined) {
+      add(key, `missing src/curated/${curatedFile(key).slice(2)}`);
+    } else {
+      const analysis = analyzeCode(code);
+      if (!analysis.ok) add(key, formatReport(analysis));
+    }
+  }
+
+  const listed = new Set(CURATED_MANIFEST.map(e => curatedFile(e.key)));
+  for (const name of fs.readdirSync(new URL('../src/curated/objects/', import.meta.url))) {
+    if (!listed.has(`./objects/${name}`)) add('manifest', `src/curated/objects/${name} is not in the manifest`);
+  }
+  return [...problems].map(([key, list]) => ({ key, problems: list }));
+}
+
+// Objects randomise spread, timing and particles; a seeded Math.random keeps
+// hit counts repeatable from run to run (same LCG as crashRenderer.js)
+function seededRandom(start) {
+  let state = start;
+  return () => {
+    state = (state * 1664525 + 1013904223) & 0x7fffffff;
+    return state / 0x7fffffff;
+  };
+}
+const random = Math.random;
+
+// Generated code may log freely; keep the report readable
+const log = console.log;
+console.log = console.warn = () => {};
+
+const manifest = Object.fromEntries(CURATED_MANIFEST.map(entry => [entry.key, entry]));
+const failures = lintManifest();
+const linted = CURATED_MANIFEST.length - failures.filter(f => f.key !== 'manifest').length;
+const rows = [];
+for (const key of keys.length > 0 ? keys : Object.keys(CURATED_OBJECTS)) {
+  Math.random = seededRandom(seed);
+  const report = simulateCode(CURATED_OBJECTS[key], {
+    W, H, target: { x: EYE.x, y: EYE.y }, eye: EYE, frames,
+  });
+  Math.random = random;
+
+  const problems = report.exceptions.map(e => `frame ${e.frame}: ${e.message}`);
+  if (report.nanPositions > 0) problems.push(`${report.nanPositions} NaN position(s)`);
+  if (report.bodiesCreated === 0) problems.push('created no bodies');
+  if (checkExpect && manifest[key].expect) problems.push(...checkBehaviour(manifest[key].expect, report));
+  if (problems.length > 0) failures.push({ key, problems });
+
+  rows.push({
+    key,
+    status: problems.length > 0 ? 'FAIL' : 'ok',
+    bodies: report.bodiesCreated,
+    escaped: report.escaped,
+    maxVel: report.maxVelocity.toFixed(1),
+    fired: report.firstSpawnFrame === null ? '-' : `${(report.firstSpawnFrame / 60).toFixed(2)}s`,
+    peak: report.peakBodies,
+    hits: report.eyeHits,
+    damage: report.damage.toFixed(2),
+  });
+}
+
+console.log = log;
+console.table(rows);
+
+for (const { key, problems } of failures) {
+  console.error(`\n✗ ${key}`);
+  for (const p of problems) console.error(`    ${p}`);
+}
+const simFailures = rows.filter(r => r.status === 'FAIL').length;
+console.log(`\n${linted}/${CURATED_MANIFEST.length} manifest entries passed the lint`);
+console.log(`${rows.length - simFailures}/${rows.length} curated objects passed (${frames} frames each${checkExpect ? '' : ', expectations skipped'})`);
+process.exit(failures.length > 0 ? 1 : 0);
@@ -0,0 +1,332 @@
+/**
+ * Small local cache server implementing the REST storage tier
+ * (see src/storage/restStore.js). Entries live in one JSON file.
+ *
+ * Submitted variants are reviewed as they arrive (src/moderation.js
+ * checkSubmission, run isolated by server/review.js) and either promoted to
+ * the served cache or rejected; served variants that keep crashing clients
+ * are quarantined. Crash reports are rate-limited per address and count once
+ * per reporting address, so a single client can't quarantine a variant.
+ *
+ * Code is stored once per codeHash (src/codeHash.js); variants refer to it
+ * and get it filled back in when read.
+ *
+ *   npm run cache-server                 # then VITE_CACHE_URL=http://localhost:8789
+ *
+ * Aliases, safety reports and the moderation queues are for maintainers:
+ * those routes need `Authorization: Bearer <CACHE_ADMIN_TOKEN>` and are off
+ * without a token.
+ *
+ * Configuration (env):
+ *   PORT (8789), ALLOWED_ORIGIN ('*'), CACHE_FILE (data/cache.json), CACHE_ADMIN_TOKEN,
+ *   TRUST_PROXY (1 = use X-Forwarded-For), CRASH_REPORTS_PER_MINUTE (10 per address)
+ */
+import http from 'node:http';
+import fs from 'node:fs';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import path from 'node:path';
+import { shouldQuarantine, STAT_STEPS } from '../src/moderation.js';
+import { codeHash, isCodeHash } from '../src/codeHash.js';
+import { withCode } from '../src/storage/variants.js';
+import { reviewSubmission } from './review.js';
+import { createRateLimiter, clientIp } from './rateLimit.js';
+
+const env = process.env;
+const PORT = Number(env.PORT) || 8789;
+const ALLOWED_ORIGIN = env.ALLOWED_ORIGIN || '*';
+const CACHE_FILE = path.resolve(env.CACHE_FILE || 'data/cache.json');
+const ADMIN_TOKEN = env.CACHE_ADMIN_TOKEN || '';
+const TRUST_PROXY = env.TRUST_PROXY === '1';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const crashReportsPerIp = createRateLimiter({ limit: Number(env.CRASH_REPORTS_PER_MINUTE) || 10 });
+
+// --- Storage ---
+function load() {
+  try {
+    return JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+// cache: served entries; code: codeHash → code; pending/rejected/quarantine: key → { id → record };
+// crashes: key → { id → report[] }; reports: key → latest review { ok, reason, checkedAt }
+const db = { cache: {}, code: {}, reports: {}, pending: {}, rejected: {}, quarantine: {}, crashes: {}, ...load() };
+
+function save() {
+  fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+  fs.writeFileSync(CACHE_FILE, JSON.stringify(db, null, 2));
+}
+
+// Errors carrying an HTTP status and a code for the client
+function serverError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+// --- Routes ---
+// An older single-code entry becomes variant "v0" (same as src/storage/variants.js)
+function variantsOf(key) {
+  const entry = Object.hasOwn(db.cache, key) ? db.cache[key] : null;
+  if (entry?.variants) return entry.variants;
+  db.cache[key] = { variants: entry ? { v0: entry } : {} };
+  return db.cache[key].variants;
+}
+
+// --- Code by hash ---
+// Store a record's code under its hash (codeHash of the code); the stored
+// record refers to it. Stored code is never replaced, since anything already
+// under that hash is the same code up to formatting
+function byReference(record, hash) {
+  const { code, ...rest } = record;
+  if (!Object.hasOwn(db.code, hash)) db.code[hash] = code;
+  return { ...rest, codeHash: hash };
+}
+
+// Served entries are stored by reference; older files still have the code
+// inline, or refer to it by a pre-SHA-256 hash
+async function storeCodeByHash() {
+  let moved = 0;
+  for (const key of Object.keys(db.cache)) {
+    const variants = variantsOf(key);
+    for (const [id, variant] of Object.entries(variants)) {
+      let record = typeof variant === 'string' ? { code: variant } : variant;
+      if (record?.codeHash && !isCodeHash(record.codeHash) && Object.hasOwn(db.code, record.codeHash)) {
+        record = { ...record, code: db.code[record.codeHash] };
+      }
+      if (typeof record?.code !== 'string') continue;
+      variants[id] = byReference(record, await codeHash(record.code));
+      moved++;
+    }
+  }
+  if (moved > 0) {
+    save();
+    console.log(`Moved the code of ${moved} variants to the code store`);
+  }
+}
+
+function inlined(key) {
+  return withCode(db.cache[key], db.code);
+}
+
+function findVariantByHash(key, hash) {
+  if (!Object.hasOwn(db.cache, key)) return null;
+  return Object.entries(variantsOf(key)).find(([, v]) => v?.codeHash === hash)?.[0] ?? null;
+}
+
+// --- Moderation ---
+// pending, rejected and quarantine hold key → { id → record }
+function putIn(collection, key, id, record) {
+  collection[key] = { ...(Object.hasOwn(collection, key) && collection[key]), [id]: record };
+}
+
+function takeFrom(collection, key, id) {
+  const record = collection[key][id];
+  delete collection[key][id];
+  if (Object.keys(collection[key]).length === 0) delete collection[key];
+  return record;
+}
+
+// Queue a submitted variant, review it, then promote or reject it.
+// The review runs in its own process, so other requests are served meanwhile
+async function submitVariant(key, id, record) {
+  if (typeof record?.code !== 'string') throw serverError(400, 'bad_request', 'Variant must be a record with code');
+  const hash = await codeHash(record.code);
+  if ((Object.hasOwn(db.cache, key) && Object.hasOwn(variantsOf(key), id))
+    || (Object.hasOwn(db.pending, key) && Object.hasOwn(db.pending[key], id))) {
+    throw serverError(409, 'conflict', `Variant "${key}/${id}" already exists`);
+  }
+  // The same creation (up to formatting and names) is already served for this key
+  const existing = findVariantByHash(key, hash);
+  if (existing) return { status: 'duplicate', reason: null, variantId: existing };
+  // Reserves the id: a concurrent submission of it gets the 409 above
+  putIn(db.pending, key, id, record);
+
+  const result = await reviewSubmission(record.code);
+  db.reports[key] = { ok: result.ok, reason: result.reason, checkedAt: Date.now() };
+  // Another submission of the same code may have gone live during the review
+  const servedMeanwhile = result.ok && findVariantByHash(key, hash);
+  if (servedMeanwhile) {
+    takeFrom(db.pending, key, id);
+    save();
+    return { status: 'duplicate', reason: null, variantId: servedMeanwhile };
+  }
+  if (result.ok) {
+    variantsOf(key)[id] = byReference(takeFrom(db.pending, key, id), hash);
+  } else {
+    putIn(db.rejected, key, id, {
+      ...takeFrom(db.pending, key, id), reason: result.reason, simulation: result.simulation, reviewedAt: Date.now(),
+    });
+  }
+  save();
+  console.log(`${key}/${id}: ${result.ok ? 'live' : `rejected (${result.reason})`}`);
+  return { status: result.ok ? 'live' : 'rejected', reason: result.reason };
+}
+
+// Reports are stored with a hash of the address, not the address itself
+function reporterId(ip) {
+  return createHash('sha256').update(ip).digest('hex').slice(0, 16);
+}
+
+// Count a runtime crash report, once per reporting address; enough of them
+// move the variant to quarantine
+function reportCrash(key, id, report, { ip }) {
+  if (!crashReportsPerIp.hit(ip).ok) throw serverError(429, 'rate_limited', 'Too many crash reports from this address');
+  const variant = Object.hasOwn(db.cache, key) ? variantsOf(key)[id] : null;
+  if (!variant || typeof variant !== 'object') throw serverError(404, 'not_found', `No variant "${key}/${id}"`);
+  const reporter = reporterId(ip);
+  const reports = Object.hasOwn(db.crashes, key) ? db.crashes[key][id] || [] : [];
+  if (!reports.some(r => r.reporter === reporter)) {
+    reports.push({ message: String(report?.message ?? '').slice(0, 500), at: Date.now(), reporter });
+    putIn(db.crashes, key, id, reports);
+  }
+
+  // Reports from before reporters were recorded count one each
+  const reporters = new Set(reports.map((r, i) => r.reporter ?? i)).size;
+  const quarantined = shouldQuarantine(reporters, variant.stats?.runs || 0);
+  if (quarantined) {
+    delete variantsOf(key)[id];
+    putIn(db.quarantine, key, id, { ...variant, quarantinedAt: Date.now() });
+    console.log(`${key}/${id}: quarantined after crash reports from ${reporters} addresses`);
+  }
+  save();
+  return { crashes: reporters, quarantined };
+}
+
+// Serve a key's creations under another key too; only references are copied
+function addAlias(alias, { key } = {}) {
+  // A key whose variants were all quarantined has an entry but nothing to serve
+  if (typeof key !== 'string' || !Object.hasOwn(db.cache, key) || Object.keys(variantsOf(key)).length === 0) {
+    throw serverError(404, 'not_found', `No entry "${key}"`);
+  }
+  if (alias === key) throw serverError(400, 'bad_request', 'An entry cannot alias itself');
+  const added = [];
+  for (const [id, variant] of Object.entries(variantsOf(key))) {
+    if (!variant?.codeHash || findVariantByHash(alias, variant.codeHash)) continue;
+    if (Object.hasOwn(db.cache, alias) && Object.hasOwn(variantsOf(alias), id)) continue;
+    const { stats, ...record } = variant;
+    variantsOf(alias)[id] = { ...record, aliasOf: key };
+    added.push(id);
+  }
+  save();
+  return { added };
+}
+
+// Counters only grow, by at most STAT_STEPS per write (same as database.rules.json)
+function addStats(key, id, deltas) {
+  const variant = Object.hasOwn(db.cache, key) ? variantsOf(key)[id] : null;
+  if (!variant || typeof variant !== 'object') throw serverError(404, 'not_found', `No variant "${key}/${id}"`);
+  const changes = Object.entries(STAT_STEPS).filter(([field]) => deltas[field] !== undefined && deltas[field] !== 0);
+  for (const [field, step] of changes) {
+    const n = deltas[field];
+    if (typeof n !== 'number' || !(n > 0 && n <= step)) {
+      throw serverError(400, 'bad_request', `${field} must be a number above 0 and at most ${step}`);
+    }
+  }
+  variant.stats = { runs: 0, failures: 0, totalDamage: 0, earlyExits: 0, ...variant.stats };
+  for (const [field] of changes) variant.stats[field] += deltas[field];
+  save();
+  return variant.stats;
+}
+
+// Maintainer routes need the admin token; without one configured they are off
+function requireAdmin(req) {
+  if (!ADMIN_TOKEN) throw serverError(403, 'forbidden', 'Set CACHE_ADMIN_TOKEN to enable this route');
+  const given = Buffer.from(req.headers.authorization || '');
+  const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    throw serverError(401, 'unauthorized', 'Admin token required');
+  }
+}
+
+const ADMIN = { admin: true };
+
+// [method, pattern, handler(params, body, { ip }), options?]
+const ROUTES = [
+  ['GET', /^\/cache$/, () => Object.fromEntries(Object.keys(db.cache).map(key => [key, inlined(key)]))],
+  ['GET', /^\/keys$/, () => Object.keys(db.cache)],
+  ['GET', /^\/cache\/([^/]+)$/, ([key]) => {
+    if (!Object.hasOwn(db.cache, key)) throw serverError(404, 'not_found', `No entry "${key}"`);
+    return inlined(key);
+  }],
+  ['GET', /^\/code\/([^/]+)$/, ([hash]) => {
+    if (!Object.hasOwn(db.code, hash)) throw serverError(404, 'not_found', `No code "${hash}"`);
+    return db.code[hash];
+  }],
+  ['PUT', /^\/aliases\/([^/]+)$/, ([alias], body) => addAlias(alias, body || {}), ADMIN],
+  ['PUT', /^\/pending\/([^/]+)\/([^/]+)$/, ([key, id], body) => submitVariant(key, id, body)],
+  ['POST', /^\/cache\/([^/]+)\/variants\/([^/]+)\/stats$/, ([key, id], body) => addStats(key, id, body || {})],
+  ['POST', /^\/cache\/([^/]+)\/variants\/([^/]+)\/crashes$/, ([key, id], body, context) => reportCrash(key, id, body, context)],
+  ['GET', /^\/moderation$/, () => ({ pending: db.pending, rejected: db.rejected, quarantine: db.quarantine }), ADMIN],
+  ['PUT', /^\/reports\/([^/]+)$/, ([key], body) => {
+    db.reports[key] = body;
+    save();
+    return body;
+  }, ADMIN],
+];
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(serverError(413, 'payload_too_large', 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text ? JSON.parse(text) : null);
+      } catch (e) {
+        reject(serverError(400, 'bad_request', 'Body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204).end();
+    return;
+  }
+
+  try {
+    const url = req.url.split('?')[0];
+    let match = null;
+    const route = ROUTES.find(([method, pattern]) => method === req.method && (match = url.match(pattern)));
+    if (!route) throw serverError(404, 'not_found', 'Not found');
+    const params = match.slice(1).map(decodeURIComponent);
+    if (params.includes('__proto__')) throw serverError(400, 'bad_request', 'Invalid key');
+    if (route[3]?.admin) requireAdmin(req);
+    const body = req.method === 'GET' ? null : await readBody(req);
+    sendJson(res, 200, await route[2](params, body, { ip: clientIp(req, TRUST_PROXY) }));
+  } catch (e) {
+    const err = e.status && e.code ? e : serverError(500, 'internal', 'Internal error');
+    if (err.status >= 500) console.error(`${req.method} ${req.url}:`, e.message);
+    sendJson(res, err.status, { error: { code: err.code, message: err.message } });
+  }
+});
+
+await storeCodeByHash();
+
+server.listen(PORT, () => {
+  console.log(`Cache server listening on http://localhost:${PORT} (${CACHE_FILE})`);
+});
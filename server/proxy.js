@@ -0,0 +1,221 @@
+/**
+ * LLM proxy — owns the API key so it never ships in the client bundle.
+ *
+ *   GEMINI_API_KEY=... npm run proxy
+ *
+ * Endpoints (same protocol as scripts/mockLLM.js, see src/llm/proxyProvider.js):
+ *   POST /generate  { messages, temperature?, maxTokens?, stream? } → { text, truncated, model }
+ *   POST /normalize { prompt } → { text }
+ * Only game objects are generated: `messages` are the player's conversation
+ * turns, and the system prompt, response schema (src/llm/prompts.js,
+ * src/llm/objectSchema.js) and curated keys are added here, so the proxy can't
+ * be used as a general-purpose LLM endpoint.
+ * With `stream: true`, /generate answers with server-sent events:
+ *   { delta } ... then { done: true, truncated, model } or { error }
+ *
+ * Errors are { error: { code, message, retryAfter? } } with codes:
+ *   bad_request, payload_too_large, not_found,
+ *   rate_limited (per IP or session), quota_exceeded (daily, per IP),
+ *   upstream_rate_limited, upstream_overloaded, upstream_timeout, upstream_error
+ *
+ * Session ids (X-Session-Id) come from the client, so a client that sends a
+ * new one with every request escapes the per-session limit: it only keeps
+ * tabs sharing an address from crowding each other out. The per-IP limits and
+ * the daily quota are what actually bound abuse.
+ *
+ * Configuration (env):
+ *   PORT (8788), ALLOWED_ORIGIN ('*'), TRUST_PROXY (1 = use X-Forwarded-For)
+ *   LLM_PROVIDER / LLM_MODELS / LLM_FAST_MODEL / LLM_BASE_URL / LLM_API_KEY / GEMINI_API_KEY
+ *   GENERATE_PER_MINUTE (10 per IP), SESSION_GENERATE_PER_MINUTE (5 per session),
+ *   NORMALIZE_PER_MINUTE (30 per IP), DAILY_QUOTA (200 generations per IP)
+ */
+import http from 'node:http';
+import { createProvider, loadProviderConfig } from '../src/llm/provider.js';
+import { CURATED_KEYS } from '../src/curatedCache.js';
+import { createRateLimiter, createDailyQuota, clientIp } from './rateLimit.js';
+
+const env = process.env;
+const PORT = Number(env.PORT) || 8788;
+const ALLOWED_ORIGIN = env.ALLOWED_ORIGIN || '*';
+const TRUST_PROXY = env.TRUST_PROXY === '1';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_MESSAGES = 60;
+const MAX_TOKENS = 16384;
+const STREAMED = Symbol('streamed'); // route already wrote the response
+
+// --- Upstream provider ---
+const config = loadProviderConfig(env, '');
+if (config.provider === 'proxy' || config.provider === 'mock') {
+  console.error('Set GEMINI_API_KEY (or LLM_PROVIDER + LLM_API_KEY) for the proxy');
+  process.exit(1);
+}
+const provider = createProvider(config);
+
+// --- Limits ---
+const generatePerIp = createRateLimiter({ limit: Number(env.GENERATE_PER_MINUTE) || 10 });
+const generatePerSession = createRateLimiter({ limit: Number(env.SESSION_GENERATE_PER_MINUTE) || 5 });
+const normalizePerIp = createRateLimiter({ limit: Number(env.NORMALIZE_PER_MINUTE) || 30 });
+const dailyQuota = createDailyQuota({ limit: Number(env.DAILY_QUOTA) || 200 });
+
+// Errors carrying an HTTP status and a code for the client
+function proxyError(status, code, message, retryAfter = 0) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+function enforce(result, code, message) {
+  if (!result.ok) throw proxyError(429, code, message, result.retryAfter);
+}
+
+function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_MESSAGES) {
+    throw proxyError(400, 'bad_request', `messages must be an array of 1-${MAX_MESSAGES} entries`);
+  }
+  for (const m of messages) {
+    if ((m?.role !== 'user' && m?.role !== 'assistant') || typeof m.text !== 'string') {
+      throw proxyError(400, 'bad_request', 'Each message needs role user|assistant and string text');
+    }
+  }
+  if (messages[messages.length - 1].role !== 'user') {
+    throw proxyError(400, 'bad_request', 'The last message must be a user turn');
+  }
+}
+
+// Upstream failures keep their status meaning for the client (see proxyProvider.js)
+function upstreamError(e) {
+  if (e.status === 429) return proxyError(429, 'upstream_rate_limited', e.message);
+  if (e.status === 503) return proxyError(503, 'upstream_overloaded', e.message);
+  if (e.status === 504) return proxyError(504, 'upstream_timeout', e.message);
+  return proxyError(502, 'upstream_error', e.message);
+}
+
+async function handleGenerate(body, { ip, session, res }) {
+  validateMessages(body.messages);
+  enforce(generatePerIp.hit(ip), 'rate_limited', 'Too many requests from this address');
+  if (session) enforce(generatePerSession.hit(session), 'rate_limited', 'Too many requests from this session');
+  const quota = dailyQuota.use(ip);
+  if (!quota.ok) throw proxyError(429, 'quota_exceeded', 'Daily generation quota reached', quota.retryAfter);
+
+  // Client went away: stop the upstream request instead of paying for the rest
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  const options = {
+    temperature: Math.min(Math.max(Number(body.temperature) || 0.8, 0), 2),
+    maxTokens: Math.min(Number(body.maxTokens) || MAX_TOKENS, MAX_TOKENS),
+    signal: controller.signal,
+  };
+
+  if (!body.stream) {
+    try {
+      return await provider.generateObject(body.messages, options);
+    } catch (e) {
+      throw upstreamError(e);
+    }
+  }
+
+  // Headers go out with the first token, so failures before that are ordinary JSON errors
+  let started = false;
+  const send = (data) => {
+    if (!started) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      started = true;
+    }
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+  try {
+    const { truncated, model } = await provider.generateObject(body.messages, {
+      ...options,
+      onToken: (delta) => send({ delta }),
+    });
+    send({ done: true, truncated, model });
+  } catch (e) {
+    const err = upstreamError(e);
+    if (!started) throw err;
+    send({ error: { code: err.code, message: err.message } });
+  }
+  res.end();
+  return STREAMED;
+}
+
+async function handleNormalize(body, { ip }) {
+  if (typeof body.prompt !== 'string') {
+    throw proxyError(400, 'bad_request', 'Expected { prompt }');
+  }
+  enforce(normalizePerIp.hit(ip), 'rate_limited', 'Too many requests from this address');
+  try {
+    return { text: await provider.normalize(body.prompt.slice(0, 500), CURATED_KEYS) };
+  } catch (e) {
+    throw upstreamError(e);
+  }
+}
+
+const ROUTES = {
+  '/generate': handleGenerate,
+  '/normalize': handleNormalize,
+};
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(proxyError(413, 'payload_too_large', 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (e) {
+        reject(proxyError(400, 'bad_request', 'Body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Session-Id');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204).end();
+    return;
+  }
+
+  const ip = clientIp(req, TRUST_PROXY);
+  try {
+    const route = ROUTES[req.url];
+    if (req.method !== 'POST' || !route) throw proxyError(404, 'not_found', 'Not found');
+    const body = await readBody(req);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw proxyError(400, 'bad_request', 'Body must be a JSON object');
+    }
+    const session = String(req.headers['x-session-id'] || '').slice(0, 64);
+    const result = await route(body, { ip, session, res });
+    if (result !== STREAMED) sendJson(res, 200, result);
+  } catch (e) {
+    const err = e.status && e.code ? e : proxyError(500, 'internal', 'Internal error');
+    if (err.status >= 500) console.error(`[${ip}] ${req.url}:`, e.message);
+    const headers = err.retryAfter ? { 'Retry-After': String(err.retryAfter) } : {};
+    sendJson(res, err.status, {
+      error: { code: err.code, message: err.message, ...(err.retryAfter ? { retryAfter: err.retryAfter } : {}) },
+    }, headers);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`LLM proxy (${provider.label}) listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,90 @@
+/**
+ * In-memory limits for the proxy and the cache server. State lives in this
+ * process only, which is fine for a single instance of each.
+ */
+
+const MINUTE = 60 * 1000;
+const SWEEP_INTERVAL = 5 * MINUTE;
+
+/**
+ * Address a request came from. Behind a reverse proxy (trustProxy), that's the
+ * first X-Forwarded-For entry; otherwise the socket's.
+ * @param {http.IncomingMessage} req
+ * @param {boolean} trustProxy
+ */
+export function clientIp(req, trustProxy) {
+  if (trustProxy) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress || 'unknown';
+}
+
+/**
+ * Sliding-window limiter: at most `limit` hits per `windowMs` for each key.
+ * @returns {{ hit(key: string): {ok: boolean, retryAfter: number} }}
+ *   retryAfter is in seconds (0 when ok)
+ */
+export function createRateLimiter({ limit, windowMs = MINUTE }) {
+  const hits = new Map(); // key → timestamps, oldest first
+
+  function prune(times, now) {
+    while (times.length > 0 && now - times[0] >= windowMs) times.shift();
+  }
+
+  // Drop idle keys so one-off visitors don't accumulate
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, times] of hits) {
+      prune(times, now);
+      if (times.length === 0) hits.delete(key);
+    }
+  }, SWEEP_INTERVAL).unref();
+
+  function hit(key) {
+    const now = Date.now();
+    let times = hits.get(key);
+    if (!times) {
+      times = [];
+      hits.set(key, times);
+    }
+    prune(times, now);
+    if (times.length >= limit) {
+      return { ok: false, retryAfter: Math.ceil((times[0] + windowMs - now) / 1000) };
+    }
+    times.push(now);
+    return { ok: true, retryAfter: 0 };
+  }
+
+  return { hit };
+}
+
+/**
+ * Daily counter per key, reset at midnight UTC.
+ * @returns {{ use(key: string): {ok: boolean, retryAfter: number, remaining: number} }}
+ */
+export function createDailyQuota({ limit }) {
+  let day = currentDay();
+  let used = new Map();
+
+  function currentDay() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  function use(key) {
+    const today = currentDay();
+    if (today !== day) {
+      day = today;
+      used = new Map();
+    }
+    const count = used.get(key) || 0;
+    if (count >= limit) {
+      const midnight = Date.parse(`${today}T00:00:00Z`) + 24 * 60 * MINUTE;
+      return { ok: false, retryAfter: Math.ceil((midnight - Date.now()) / 1000), remaining: 0 };
+    }
+    used.set(key, count + 1);
+    return { ok: true, retryAfter: 0, remaining: limit - count - 1 };
+  }
+
+  return { use };
+}
@@ -0,0 +1,77 @@
+/**
+ * Runs src/moderation.js checkSubmission() on submitted code in a throwaway
+ * child process (server/reviewProcess.js) instead of in the caller, since the
+ * review executes that code:
+ *   - empty env, so secrets like FIREBASE_AUTH are out of reach
+ *   - Node's permission model: read-only access to src/ and node_modules/,
+ *     no writes, child processes or workers; the network is cut off too
+ *   - a wall-clock timeout and a heap cap, so a submission that loops or
+ *     allocates forever is rejected instead of freezing the server
+ *
+ * Used by server/cacheServer.js and scripts/moderate.js.
+ */
+import { fork } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+export const REVIEW_TIMEOUT_MS = 10000;
+const MAX_HEAP_MB = 256;
+
+const CHILD = fileURLToPath(new URL('./reviewProcess.js', import.meta.url));
+const READABLE = ['../src/', '../node_modules/'].map(dir => fileURLToPath(new URL(dir, import.meta.url)));
+const PERMISSION_FLAG = ['--permission', '--experimental-permission']
+  .find(flag => process.allowedNodeEnvironmentFlags.has(flag));
+
+function failed(reason) {
+  return { ok: false, reason, simulation: null };
+}
+
+/**
+ * @param {string} code
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<{ok: boolean, reason: string|null, simulation: object|null}>} never rejects
+ */
+export function reviewSubmission(code, { timeoutMs = REVIEW_TIMEOUT_MS } = {}) {
+  // Without the permission model the review would run with full access: refuse
+  if (!PERMISSION_FLAG) return Promise.resolve(failed('Review needs Node 20 or later'));
+
+  return new Promise((resolve) => {
+    const child = fork(CHILD, [], {
+      env: {},
+      execArgv: [
+        PERMISSION_FLAG,
+        `--allow-fs-read=${CHILD}`,
+        ...READABLE.map(dir => `--allow-fs-read=${dir}`),
+        `--max-old-space-size=${MAX_HEAP_MB}`,
+      ],
+      stdio: ['ignore', 'ignore', 'pipe', 'ipc'],
+      serialization: 'json',
+    });
+
+    // Last bit of stderr, to explain an unexpected exit
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-500);
+    });
+
+    let done = false;
+    function finish(result) {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      child.kill('SIGKILL');
+      resolve(result);
+    }
+
+    const timer = setTimeout(() => finish(failed(`Review timed out after ${timeoutMs / 1000}s`)), timeoutMs);
+    child.on('message', (msg) => {
+      if (msg?.type === 'result' && typeof msg.result?.ok === 'boolean') finish(msg.result);
+    });
+    child.on('error', e => finish(failed(`Review failed: ${e.message}`)));
+    child.on('exit', (status, signal) => {
+      const detail = stderr.split('\n').filter(line => line && !/ExperimentalWarning|--trace-warnings/.test(line)).pop();
+      finish(failed(`Review process exited (${signal || status})${detail ? `: ${detail}` : ''}`));
+    });
+    child.send({ code });
+  });
+}
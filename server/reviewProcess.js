@@ -0,0 +1,36 @@
+/**
+ * Child process for one review (see server/review.js). Started with an empty
+ * env under Node's permission model, so it can only read src/ and
+ * node_modules/ and can't write files, spawn processes or start workers.
+ * Here we also cut off the network and hide `process` before the submitted
+ * code runs, so it can't reach the parent either.
+ */
+import dgram from 'node:dgram';
+import dns from 'node:dns';
+import net from 'node:net';
+import { checkSubmission } from '../src/moderation.js';
+
+const proc = process;
+
+function noNetwork() {
+  throw new Error('Network access is disabled during review');
+}
+
+// fetch, http and tls all connect through net.Socket
+net.Socket.prototype.connect = noNetwork;
+net.Server.prototype.listen = noNetwork;
+dgram.Socket.prototype.bind = noNetwork;
+dgram.Socket.prototype.send = noNetwork;
+dns.lookup = noNetwork;
+dns.promises.lookup = noNetwork;
+for (const name of ['fetch', 'WebSocket', 'EventSource', 'process']) delete globalThis[name];
+
+proc.once('message', (msg) => {
+  let result;
+  try {
+    result = checkSubmission(msg?.code);
+  } catch (e) {
+    result = { ok: false, reason: `Review failed: ${e.message}`, simulation: null };
+  }
+  proc.send({ type: 'result', result }, () => proc.exit(0));
+});
@@ -1,77 +1,292 @@
-// Persistent cache: Curated (L0) + Firebase Realtime DB (L1)
-// Keys are pre-normalized by Gemini (see gemini.js normalizePrompt).
+// Persistent cache on top of ordered storage tiers (see storage/storage.js):
+// curated → memory → IndexedDB → remote (Firebase and/or our REST cache server).
+// Keys are pre-normalized (see gemini.js normalizePrompt).
+//
+// Each key holds a set of variants, so a popular key doesn't serve the same
+// code forever. New generations are appended; lookups pick one weighted by
+// how well it has done:
+//   { variants: { <id>: { code, codeHash, model, promptVersion, createdAt, userText, meta,
+//                         stats: { runs, failures, totalDamage, earlyExits } } } }
+// Shared tiers store each distinct code once under its codeHash (see codeHash.js)
+// and fill it back in on read, so keys holding the same creation share it.
+// Older entries are a single record or a bare code string. They are migrated
+// to a one-variant set when read, or all at once with scripts/migrateCache.js.
+//
+// New variants only reach the shared tiers after review, and variants that
+// crash at runtime are quarantined (see moderation.js). A variant with
+// `quarantined: true` in a local tier is never served again in that browser.
 
 import { CURATED_OBJECTS } from './curatedCache.js';
+import { analyzeCode } from './codeAnalyzer.js';
+import { codeHash } from './codeHash.js';
+import { createStores, createTieredStore, loadStorageConfig } from './storage/storage.js';
 
-// Firebase keys cannot contain . $ # [ ] /
-function encodeFirebaseKey(key) {
-  return key.replace(/[.$#\[\]/]/g, '_');
+function emptyStats() {
+  return { runs: 0, failures: 0, totalDamage: 0, earlyExits: 0 };
 }
 
-// Kept for dev.js compatibility (no longer used for caching)
-export const LS_PREFIX_EXPORT = 'objcache:';
-
-export async function fetchAllFirebase() {
-  const firebaseUrl = import.meta.env.VITE_FIREBASE_DB_URL || '';
-  if (!firebaseUrl) return {};
-  try {
-    const res = await fetch(`${firebaseUrl}/cache.json`);
-    if (!res.ok) return {};
-    const data = await res.json();
-    return data && typeof data === 'object' ? data : {};
-  } catch {
-    return {};
+const LEGACY_VARIANT = 'v0';   // id of the variant a migrated entry becomes
+const DAMAGE_NORM = 10;        // average damage that doubles a variant's weight
+
+/**
+ * Normalize a stored entry into a record. Bare code strings (legacy entries)
+ * become records with unknown model and prompt version.
+ * @param {string|object} entry
+ * @returns {object|null} null if the entry has no code
+ */
+export function toRecord(entry) {
+  if (typeof entry === 'string') {
+    return {
+      code: entry, codeHash: null, model: null, promptVersion: null, createdAt: null, userText: null, meta: null,
+      stats: emptyStats(),
+    };
   }
+  if (!entry || typeof entry !== 'object' || typeof entry.code !== 'string') return null;
+  return {
+    code: entry.code,
+    codeHash: entry.codeHash ?? null,
+    model: entry.model ?? null,
+    promptVersion: entry.promptVersion ?? null,
+    createdAt: entry.createdAt ?? null,
+    userText: entry.userText ?? null,
+    meta: entry.meta ?? null,
+    stats: { ...emptyStats(), ...entry.stats },
+    ...(entry.quarantined === true && { quarantined: true }),
+  };
 }
 
-export function createCache() {
-  const firebaseUrl = import.meta.env.VITE_FIREBASE_DB_URL || '';
-
-  async function getFirebase(key) {
-    if (!firebaseUrl) return null;
-    try {
-      const fbKey = encodeFirebaseKey(key);
-      const res = await fetch(`${firebaseUrl}/cache/${fbKey}.json`);
-      if (!res.ok) return null;
-      const data = await res.json();
-      return typeof data === 'string' ? data : null;
-    } catch {
-      return null;
+/**
+ * All variants of a stored entry, in any of its historical shapes.
+ * @param {string|object} entry
+ * @returns {Array<object>} Records with their variant `id`
+ */
+export function toVariants(entry) {
+  if (entry && typeof entry === 'object' && entry.variants && typeof entry.variants === 'object') {
+    return Object.entries(entry.variants).flatMap(([id, v]) => {
+      const record = toRecord(v);
+      return record ? [{ id, ...record }] : [];
+    });
+  }
+  const record = toRecord(entry);
+  return record ? [{ id: LEGACY_VARIANT, ...record }] : [];
+}
+
+/**
+ * Fresh variant id. Ids are generated client-side so concurrent players
+ * appending to the same key never collide.
+ */
+export function createVariantId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Selection weight of a variant: its success rate (with a prior, so new
+ * variants get tried), boosted by average damage and cut by how often it
+ * left the screen right after spawning.
+ * @param {object} record
+ */
+export function variantWeight(record) {
+  const { runs, failures, earlyExits } = record.stats;
+  const successRate = (runs - failures + 1) / (runs + 2);
+  const exitRate = runs > 0 ? Math.min(earlyExits / runs, 1) : 0;
+  return successRate * (1 + averageDamage(record) / DAMAGE_NORM) * (1 - 0.8 * exitRate);
+}
+
+function pickWeighted(variants) {
+  const weights = variants.map(variantWeight);
+  let r = Math.random() * weights.reduce((a, b) => a + b, 0);
+  for (let i = 0; i < variants.length; i++) {
+    r -= weights[i];
+    if (r <= 0) return variants[i];
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Average damage dealt per run of a cached record.
+ * @param {object} record
+ */
+export function averageDamage(record) {
+  return record.stats.runs > 0 ? record.stats.totalDamage / record.stats.runs : 0;
+}
+
+const DAMAGE_FLUSH_MS = 5000; // hits are batched per key before being written
+
+/**
+ * @param {object} [opts]
+ * @param {string|null} [opts.promptVersion] - Version new entries are stamped with
+ *   (see gemini.js PROMPT_VERSION); entries from other versions are skipped on lookup
+ *   unless listed in VITE_CACHE_COMPATIBLE_VERSIONS (comma-separated, or "*" for all)
+ * @param {boolean} [opts.acceptLegacy] - Serve entries without a prompt version
+ * @param {object} [opts.store] - Tiered store (see storage/tieredStore.js); defaults
+ *   to the tiers configured by env vars
+ */
+export function createCache({
+  promptVersion = null,
+  acceptLegacy = true,
+  store = createTieredStore(createStores(loadStorageConfig())),
+} = {}) {
+  const compatibleVersions = (import.meta.env.VITE_CACHE_COMPATIBLE_VERSIONS || '')
+    .split(',').map(v => v.trim()).filter(Boolean);
+  const pendingDamage = new Map(); // JSON [key, variantId] → damage not yet written
+  const crashed = new Set();       // JSON [key, variantId] that crashed this session
+  let damageTimer = null;
+
+  function isCompatible(record) {
+    if (record.promptVersion === null) return acceptLegacy;
+    if (!promptVersion || compatibleVersions.includes('*')) return true;
+    return record.promptVersion === promptVersion || compatibleVersions.includes(record.promptVersion);
+  }
+
+  function flushDamage() {
+    damageTimer = null;
+    for (const [id, damage] of pendingDamage) {
+      const [key, variantId] = JSON.parse(id);
+      store.addStats(key, variantId, { totalDamage: damage });
     }
+    pendingDamage.clear();
   }
 
-  function setFirebase(key, code) {
-    if (!firebaseUrl) return;
-    const fbKey = encodeFirebaseKey(key);
-    // Fire-and-forget
-    fetch(`${firebaseUrl}/cache/${fbKey}.json`, {
-      method: 'PUT',
-      body: JSON.stringify(code),
-      headers: { 'Content-Type': 'application/json' },
-    }).catch(() => {});
+  // Variants that may be served. Stored code is re-checked on every read so
+  // variants that fail the safety analysis are never served, even if they predate it.
+  function usableVariants(key, entry, tier) {
+    return toVariants(entry).filter((variant) => {
+      if (variant.quarantined || crashed.has(JSON.stringify([key, variant.id]))) {
+        console.log(`[Cache skip] ${tier} variant ${key}/${variant.id} is quarantined`);
+        return false;
+      }
+      const report = analyzeCode(variant.code, { shared: true });
+      if (!report.ok) {
+        console.warn(`[Cache reject] ${tier} variant ${key}/${variant.id} failed safety analysis:`, report.issues);
+        return false;
+      }
+      if (!isCompatible(variant)) {
+        // Skipped: a regenerated variant takes its place
+        console.log(`[Cache skip] ${tier} variant ${key}/${variant.id} was made for prompt version ${variant.promptVersion}`);
+        return false;
+      }
+      return true;
+    });
   }
 
   return {
+    /**
+     * Pick one of the key's variants, weighted by variantWeight().
+     * @param {string} key
+     * @returns {Promise<object|null>} The variant's record with its `id` and `variantCount`;
+     *   curated entries have `curated: true`
+     */
     async get(key) {
-      // L0: Curated (highest priority)
-      if (CURATED_OBJECTS[key]) {
-        console.log('[Cache hit] Curated:', key);
-        return CURATED_OBJECTS[key];
+      let usable = [];
+      const hit = await store.get(key, (entry, tier) => {
+        if (tier === 'curated') return true;
+        usable = usableVariants(key, entry, tier);
+        return usable.length > 0;
+      });
+      if (!hit) {
+        console.log('[Cache miss]', key);
+        return null;
+      }
+
+      if (hit.tier === 'curated') {
+        console.log('[Cache hit] curated:', key);
+        return { ...toVariants(hit.entry)[0], variantCount: 1, curated: true };
+      }
+      if (!hit.entry.variants) {
+        console.log('[Cache] Migrating legacy entry:', key);
+        const { id, ...record } = toVariants(hit.entry)[0];
+        store.set(key, { variants: { [id]: record } });
       }
+      const variant = pickWeighted(usable);
+      console.log(`[Cache hit] ${hit.tier}: ${key} (variant ${variant.id} of ${usable.length})`);
+      return { ...variant, variantCount: usable.length };
+    },
+
+    /**
+     * Keys of all stored entries (curated included).
+     * @returns {Promise<string[]>}
+     */
+    listKeys() {
+      return store.keys();
+    },
 
-      // L1: Firebase
-      const remote = await getFirebase(key);
-      if (remote) {
-        console.log('[Cache hit] Firebase:', key);
-        return remote;
+    /**
+     * Add newly generated code as a new variant of the key (existing variants
+     * are kept). Called once it has spawned successfully, which counts as its first run.
+     * @param {string} key
+     * @param {string} code
+     * @param {object} [info]
+     * @param {string} [info.variantId] - From createVariantId(), if already used (e.g. in a label)
+     * @param {string} [info.model] - Model that wrote the code
+     * @param {string} [info.userText] - What the player typed
+     * @param {object} [info.meta] - Metadata from the structured response
+     * @returns {Promise<void>} resolves once the variant is handed to the store
+     */
+    async set(key, code, { variantId = createVariantId(), model = null, userText = null, meta = null } = {}) {
+      // Curated keys always serve the curated object, so extra variants would never be used
+      if (CURATED_OBJECTS[key]) return;
+      // Safety reports for shared tiers come from their review, never from clients
+      const report = analyzeCode(code, { shared: true });
+      if (!report.ok) {
+        console.warn('[Cache] Refusing to store code that failed safety analysis:', key);
+        return;
       }
+      // Local tiers serve it right away; shared tiers queue it for review
+      store.addVariant(key, variantId, {
+        code, codeHash: await codeHash(code), model, promptVersion, createdAt: Date.now(), userText, meta,
+        stats: { ...emptyStats(), runs: 1 },
+      });
+    },
+
+    /**
+     * Count a spawn of a cached variant.
+     * @param {string} key
+     * @param {string} variantId
+     * @param {boolean} ok - Whether it executed without throwing
+     */
+    recordRun(key, variantId, ok) {
+      if (CURATED_OBJECTS[key]) return;
+      store.addStats(key, variantId, { runs: 1, failures: ok ? 0 : 1 });
+    },
+
+    /**
+     * Count a spawn that left the screen right away (see main.js cleanupOOB).
+     * @param {string} key
+     * @param {string} variantId
+     */
+    recordEarlyExit(key, variantId) {
+      if (CURATED_OBJECTS[key]) return;
+      store.addStats(key, variantId, { earlyExits: 1 });
+    },
 
-      console.log('[Cache miss]', key);
-      return null;
+    /**
+     * Report a variant that threw while running (see executor.js onCreationError).
+     * It stops being served in this browser at once; shared tiers quarantine it
+     * for everyone once enough players report it. One report per variant per session.
+     * @param {string} key
+     * @param {string} variantId
+     * @param {string} message - The error message
+     */
+    reportCrash(key, variantId, message) {
+      if (CURATED_OBJECTS[key]) return;
+      const id = JSON.stringify([key, variantId]);
+      if (crashed.has(id)) return;
+      crashed.add(id);
+      console.warn(`[Cache] Variant ${key}/${variantId} crashed:`, message);
+      store.reportCrash(key, variantId, { message: String(message).slice(0, 500), at: Date.now() });
     },
 
-    set(key, code) {
-      setFirebase(key, code);
+    /**
+     * Attribute eye damage to a cached variant (batched, see DAMAGE_FLUSH_MS).
+     * @param {string} key
+     * @param {string} variantId
+     * @param {number} damage
+     */
+    recordDamage(key, variantId, damage) {
+      if (CURATED_OBJECTS[key]) return;
+      const id = JSON.stringify([key, variantId]);
+      pendingDamage.set(id, (pendingDamage.get(id) || 0) + damage);
+      if (!damageTimer) damageTimer = setTimeout(flushDamage, DAMAGE_FLUSH_MS);
     },
   };
 }
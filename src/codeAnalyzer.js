@@ -0,0 +1,339 @@
+import { parse } from 'acorn';
+import { ancestor } from 'acorn-walk';
+
+/**
+ * Static safety analysis for generated code, run before the executor compiles it
+ * (in strict mode, so `this` in a plain call is undefined, not the global object).
+ *
+ * Every issue carries a rule id, a severity and the offending snippet:
+ *   - 'error'   → the code is rejected
+ *   - 'warning' → the code runs, but the issue is logged
+ */
+
+// Executor parameters (see executor.js) — the only non-builtin names generated code may use
+const EXECUTOR_PARAMS = [
+  'planck', 'world', 'registerObject', 'W', 'H', 'spawnX', 'spawnY', 'targetX', 'targetY', 'getTarget', 'api',
+];
+
+// Harmless builtins generated code commonly relies on
+const SAFE_GLOBALS = [
+  'Math', 'Number', 'String', 'Boolean', 'Array', 'Object', 'JSON', 'Date', 'Map', 'Set',
+  'Error', 'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'Infinity', 'NaN', 'undefined',
+  'console', 'setTimeout', 'clearTimeout', 'arguments',
+];
+
+// Page, network, code-loading and reflection APIs generated code must never touch
+const FORBIDDEN_GLOBALS = [
+  'window', 'document', 'globalThis', 'self', 'top', 'parent', 'frames', 'location', 'navigator',
+  'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'localStorage', 'sessionStorage',
+  'indexedDB', 'caches', 'importScripts', 'Worker', 'SharedWorker',
+  'eval', 'Function', 'Reflect', 'Proxy', 'setInterval', 'requestAnimationFrame',
+];
+
+// Property names that reach prototypes or constructors (and through them, Function)
+const FORBIDDEN_PROPERTIES = [
+  'prototype', '__proto__', 'constructor', '__defineGetter__', '__defineSetter__',
+  'defineProperty', 'defineProperties', 'setPrototypeOf', 'getPrototypeOf',
+];
+
+const ALLOWED = new Set([...EXECUTOR_PARAMS, ...SAFE_GLOBALS]);
+const FORBIDDEN = new Set(FORBIDDEN_GLOBALS);
+const FORBIDDEN_PROPS = new Set(FORBIDDEN_PROPERTIES);
+
+const SNIPPET_CONTEXT = 20; // chars of context either side of the offending node
+
+function snippetAt(code, start, end) {
+  const from = Math.max(0, start - SNIPPET_CONTEXT);
+  const to = Math.min(code.length, end + SNIPPET_CONTEXT);
+  return (from > 0 ? '…' : '') + code.slice(from, to) + (to < code.length ? '…' : '');
+}
+
+// Identifiers bound by a declaration pattern (handles destructuring)
+function patternNames(node, out) {
+  if (!node) return;
+  switch (node.type) {
+    case 'Identifier': out.add(node.name); break;
+    case 'ObjectPattern': node.properties.forEach(p => patternNames(p.type === 'RestElement' ? p : p.value, out)); break;
+    case 'ArrayPattern': node.elements.forEach(e => patternNames(e, out)); break;
+    case 'RestElement': patternNames(node.argument, out); break;
+    case 'AssignmentPattern': patternNames(node.left, out); break;
+  }
+}
+
+/**
+ * All names declared anywhere in the program. Scopes are flattened on purpose:
+ * generated code is short, and binding a forbidden global's name is rejected
+ * outright (see analyzeCode), so a shadowed name is never more dangerous than
+ * the global it hides.
+ */
+export function declaredNames(ast) {
+  const names = new Set();
+  const fn = (node) => {
+    if (node.id) patternNames(node.id, names);
+    node.params.forEach(p => patternNames(p, names));
+  };
+  ancestor(ast, {
+    VariableDeclarator(node) { patternNames(node.id, names); },
+    FunctionDeclaration: fn,
+    FunctionExpression: fn,
+    ArrowFunctionExpression: fn,
+    ClassDeclaration(node) { if (node.id) names.add(node.id.name); },
+    CatchClause(node) { patternNames(node.param, names); },
+  });
+  return names;
+}
+
+// Operators whose result is always a number, whatever the operands
+const NUMERIC_BINARY = new Set(['-', '*', '/', '%', '**', '|', '&', '^', '<<', '>>', '>>>']);
+const NUMERIC_UNARY = new Set(['-', '+', '~']);
+const NUMERIC_ASSIGN = new Set(['-=', '*=', '/=', '%=', '**=', '|=', '&=', '^=', '<<=', '>>=', '>>>=']);
+
+/**
+ * Names that only ever hold numbers: declared with `var/let/const x = <number>`
+ * and only assigned or incremented with numbers afterwards. Parameters, loop
+ * variables of for-in/of and destructured names are never in it. Scopes are
+ * flattened like declaredNames(), so one non-numeric write to any `i` drops `i`.
+ */
+function numericNames(ast, declared) {
+  const candidates = new Set();
+  const writes = [];      // [name, value node or null (numeric by construction)]
+  const excluded = new Set();
+  const fn = (node) => {
+    if (node.id) patternNames(node.id, excluded);
+    node.params.forEach(p => patternNames(p, excluded));
+  };
+
+  ancestor(ast, {
+    VariableDeclarator(node, ancestors) {
+      if (node.id.type !== 'Identifier') {
+        patternNames(node.id, excluded);
+        return;
+      }
+      const loop = ancestors[ancestors.length - 3];
+      if (loop && (loop.type === 'ForInStatement' || loop.type === 'ForOfStatement') && loop.left === ancestors[ancestors.length - 2]) {
+        excluded.add(node.id.name);
+        return;
+      }
+      candidates.add(node.id.name);
+      if (node.init) writes.push([node.id.name, node.init]);
+    },
+    AssignmentExpression(node) {
+      if (node.left.type !== 'Identifier') {
+        if (node.left.type !== 'MemberExpression') patternNames(node.left, excluded);
+        return;
+      }
+      if (node.operator === '=') writes.push([node.left.name, node.right]);
+      else if (node.operator === '+=') writes.push([node.left.name, node.right]);
+      else if (!NUMERIC_ASSIGN.has(node.operator)) excluded.add(node.left.name);
+    },
+    ForInStatement(node) { if (node.left.type !== 'VariableDeclaration') patternNames(node.left, excluded); },
+    ForOfStatement(node) { if (node.left.type !== 'VariableDeclaration') patternNames(node.left, excluded); },
+    FunctionDeclaration: fn,
+    FunctionExpression: fn,
+    ArrowFunctionExpression: fn,
+    ClassDeclaration(node) { if (node.id) excluded.add(node.id.name); },
+    CatchClause(node) { patternNames(node.param, excluded); },
+  });
+
+  const numeric = new Set([...candidates].filter(name => !excluded.has(name)));
+  // Drop names with a non-numeric write until nothing changes
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const [name, value] of writes) {
+      if (numeric.has(name) && !isNumeric(value, numeric, declared)) {
+        numeric.delete(name);
+        changed = true;
+      }
+    }
+  }
+  return numeric;
+}
+
+// Is the expression a number whatever the program does at runtime?
+function isNumeric(node, numeric, declared) {
+  switch (node.type) {
+    case 'Literal': return typeof node.value === 'number';
+    case 'Identifier': return numeric.has(node.name);
+    case 'UpdateExpression': return true;
+    case 'UnaryExpression': return NUMERIC_UNARY.has(node.operator);
+    case 'BinaryExpression':
+      if (NUMERIC_BINARY.has(node.operator)) return true;
+      return node.operator === '+' && isNumeric(node.left, numeric, declared) && isNumeric(node.right, numeric, declared);
+    case 'ConditionalExpression':
+      return isNumeric(node.consequent, numeric, declared) && isNumeric(node.alternate, numeric, declared);
+    case 'CallExpression': {
+      // Math.floor(...) and friends, unless the code has its own Math
+      const callee = node.callee;
+      return callee.type === 'MemberExpression' && !callee.computed && callee.object.type === 'Identifier'
+        && callee.object.name === 'Math' && !declared.has('Math');
+    }
+    default: return false;
+  }
+}
+
+// Names of function declarations never reassigned (safe to hand to setTimeout)
+function functionDeclarationNames(ast) {
+  const names = new Set();
+  const reassigned = new Set();
+  ancestor(ast, {
+    FunctionDeclaration(node) { names.add(node.id.name); },
+    AssignmentExpression(node) { if (node.left.type === 'Identifier') reassigned.add(node.left.name); },
+    VariableDeclarator(node) { patternNames(node.id, reassigned); },
+  });
+  return new Set([...names].filter(name => !reassigned.has(name)));
+}
+
+function isTruthyLiteral(node) {
+  return !node || (node.type === 'Literal' && !!node.value);
+}
+
+// Does the loop body contain a way out (break/return/throw) outside nested functions?
+function hasExit(body) {
+  let found = false;
+  ancestor(body, {
+    BreakStatement: check,
+    ReturnStatement: check,
+    ThrowStatement: check,
+  });
+  function check(node, ancestors) {
+    const inNestedFn = ancestors.some(a => a !== body && /Function/.test(a.type));
+    if (!inNestedFn) found = true;
+  }
+  return found;
+}
+
+/**
+ * Analyze a generated code string.
+ * @param {string} code
+ * @param {object} [opts]
+ * @param {boolean} [opts.shared] - Code from a cache or other players: references to
+ *   unknown globals are errors instead of warnings
+ * @returns {{ok: boolean, issues: Array<{rule: string, severity: 'error'|'warning', message: string, snippet: string}>}}
+ */
+export function analyzeCode(code, { shared = false } = {}) {
+  const issues = [];
+  const report = (rule, severity, message, node) => {
+    issues.push({ rule, severity, message, snippet: snippetAt(code, node.start, node.end) });
+  };
+
+  let ast;
+  try {
+    ast = parse(code, { ecmaVersion: 'latest', sourceType: 'script', allowReturnOutsideFunction: true });
+  } catch (e) {
+    const pos = e.pos ?? 0;
+    report('syntax-error', 'error', e.message, { start: pos, end: pos });
+    return { ok: false, issues };
+  }
+
+  const declared = declaredNames(ast);
+  const numeric = numericNames(ast, declared);
+  const functionNames = functionDeclarationNames(ast);
+  const seenGlobals = new Set();
+
+  // Every reference, and every binding too: declaring `fetch` anywhere would
+  // otherwise let the flattened scopes above pass every use of it
+  function checkName(node) {
+    const name = node.name;
+    if (FORBIDDEN.has(name)) {
+      report('forbidden-identifier', 'error', `Use of forbidden global "${name}"`, node);
+    } else if (declared.has(name) || ALLOWED.has(name)) {
+      return;
+    } else if (!seenGlobals.has(name)) {
+      seenGlobals.add(name);
+      report('unknown-global', shared ? 'error' : 'warning', `Reference to "${name}", which is not an executor parameter`, node);
+    }
+  }
+
+  // Property read through `obj.key`, `obj[key]` or a destructuring pattern
+  function checkKey(key, computed, node) {
+    const prop = !computed && key.type === 'Identifier' ? key.name
+      : key.type === 'Literal' ? String(key.value) : null;
+    if (prop && FORBIDDEN_PROPS.has(prop)) {
+      report('prototype-tampering', 'error', `Access to "${prop}"`, node);
+    } else if (computed && key.type !== 'Literal' && !isNumeric(key, numeric, declared)) {
+      // A key built at runtime could spell any forbidden property
+      report('computed-key', 'error', 'Computed property key that is not a literal or a number', node);
+    }
+  }
+
+  // this inside object and class methods only; anywhere else it can be the global object
+  function isMethod(fn, parent) {
+    return parent?.type === 'MethodDefinition' || (parent?.type === 'Property' && parent.value === fn);
+  }
+
+  ancestor(ast, {
+    Identifier(node, ancestors) {
+      checkName(node);
+      // setTimeout runs a string argument as code: only call it, with a function
+      const parent = ancestors[ancestors.length - 2];
+      if (node.name === 'setTimeout' && !declared.has('setTimeout')) {
+        const fn = parent?.type === 'CallExpression' && parent.callee === node ? parent.arguments[0] : null;
+        const ok = fn && (fn.type === 'FunctionExpression' || fn.type === 'ArrowFunctionExpression'
+          || (fn.type === 'Identifier' && functionNames.has(fn.name)));
+        if (!ok) report('string-timer', 'error', 'setTimeout must be called with a function (or use api.after)', parent || node);
+      }
+    },
+    // Declared names, parameters and assignment targets, e.g. an implicit global `foo=1`
+    VariablePattern: checkName,
+
+    MemberExpression(node) {
+      checkKey(node.property, node.computed, node);
+    },
+
+    // `const {constructor: F} = ...` reads the property just like `x.constructor`
+    ObjectPattern(node) {
+      for (const p of node.properties) {
+        if (p.type === 'Property') checkKey(p.key, p.computed, p);
+      }
+    },
+
+    ThisExpression(node, ancestors) {
+      // Arrow functions take `this` from around them, so look at the nearest other function
+      const i = ancestors.findLastIndex(a => a.type === 'FunctionExpression' || a.type === 'FunctionDeclaration');
+      if (i === -1) {
+        report('forbidden-identifier', 'error', 'Top-level "this" refers to the global object', node);
+      } else if (!isMethod(ancestors[i], ancestors[i - 1])) {
+        report('forbidden-identifier', 'error', '"this" outside an object method can be the global object', node);
+      }
+    },
+
+    ImportExpression(node) {
+      report('import', 'error', 'Dynamic import()', node);
+    },
+
+    MetaProperty(node) {
+      if (node.meta.name === 'import') report('import', 'error', 'Use of import.meta', node);
+    },
+
+    WhileStatement(node) {
+      if (isTruthyLiteral(node.test) && !hasExit(node.body)) {
+        report('unbounded-loop', 'error', 'Infinite while loop with no break', node);
+      }
+    },
+
+    DoWhileStatement(node) {
+      if (isTruthyLiteral(node.test) && !hasExit(node.body)) {
+        report('unbounded-loop', 'error', 'Infinite do-while loop with no break', node);
+      }
+    },
+
+    ForStatement(node) {
+      if (isTruthyLiteral(node.test) && !hasExit(node.body)) {
+        report('unbounded-loop', 'error', 'Infinite for loop with no break', node);
+      }
+    },
+  });
+
+  return { ok: !issues.some(i => i.severity === 'error'), issues };
+}
+
+/**
+ * One-line summary of the first blocking issue, for overlay.showError.
+ */
+export function formatReport(report) {
+  const issue = report.issues.find(i => i.severity === 'error') || report.issues[0];
+  if (!issue) return 'Code passed safety checks';
+  const prefix = issue.severity === 'error' ? 'Unsafe code rejected' : 'Code flagged';
+  return `${prefix} [${issue.rule}]: ${issue.message} — ${issue.snippet}`;
+}
@@ -0,0 +1,87 @@
+import { parse, tokenizer } from 'acorn';
+import { ancestor } from 'acorn-walk';
+import { declaredNames } from './codeAnalyzer.js';
+import { fnv1a, sha256 } from './hash.js';
+
+/**
+ * Content addressing for generated code: two snippets that differ only in
+ * whitespace, comments, quote style or the names of their own variables get
+ * the same hash, so the cache stores the code once and keys point at it.
+ */
+
+const PARSE_OPTIONS = { ecmaVersion: 'latest', sourceType: 'script', allowReturnOutsideFunction: true };
+
+// Start offsets of identifiers naming a variable (references and declarations),
+// i.e. not property names; shorthand properties are left alone since their name is both
+function variablePositions(ast) {
+  const positions = new Set();
+  const visit = (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 2];
+    if (parent?.type === 'Property' && parent.shorthand) return;
+    positions.add(node.start);
+  };
+  ancestor(ast, { Identifier: visit, VariablePattern: visit });
+  return positions;
+}
+
+/**
+ * Canonical form of a code string: its tokens separated by single spaces,
+ * literals re-serialized and locally declared variables renamed $0, $1, ...
+ * in order of first use. Executor parameters and globals keep their names.
+ * Code that doesn't parse only has its whitespace collapsed.
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeCode(code) {
+  let ast;
+  try {
+    ast = parse(code, PARSE_OPTIONS);
+  } catch (e) {
+    return code.trim().replace(/\s+/g, ' ');
+  }
+
+  const declared = declaredNames(ast);
+  const positions = variablePositions(ast);
+  const renamed = new Map();
+  const tokens = [];
+  for (const token of tokenizer(code, PARSE_OPTIONS)) {
+    const { type, start, end, value } = token;
+    if (type.label === 'name' && declared.has(value) && positions.has(start)) {
+      if (!renamed.has(value)) renamed.set(value, `$${renamed.size}`);
+      tokens.push(renamed.get(value));
+    } else if (type.label === 'num' && typeof value === 'number') {
+      tokens.push(String(value));
+    } else if (type.label === 'string') {
+      tokens.push(JSON.stringify(value));
+    } else {
+      tokens.push(code.slice(start, end));
+    }
+  }
+  return tokens.join(' ');
+}
+
+// Hashes from before SHA-256 (64-bit FNV-1a) were 16 hex digits
+const CODE_HASH = /^[0-9a-f]{64}$/;
+
+/**
+ * Web Crypto only exists in secure contexts (https, localhost). Elsewhere
+ * FNV-1a stands in; isCodeHash() never takes it for a current hash, so shared
+ * tiers hash the code again (see server/cacheServer.js, scripts/moderate.js).
+ * @param {string} code
+ * @returns {Promise<string>} 64 hex digits (SHA-256 of the canonical form),
+ *   or 8 without Web Crypto
+ */
+export function codeHash(code) {
+  const canonical = normalizeCode(code);
+  return globalThis.crypto?.subtle ? sha256(canonical) : Promise.resolve(fnv1a(canonical));
+}
+
+/**
+ * Whether a stored codeHash is current; older ones are re-keyed when the code
+ * is migrated (see server/cacheServer.js and scripts/migrateCache.js).
+ * @param {string} hash
+ * @returns {boolean}
+ */
+export function isCodeHash(hash) {
+  return typeof hash === 'string' && CODE_HASH.test(hash);
+}
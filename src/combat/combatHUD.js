@@ -1,6 +1,7 @@
 import planck from 'planck';
 import { clearSpawnedObjects, registerObject, getObjects } from '../objects.js';
 import { SCALE } from '../constants.js';
+import { resetConversation } from '../gemini.js';
 
 /**
  * Combat HUD — victory and defeat end screens with Box2D physics elements.
@@ -161,6 +162,9 @@ export function createCombatHUD(canvas, gameState, geminiIcon, intro, searchBar,
       executor.clearAll();
     }
 
+    // The post-game playground starts a fresh Gemini conversation
+    resetConversation();
+
     // Remove Google page elements
     const objects = getObjects();
     const typesToRemove = ['logoletter', 'button', 'textlink', 'appsgrid', 'footerbar', 'dino'];
@@ -347,6 +351,7 @@ export function createCombatHUD(canvas, gameState, geminiIcon, intro, searchBar,
       const localY = dx * sin + dy * cos;
 
       if (Math.abs(localX) <= btnHW && Math.abs(localY) <= btnHH) {
+        // A reload starts everything afresh, the Gemini conversation included
         window.location.reload();
       }
     });
@@ -115,9 +115,16 @@ export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null
 
     // Schedule destruction (can't destroy during contact callback)
     scheduledDestroys.push(otherBody);
-    gameState.trackObjectConsumed();
+    applyConsumed();
+  }
 
-    // Trigger screen shake
+  /**
+   * Count a consumed object and shake the screen.
+   * Also used for bodies consumed in the sandbox worker.
+   */
+  function applyConsumed() {
+    if (!gameState.isActive()) return;
+    gameState.trackObjectConsumed();
     triggerShake();
   }
 
@@ -134,21 +141,35 @@ export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null
     const vel = otherBody.getLinearVelocity();
     const speed = vel.length();
     const mass = otherBody.getMass();
-    const momentum = speed * mass;
+    const source = getObjects().find(o => o.body === otherBody);
+    applyHit(speed * mass, source?.creationLabel);
+
+    // Destroy ephemeral objects (bullets, particles) on eye contact
+    if (ud?.isEphemeral) {
+      scheduledDestroys.push(otherBody);
+    }
+  }
+
+  /**
+   * Deal damage for a hit of the given momentum (speed × mass).
+   * Also used for hits detected in the sandbox worker.
+   * @param {number} momentum
+   * @param {string} [label] - Label of the creation that hit (executor label, e.g. cache key)
+   */
+  function applyHit(momentum, label) {
+    if (!gameState.isActive()) return;
     const damage = momentum * EYE_MOMENTUM_SCALE;
 
     if (damage > 0.1) {
       healthBar.takeDamage(damage);
       gameState.triggerDamageFlash();
       gameState.trackDamage(damage);
-    }
-
-    // Destroy ephemeral objects (bullets, particles) on eye contact
-    if (ud?.isEphemeral) {
-      scheduledDestroys.push(otherBody);
+      if (damageHandler && label) damageHandler(damage, label);
     }
   }
 
+  let damageHandler = null;
+
   // Bodies queued for destruction (can't destroy during contact callbacks)
   const scheduledDestroys = [];
 
@@ -357,6 +378,10 @@ export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null
   return {
     update,
     destroy,
+    applyHit,
+    applyConsumed,
+    /** @param {Function} fn - Called with (damage, label) for each hit by a labelled creation */
+    onDamage(fn) { damageHandler = fn; },
     getShake,
     getGeminiDangerLevel() { return geminiDangerLevel; },
     getCenter() { return { x: cx, y: cy }; },
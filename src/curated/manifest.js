@@ -0,0 +1,192 @@
+/**
+ * Curated "golden" objects — hand-crafted and tested. Each entry's code lives
+ * in objects/<key>.js (spaces become dashes) as the body that the executor
+ * runs (see executor.js for its parameters). curatedCache.js builds them into
+ * the game, and `npm run validate` lints this list and runs every entry.
+ *
+ *   key        — cache key; must match normalized prompt output (lowercase, 1-2 words)
+ *   aliases    — other names the local normaliser resolves to the key
+ *   author     — who wrote or last tuned it
+ *   description, tags — what it is, for the dev page and reviewers
+ *   behaviour  — what it should do once spawned, in plain words
+ *   expect     — the same, as checks `npm run validate` makes over a 10 second
+ *                run against a stationary stub eye where The Crash's eye usually is
+ *                (all optional):
+ *       firesWithin   — seconds until it first creates another body (shot, drop, particle)
+ *       minHits       — times its bodies must hit the eye
+ *       staysOnScreen — the bodies it spawns with must not leave the screen
+ *       maxBodies     — most bodies alive at once
+ */
+export const CURATED_MANIFEST = [
+  {
+    key: 'catapult',
+    aliases: ['trebuchet', 'slingshot'],
+    author: 'falcyon',
+    description: 'Wheeled catapult with a motorised throwing arm',
+    tags: ['weapon', 'vehicle', 'projectile'],
+    behaviour: 'Drives in, then flings a heavy rock at the target every 2.5 seconds and reloads',
+    expect: { firesWithin: 3.5, minHits: 2, staysOnScreen: true, maxBodies: 10 },
+  },
+  {
+    key: 'helicopter',
+    aliases: ['chopper', 'copter', 'heli'],
+    author: 'falcyon',
+    description: 'Helicopter with spinning main and tail rotors',
+    tags: ['vehicle', 'flying', 'projectile'],
+    behaviour: 'Hovers near its spawn height, drifts toward the target and fires a bullet at it every 1.5 seconds',
+    expect: { firesWithin: 2, minHits: 1, staysOnScreen: true, maxBodies: 20 },
+  },
+  {
+    key: 'rain',
+    aliases: ['rainstorm', 'raindrop', 'drizzle', 'shower'],
+    author: 'falcyon',
+    description: 'Drifting grey cloud pouring rain',
+    tags: ['weather', 'swarm'],
+    behaviour: 'Floats left while dropping a steady stream of small raindrops',
+    expect: { firesWithin: 0.5, staysOnScreen: true, maxBodies: 300 },
+  },
+  {
+    key: 'cloud',
+    aliases: ['raincloud', 'rain cloud', 'storm cloud'],
+    author: 'falcyon',
+    description: 'Stationary grey cloud with rain',
+    tags: ['weather', 'swarm'],
+    behaviour: 'Stays where it spawned and drops fast raindrops straight down',
+    expect: { firesWithin: 0.5, staysOnScreen: true, maxBodies: 300 },
+  },
+  {
+    key: 'train',
+    aliases: ['locomotive', 'steam engine', 'steam train'],
+    author: 'falcyon',
+    description: 'Steam locomotive with a cab, chimney and cowcatcher',
+    tags: ['vehicle', 'ram'],
+    behaviour: 'Charges left along the ground puffing smoke and rams whatever is in its way',
+    expect: { minHits: 2, staysOnScreen: true, maxBodies: 60 },
+  },
+  {
+    key: 'tank',
+    aliases: ['panzer', 'army tank'],
+    author: 'falcyon',
+    description: 'Tank on three driven wheels with a turret',
+    tags: ['vehicle', 'weapon', 'projectile'],
+    behaviour: 'Drives left while aiming its turret at the target and firing a shell every second',
+    expect: { firesWithin: 1.5, minHits: 3, staysOnScreen: true, maxBodies: 20 },
+  },
+  {
+    key: 'ball',
+    aliases: ['bouncy ball', 'beach ball'],
+    author: 'falcyon',
+    description: 'Big bouncy red ball',
+    tags: ['ram', 'homing'],
+    behaviour: 'Bounces around while being pushed toward the target',
+    expect: { staysOnScreen: true, maxBodies: 2 },
+  },
+  {
+    key: 'car',
+    aliases: ['automobile', 'sedan', 'race car', 'racecar'],
+    author: 'falcyon',
+    description: 'Blue car with two motorised wheels',
+    tags: ['vehicle', 'ram'],
+    behaviour: 'Drives left along the ground',
+    expect: { staysOnScreen: true, maxBodies: 4 },
+  },
+  {
+    key: 'cannon',
+    aliases: ['artillery', 'howitzer'],
+    author: 'falcyon',
+    description: 'Cannon on a heavy base with a motorised barrel',
+    tags: ['weapon', 'projectile'],
+    behaviour: 'Aims its barrel at the target, allowing for gravity, and fires a cannonball every 0.8 seconds',
+    expect: { firesWithin: 1.5, minHits: 4, staysOnScreen: true, maxBodies: 25 },
+  },
+  {
+    key: 'rocket',
+    aliases: ['rocket ship', 'firework'],
+    author: 'falcyon',
+    description: 'Red rocket with a thruster trail',
+    tags: ['flying', 'homing', 'explosive'],
+    behaviour: 'Steers toward the target trailing flames and bursts into 12 fragments close to it',
+    expect: { firesWithin: 0.5, minHits: 1, staysOnScreen: true, maxBodies: 100 },
+  },
+  {
+    key: 'bomb',
+    aliases: ['grenade', 'explosive', 'dynamite', 'tnt'],
+    author: 'falcyon',
+    description: 'Round bomb with a lit fuse',
+    tags: ['explosive', 'projectile'],
+    behaviour: 'Is thrown up and to the left, then explodes into 12 fragments after 1.5 seconds',
+    expect: { firesWithin: 2, staysOnScreen: true, maxBodies: 25 },
+  },
+  {
+    key: 'boulder',
+    aliases: ['rock', 'stone'],
+    author: 'falcyon',
+    description: 'Heavy spinning boulder',
+    tags: ['ram'],
+    behaviour: 'Rolls left at speed; no update function',
+    expect: { staysOnScreen: true, maxBodies: 1 },
+  },
+  {
+    key: 'missile',
+    aliases: ['homing missile', 'torpedo'],
+    author: 'falcyon',
+    description: 'Gravity-free homing missile',
+    tags: ['flying', 'homing', 'explosive'],
+    behaviour: 'Turns toward the target, accelerates into it and explodes when close',
+    expect: { firesWithin: 0.5, minHits: 1, staysOnScreen: true, maxBodies: 200 },
+  },
+  {
+    key: 'turret',
+    aliases: ['sentry', 'sentry gun', 'gun turret'],
+    author: 'falcyon',
+    description: 'Armoured turret on wheels with a dome and barrel',
+    tags: ['weapon', 'vehicle', 'projectile'],
+    behaviour: 'Creeps left, aims its gun at the target and fires a fast shell with recoil every 0.4 seconds',
+    expect: { firesWithin: 1, minHits: 8, staysOnScreen: true, maxBodies: 130 },
+  },
+  {
+    key: 'wrecking ball',
+    aliases: ['demolition ball'],
+    author: 'falcyon',
+    description: 'Heavy ball on a chain hung from a fixed anchor',
+    tags: ['ram', 'pendulum'],
+    behaviour: 'Swings down through the spawn area like a pendulum; no update function',
+    expect: { staysOnScreen: true, maxBodies: 12 },
+  },
+  {
+    key: 'meteor',
+    aliases: ['asteroid', 'meteorite', 'comet'],
+    author: 'falcyon',
+    description: 'Burning meteor with a trail of flames',
+    tags: ['projectile', 'ram'],
+    behaviour: 'Launched straight at the target at spawn, leaving flame particles behind',
+    expect: { firesWithin: 0.5, staysOnScreen: true, maxBodies: 320 },
+  },
+  {
+    key: 'butterfly',
+    aliases: ['pretty butterfly'],
+    author: 'falcyon',
+    description: 'Butterfly with flapping orange wings',
+    tags: ['flying', 'creature'],
+    behaviour: 'Flaps its wings and flutters left toward the target; harmless',
+    expect: { staysOnScreen: true, maxBodies: 4 },
+  },
+  {
+    key: 'robot',
+    aliases: ['droid', 'android', 'mech'],
+    author: 'falcyon',
+    description: 'Wheeled robot with a torso, head and gun arm',
+    tags: ['vehicle', 'weapon', 'projectile'],
+    behaviour: 'Rolls left, aims its arm at the target and fires a shot about every 0.7 seconds',
+    expect: { firesWithin: 1, minHits: 3, staysOnScreen: true, maxBodies: 30 },
+  },
+  {
+    key: 'virus',
+    aliases: ['germ', 'bacteria', 'bacterium'],
+    author: 'falcyon',
+    description: 'Floating purple virus with green spikes',
+    tags: ['flying', 'projectile'],
+    behaviour: 'Floats weightless while spinning and fires a projectile at the target about every second',
+    expect: { firesWithin: 1.5, minHits: 2, staysOnScreen: true, maxBodies: 30 },
+  },
+];
@@ -0,0 +1,13 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world;
+var b = w.createBody({ type: "dynamic", position: v(x, y) });
+b.createFixture(p.Circle(2.5), { density: 1.2, restitution: 0.95, friction: 0.1 });
+registerObject({ body: b, type: "circle", radius: 2.5, color: "#e74c3c" });
+return { update: function() {
+  var tg = getTarget();
+  if (tg) {
+    var pos = b.getPosition(), dx = tg.x - pos.x, dy = tg.y - pos.y, dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist > 2) {
+      b.applyForce(v(dx / dist * 50, dy / dist * 50), pos);
+    }
+  }
+} };
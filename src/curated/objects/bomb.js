@@ -0,0 +1,25 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world;
+var body = w.createBody({ type: "dynamic", position: v(x, y) });
+body.createFixture(p.Circle(2), { density: 4.8, restitution: 0.1 });
+registerObject({ body, type: "circle", radius: 2, color: "#2c3e50" });
+var fuse = w.createBody({ type: "dynamic", position: v(x, y - 2.5) });
+fuse.createFixture(p.Box(0.2, 0.8), { density: 0.06 });
+registerObject({ body: fuse, type: "rect", hw: 0.2, hh: 0.8, color: "#e67e22" });
+w.createJoint(new p.WeldJoint({}, body, fuse, v(x, y - 2)));
+body.setLinearVelocity(v(-35, -15));
+var t = 0, exploded = false;
+return { update: function() {
+  t++;
+  if (!exploded && t > 90) {
+    exploded = true;
+    var pos = body.getPosition();
+    for (var i = 0; i < 12; i++) {
+      var ang = i * Math.PI * 2 / 12, spd = 30 + Math.random() * 20, frag = w.createBody({ type: "dynamic", position: v(pos.x + Math.cos(ang) * 2.5, pos.y + Math.sin(ang) * 2.5) });
+      frag.createFixture(p.Circle(0.6), { density: 1.2, restitution: 0.3 });
+      frag.setLinearVelocity(v(Math.cos(ang) * spd, Math.sin(ang) * spd));
+      registerObject({ body: frag, type: "circle", radius: 0.6, color: "#e74c3c" });
+    }
+    w.destroyBody(body);
+    w.destroyBody(fuse);
+  }
+} };
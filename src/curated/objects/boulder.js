@@ -0,0 +1,6 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world;
+var b = w.createBody({ type: "dynamic", position: v(x, y) });
+b.createFixture(p.Circle(4), { density: 9, friction: 0.6, restitution: 0.2 });
+b.setLinearVelocity(v(-25, 0));
+b.setAngularVelocity(-3);
+registerObject({ body: b, type: "circle", radius: 4, color: "#7f8c8d" });
@@ -0,0 +1,28 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, b = world.createBody({ type: "dynamic", position: v(x, y), fixedRotation: true, linearDamping: 3 });
+b.createFixture(p.Circle(0.6), { density: 1, friction: 0.3 });
+registerObject({ body: b, type: "circle", radius: 0.6, color: "#2c3e50" });
+var w = function(o) {
+  var q = world.createBody({ type: "dynamic", position: v(x, y + o) });
+  q.createFixture(p.Box(1.2, 0.3), { density: 0.1 });
+  registerObject({ body: q, type: "rect", hw: 1.2, hh: 0.3, color: "#e67e22" });
+  return q;
+};
+var u = w(-0.6), l = w(0.6);
+var j = function(A, B) {
+  return world.createJoint(new p.RevoluteJoint({ enableMotor: true, maxMotorTorque: 200, enableLimit: true, lowerAngle: -0.8, upperAngle: 0.8 }, A, B, v(x, y)));
+};
+var ju = j(b, u), jl = j(b, l), T = 0;
+return { update: function() {
+  T += 0.3;
+  var s = Math.sin(T) * 15;
+  ju.setMotorSpeed(s);
+  jl.setMotorSpeed(-s);
+  var t = getTarget(), P = b.getPosition(), M = b.getMass();
+  var f = v(-30 * M, -M * 100);
+  if (t) {
+    f.x += (t.x - P.x) * M;
+    f.y += (t.y - P.y) * 4 * M;
+  }
+  f.y += Math.sin(T) * 50 * M;
+  b.applyForceToCenter(f, true);
+} };
@@ -0,0 +1,25 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world, SPD = 90;
+var base = w.createBody({ type: "dynamic", position: v(x, y) });
+base.createFixture(p.Box(3, 1.5), { density: 6, friction: 0.8 });
+registerObject({ body: base, type: "rect", hw: 3, hh: 1.5, color: "#5d4037" });
+var barrel = w.createBody({ type: "dynamic", position: v(x - 2, y - 1) });
+barrel.createFixture(p.Box(4, 0.6), { density: 1.8 });
+registerObject({ body: barrel, type: "rect", hw: 4, hh: 0.6, color: "#424242" });
+var bj = w.createJoint(new p.RevoluteJoint({ enableMotor: true, maxMotorTorque: 3e3, motorSpeed: 0, enableLimit: true, lowerAngle: -0.5, upperAngle: 1.3 }, base, barrel, v(x, y - 1)));
+var t = 0;
+return { update: function() {
+  t++;
+  var aim = api.aimBallistic(barrel.getWorldPoint(v(-4, 0)), SPD);
+  if (aim) {
+    var ang = Math.atan2(aim.y, aim.x) - Math.PI, diff = ang - barrel.getAngle();
+    while (diff > Math.PI) diff -= 2 * Math.PI;
+    while (diff < -Math.PI) diff += 2 * Math.PI;
+    bj.setMotorSpeed(diff * 3);
+  }
+  if (t % 50 == 0) {
+    var ba = barrel.getAngle(), tip = barrel.getWorldPoint(v(-4, 0)), bl = w.createBody({ type: "dynamic", position: tip, bullet: true });
+    bl.createFixture(p.Circle(0.8), { density: 2.5, restitution: 0.1 });
+    bl.setLinearVelocity(v(-Math.cos(ba) * SPD, -Math.sin(ba) * SPD));
+    registerObject({ body: bl, type: "circle", radius: 0.8, color: "#1a1a1a" });
+  }
+} };
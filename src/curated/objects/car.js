@@ -0,0 +1,11 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world;
+var body = w.createBody({ type: "dynamic", position: v(x, y) });
+body.createFixture(p.Box(4, 1), { density: 1.2, friction: 0.3 });
+registerObject({ body, type: "rect", hw: 4, hh: 1, color: "#3498db" });
+var wOpts = { enableMotor: true, motorSpeed: -20, maxMotorTorque: 1200 };
+[-2.5, 2.5].forEach(function(ox) {
+  var wh = w.createBody({ type: "dynamic", position: v(x + ox, y + 1.5) });
+  wh.createFixture(p.Circle(1), { density: 0.9, friction: 2 });
+  registerObject({ body: wh, type: "circle", radius: 1, color: "#2c3e50" });
+  w.createJoint(new p.RevoluteJoint(wOpts, body, wh, wh.getPosition()));
+});
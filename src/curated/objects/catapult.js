@@ -0,0 +1,47 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world, SPD = 80, b = w.createBody({ type: "dynamic", position: v(x, y) });
+b.createFixture(p.Box(4, 1), { density: 3, friction: 0.5 });
+registerObject({ body: b, type: "rect", hw: 4, hh: 1, color: "#8b4513" });
+var wf = function(o) {
+  var k = w.createBody({ type: "dynamic", position: v(x + o, y + 1.5) });
+  k.createFixture(p.Circle(1.2), { density: 1.2, friction: 0.8 });
+  registerObject({ body: k, type: "circle", radius: 1.2, color: "#5d4037" });
+  w.createJoint(new p.RevoluteJoint({ enableMotor: true, motorSpeed: -8, maxMotorTorque: 300 }, b, k, k.getPosition()));
+};
+wf(2.5);
+wf(-2.5);
+var a = w.createBody({ type: "dynamic", position: v(x + 1, y - 1.5), angle: 0.1 });
+a.createFixture(p.Box(3.5, 0.3), { density: 0.6 });
+a.createFixture(p.Box(0.2, 0.8, v(3.3, -0.6), 0), { density: 0.6 });
+registerObject({ body: a, type: "rect", hw: 3.5, hh: 0.3, color: "#cd853f" });
+var j = w.createJoint(new p.RevoluteJoint({ enableLimit: true, lowerAngle: -2.5, upperAngle: 0.2, enableMotor: true, maxMotorTorque: 18e3, motorSpeed: 0 }, b, a, v(x - 2, y - 1)));
+var t = 0, rock = null, rockJoint = null, fireStart = 0, nextFire = 90;
+function loadRock() {
+  var ap = a.getWorldPoint(v(3.3, -0.8));
+  rock = w.createBody({ type: "dynamic", position: ap });
+  rock.createFixture(p.Circle(0.7), { density: 4.8, friction: 1 });
+  registerObject({ body: rock, type: "circle", radius: 0.7, color: "#2c3e50" });
+  rockJoint = w.createJoint(new p.WeldJoint({}, a, rock, ap));
+}
+loadRock();
+return { update: function() {
+  t++;
+  var tg = getTarget();
+  if (tg && !fireStart && t >= nextFire) {
+    j.setMotorSpeed(-40);
+    fireStart = t;
+  }
+  if (fireStart && t - fireStart > 15) {
+    if (rockJoint) {
+      w.destroyJoint(rockJoint);
+      rockJoint = null;
+    }
+    if (rock) {
+      rock.setLinearVelocity(api.aimBallistic(rock.getPosition(), SPD) || a.getLinearVelocityFromWorldPoint(a.getWorldPoint(v(3.3, 0))));
+      rock = null;
+    }
+    j.setMotorSpeed(8);
+    fireStart = 0;
+    nextFire = t + 150;
+    api.after(1200, loadRock);
+  }
+} };
@@ -0,0 +1,40 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world;
+var body = w.createBody({ type: "dynamic", position: v(x, y), angularDamping: 2, linearDamping: 0.5 });
+body.createFixture(p.Box(3, 1), { density: 0.9 });
+body.createFixture(p.Box(1, 0.8, v(0, -1)), { density: 0.6 });
+body.setLinearVelocity(v(-15, 0));
+registerObject({ body, type: "rect", hw: 3, hh: 1, color: "#2c3e50" });
+var tail = w.createBody({ type: "dynamic", position: v(x + 5, y) });
+tail.createFixture(p.Box(2.5, 0.3), { density: 0.18 });
+registerObject({ body: tail, type: "rect", hw: 2.5, hh: 0.3, color: "#34495e" });
+w.createJoint(new p.WeldJoint({}, body, tail, v(x + 3, y)));
+var rotor = w.createBody({ type: "dynamic", position: v(x, y - 2.5) });
+rotor.createFixture(p.Box(5, 0.15), { density: 0.06, isSensor: true });
+registerObject({ body: rotor, type: "rect", hw: 5, hh: 0.15, color: "#7f8c8d" });
+var rj = w.createJoint(new p.RevoluteJoint({ enableMotor: true, motorSpeed: 50, maxMotorTorque: 60 }, body, rotor, v(x, y - 2)));
+var tailRotor = w.createBody({ type: "dynamic", position: v(x + 7.5, y) });
+tailRotor.createFixture(p.Box(0.1, 1), { density: 0.03, isSensor: true });
+registerObject({ body: tailRotor, type: "rect", hw: 0.1, hh: 1, color: "#95a5a6" });
+w.createJoint(new p.RevoluteJoint({ enableMotor: true, motorSpeed: 80, maxMotorTorque: 30 }, tail, tailRotor, v(x + 7.5, y)));
+var t = 0, hover = y;
+return { update: function() {
+  t++;
+  var pos = body.getPosition(), tg = getTarget();
+  var lift = 720;
+  if (pos.y > hover) lift = 960;
+  if (pos.y < hover - 3) lift = 480;
+  body.applyForce(v(0, -lift), pos);
+  if (tg) {
+    var dx = tg.x - pos.x;
+    if (Math.abs(dx) > 5) body.applyForce(v(dx > 0 ? 50 : -50, 0), pos);
+  }
+  var ang = body.getAngle();
+  if (Math.abs(ang) > 0.1) body.applyTorque(-ang * 120);
+  if (tg && t % 90 == 0) {
+    var dx = tg.x - pos.x, dy = tg.y - pos.y, dist = Math.sqrt(dx * dx + dy * dy), nx = dx / dist, ny = dy / dist;
+    var bul = w.createBody({ type: "dynamic", position: v(pos.x, pos.y + 2) });
+    bul.createFixture(p.Circle(0.4), { density: 1 });
+    bul.setLinearVelocity(v(nx * 70, ny * 70));
+    registerObject({ body: bul, type: "circle", radius: 0.4, color: "#e74c3c" });
+  }
+} };
@@ -0,0 +1,24 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world;
+var tg = getTarget(), dx = 0, dy = 1;
+if (tg) {
+  dx = tg.x - x;
+  dy = tg.y - y;
+  var d = Math.sqrt(dx * dx + dy * dy);
+  dx /= d;
+  dy /= d;
+}
+var body = w.createBody({ type: "dynamic", position: v(x, y) });
+body.createFixture(p.Circle(3), { density: 7, restitution: 0.2 });
+body.setLinearVelocity(v(dx * 50, dy * 50));
+body.setAngularVelocity(2);
+registerObject({ body, type: "circle", radius: 3, color: "#c0392b" });
+var t = 0;
+return { update: function() {
+  t++;
+  if (t % 2 == 0) {
+    var pos = body.getPosition(), vel = body.getLinearVelocity(), fl = w.createBody({ type: "dynamic", position: v(pos.x - vel.x * 0.02 + Math.random() * 2 - 1, pos.y - vel.y * 0.02 + Math.random() * 2 - 1), gravityScale: 0 });
+    fl.createFixture(p.Circle(0.4 + Math.random() * 0.5), { density: 6e-3, isSensor: true });
+    fl.setLinearVelocity(v(-vel.x * 0.3, -vel.y * 0.3));
+    registerObject({ body: fl, type: "circle", radius: 0.5, color: Math.random() > 0.5 ? "#e67e22" : "#f39c12" });
+  }
+} };
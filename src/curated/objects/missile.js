@@ -0,0 +1,33 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world;
+var body = w.createBody({ type: "dynamic", position: v(x, y), angularDamping: 2, bullet: true, gravityScale: 0.1 });
+body.createFixture(p.Box(2, 0.5), { density: 0.9 });
+body.createFixture(p.Polygon([v(2, 0), v(1.5, -0.5), v(1.5, 0.5)]), { density: 0.18 });
+registerObject({ body, type: "rect", hw: 2, hh: 0.5, color: "#34495e" });
+var t = 0, exploded = false;
+return { update: function() {
+  t++;
+  var pos = body.getPosition(), tg = getTarget();
+  if (!exploded && tg) {
+    var dx = tg.x - pos.x, dy = tg.y - pos.y, dist = Math.sqrt(dx * dx + dy * dy), ang = Math.atan2(dy, dx), cur = body.getAngle(), diff = ang - cur;
+    while (diff > Math.PI) diff -= 2 * Math.PI;
+    while (diff < -Math.PI) diff += 2 * Math.PI;
+    body.setAngularVelocity(diff * 6);
+    body.applyForce(v(Math.cos(cur) * 120, Math.sin(cur) * 120), pos);
+    if (dist < 4 && !exploded) {
+      exploded = true;
+      for (var i = 0; i < 10; i++) {
+        var a = i * Math.PI * 2 / 10, spd = 30 + Math.random() * 20, fr = w.createBody({ type: "dynamic", position: v(pos.x + Math.cos(a) * 1.5, pos.y + Math.sin(a) * 1.5) });
+        fr.createFixture(p.Circle(0.5), { density: 1.2 });
+        fr.setLinearVelocity(v(Math.cos(a) * spd, Math.sin(a) * spd));
+        registerObject({ body: fr, type: "circle", radius: 0.5, color: "#f39c12" });
+      }
+      w.destroyBody(body);
+    }
+  }
+  if (!exploded && t % 2 == 0) {
+    var ba = body.getAngle(), ex = pos.x - Math.cos(ba) * 2.5, ey = pos.y - Math.sin(ba) * 2.5, fl = w.createBody({ type: "dynamic", position: v(ex, ey), gravityScale: 0 });
+    fl.createFixture(p.Circle(0.2), { density: 6e-3, isSensor: true });
+    fl.setLinearVelocity(v(-Math.cos(ba) * 15, -Math.sin(ba) * 15));
+    registerObject({ body: fl, type: "circle", radius: 0.2, color: "#e74c3c" });
+  }
+} };
@@ -0,0 +1,15 @@
+var m, v = planck.Vec2(-5, 0), t = 0;
+[0, -3.5, 3.5].forEach(function(i) {
+  var b = world.createBody({ type: "kinematic", position: planck.Vec2(spawnX + i, spawnY + (i ? 1 : 0)), linearVelocity: v });
+  b.createFixture(planck.Circle(i ? 2.5 : 3.2));
+  registerObject({ body: b, type: "circle", radius: i ? 2.5 : 3.2, color: "#bdc3c7" });
+  if (!i) m = b;
+});
+return { update: function() {
+  if (++t % 3 == 0) {
+    var r = world.createBody({ type: "dynamic", position: planck.Vec2(m.getPosition().x + (Math.random() * 14 - 7), m.getPosition().y + 3) });
+    r.createFixture(planck.Circle(0.25), { density: 0.3 });
+    r.setLinearVelocity(planck.Vec2(-5, 25));
+    registerObject({ body: r, type: "circle", radius: 0.25, color: "#3498db" });
+  }
+} };
@@ -0,0 +1,43 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world, SPD = 90, c = w.createBody({ type: "dynamic", position: v(x, y) }), t = w.createBody({ type: "dynamic", position: v(x, y - 2.5) }), h = w.createBody({ type: "dynamic", position: v(x, y - 5) }), a = w.createBody({ type: "dynamic", position: v(x - 2.5, y - 2.5) }), w1 = w.createBody({ type: "dynamic", position: v(x - 2, y + 1.5) }), w2 = w.createBody({ type: "dynamic", position: v(x + 2, y + 1.5) });
+c.createFixture(p.Box(3, 1), { density: 1, friction: 0.5, filterGroupIndex: -1 });
+t.createFixture(p.Box(1.5, 2), { density: 0.5, filterGroupIndex: -1 });
+h.createFixture(p.Circle(1.2), { density: 0.5, filterGroupIndex: -1 });
+a.createFixture(p.Box(2.5, 0.3), { density: 0.5, filterGroupIndex: -1 });
+w1.createFixture(p.Circle(1.5), { density: 1, friction: 0.8 });
+w2.createFixture(p.Circle(1.5), { density: 1, friction: 0.8 });
+registerObject({ body: c, type: "rect", hw: 3, hh: 1, color: "#34495e" });
+registerObject({ body: t, type: "rect", hw: 1.5, hh: 2, color: "#95a5a6" });
+registerObject({ body: h, type: "circle", radius: 1.2, color: "#e67e22" });
+registerObject({ body: a, type: "rect", hw: 2.5, hh: 0.3, color: "#e74c3c" });
+registerObject({ body: w1, type: "circle", radius: 1.5, color: "#2c3e50" });
+registerObject({ body: w2, type: "circle", radius: 1.5, color: "#2c3e50" });
+w.createJoint(new p.WeldJoint({}, c, t, v(x, y - 1.5)));
+w.createJoint(new p.WeldJoint({}, t, h, v(x, y - 4.5)));
+var j1 = w.createJoint(new p.RevoluteJoint({ enableMotor: true, motorSpeed: 0, maxMotorTorque: 500 }, c, w1, w1.getPosition()));
+var j2 = w.createJoint(new p.RevoluteJoint({ enableMotor: true, motorSpeed: 0, maxMotorTorque: 500 }, c, w2, w2.getPosition()));
+var j = w.createJoint(new p.RevoluteJoint({ enableMotor: true, maxMotorTorque: 500 }, t, a, v(x, y - 2.5))), k = 0, rolling = false;
+function touching(b) {
+  for (var ce = b.getContactList(); ce; ce = ce.next) if (ce.contact.isTouching()) return true;
+  return false;
+}
+return { update: function() {
+  if (!rolling && (touching(w1) || touching(w2))) {
+    rolling = true;
+    j1.setMotorSpeed(-15);
+    j2.setMotorSpeed(-15);
+  }
+  var g = getTarget(), aim = g && api.aimBallistic(a.getWorldPoint(v(-2.5, 0)), SPD);
+  if (aim) {
+    var an = Math.atan2(aim.y, aim.x) - Math.PI, cu = a.getAngle(), df = an - cu;
+    while (df > Math.PI) df -= 2 * Math.PI;
+    while (df < -Math.PI) df += 2 * Math.PI;
+    j.setMotorSpeed(df * 5);
+    if (++k > 40) {
+      k = 0;
+      var tip = a.getWorldPoint(v(-2.5, 0)), b = w.createBody({ type: "dynamic", position: tip, bullet: true });
+      b.createFixture(p.Circle(0.3), { density: 1 });
+      b.setLinearVelocity(v(-Math.cos(cu) * SPD, -Math.sin(cu) * SPD));
+      registerObject({ body: b, type: "circle", radius: 0.3, color: "#f39c12" });
+    }
+  }
+} };
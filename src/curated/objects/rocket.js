@@ -0,0 +1,33 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world;
+var body = w.createBody({ type: "dynamic", position: v(x, y), angularDamping: 3, gravityScale: 0.05 });
+body.createFixture(p.Box(3, 0.8), { density: 0.3 });
+body.createFixture(p.Polygon([v(-3, 0), v(-4, -1), v(-4, 1)]), { density: 0.06 });
+registerObject({ body, type: "rect", hw: 3, hh: 0.8, color: "#c0392b" });
+var t = 0, exploded = false;
+return { update: function() {
+  t++;
+  var pos = body.getPosition(), tg = getTarget();
+  if (!exploded && tg) {
+    var dx = tg.x - pos.x, dy = tg.y - pos.y, dist = Math.sqrt(dx * dx + dy * dy), ang = Math.atan2(dy, dx), cur = body.getAngle(), diff = ang - cur;
+    while (diff > Math.PI) diff -= 2 * Math.PI;
+    while (diff < -Math.PI) diff += 2 * Math.PI;
+    body.setAngularVelocity(diff * 5);
+    body.applyForce(v(Math.cos(cur) * 90, Math.sin(cur) * 90), pos);
+    if (dist < 5 && !exploded) {
+      exploded = true;
+      for (var i = 0; i < 12; i++) {
+        var a = i * Math.PI * 2 / 12, spd = 35 + Math.random() * 20, fr = w.createBody({ type: "dynamic", position: v(pos.x + Math.cos(a) * 2, pos.y + Math.sin(a) * 2) });
+        fr.createFixture(p.Circle(0.7), { density: 1.5 });
+        fr.setLinearVelocity(v(Math.cos(a) * spd, Math.sin(a) * spd));
+        registerObject({ body: fr, type: "circle", radius: 0.7, color: "#e74c3c" });
+      }
+      w.destroyBody(body);
+    }
+  }
+  if (!exploded && t % 3 == 0) {
+    var ba = body.getAngle(), ex = pos.x - Math.cos(ba) * 3.5, ey = pos.y - Math.sin(ba) * 3.5, fl = w.createBody({ type: "dynamic", position: v(ex, ey), gravityScale: -0.5 });
+    fl.createFixture(p.Circle(0.3 + Math.random() * 0.3), { density: 6e-3, isSensor: true });
+    fl.setLinearVelocity(v(-Math.cos(ba) * 20 + Math.random() * 10 - 5, -Math.sin(ba) * 20 + Math.random() * 10 - 5));
+    registerObject({ body: fl, type: "circle", radius: 0.4, color: Math.random() > 0.5 ? "#e67e22" : "#f1c40f" });
+  }
+} };
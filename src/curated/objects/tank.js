@@ -0,0 +1,35 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world, G = 40, SPD = 80, body = w.createBody({ type: "dynamic", position: v(x, y) });
+body.createFixture(p.Box(5, 1.5), { density: 1.8, friction: 0.5 });
+registerObject({ body, type: "rect", hw: 5, hh: 1.5, color: "#4a5d23" });
+var wOpts = { enableMotor: true, motorSpeed: -8, maxMotorTorque: 1800 };
+[-3.5, 0, 3.5].forEach(function(ox) {
+  var wh = w.createBody({ type: "dynamic", position: v(x + ox, y + 2.2) });
+  wh.createFixture(p.Circle(1.3), { density: 1.2, friction: 1.5 });
+  registerObject({ body: wh, type: "circle", radius: 1.3, color: "#2d2d2d" });
+  w.createJoint(new p.RevoluteJoint(wOpts, body, wh, wh.getPosition()));
+});
+var tb = w.createBody({ type: "dynamic", position: v(x - 1, y - 2.2) });
+tb.createFixture(p.Box(2, 0.8), { density: 0.6 });
+registerObject({ body: tb, type: "rect", hw: 2, hh: 0.8, color: "#3d4a1f" });
+w.createJoint(new p.WeldJoint({}, body, tb, v(x - 1, y - 1.5)));
+var br = w.createBody({ type: "dynamic", position: v(x - 4, y - 2.2) });
+br.createFixture(p.Box(3, 0.35), { density: 0.3 });
+registerObject({ body: br, type: "rect", hw: 3, hh: 0.35, color: "#2a3515" });
+var tj = w.createJoint(new p.RevoluteJoint({ enableMotor: true, maxMotorTorque: 500, motorSpeed: 0 }, tb, br, v(x - 1, y - 2.2)));
+var t = 0;
+return { update: function() {
+  t++;
+  var tg = getTarget();
+  if (tg) {
+    var bp = br.getPosition(), dx = tg.x - bp.x, dy = tg.y - bp.y, dist = Math.sqrt(dx * dx + dy * dy), ft = dist / SPD, drop = 0.5 * G * ft * ft, ang = Math.atan2(tg.y - drop - bp.y, dx) - Math.PI, cur = br.getAngle(), diff = ang - cur;
+    while (diff > Math.PI) diff -= 2 * Math.PI;
+    while (diff < -Math.PI) diff += 2 * Math.PI;
+    tj.setMotorSpeed(diff * 5);
+  }
+  if (t % 60 == 0) {
+    var ba = br.getAngle(), tip = br.getWorldPoint(v(-3, 0)), bl = w.createBody({ type: "dynamic", position: tip, bullet: true });
+    bl.createFixture(p.Circle(0.5), { density: 1.5, restitution: 0.2 });
+    bl.setLinearVelocity(v(-Math.cos(ba) * SPD, -Math.sin(ba) * SPD));
+    registerObject({ body: bl, type: "circle", radius: 0.5, color: "#e74c3c" });
+  }
+} };
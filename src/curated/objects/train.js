@@ -0,0 +1,32 @@
+var c = spawnX, d = spawnY, v = planck.Vec2, w = world, b = w.createBody({ type: "dynamic", position: v(c, d) });
+b.createFixture(planck.Box(5, 1.5), { density: 3, friction: 0.3 });
+registerObject({ body: b, type: "rect", hw: 5, hh: 1.5, color: "#c0392b" });
+var k = w.createBody({ type: "dynamic", position: v(c + 3, d - 2) });
+k.createFixture(planck.Box(1.5, 1.5), { density: 1.2 });
+registerObject({ body: k, type: "rect", hw: 1.5, hh: 1.5, color: "#922b21" });
+w.createJoint(new planck.WeldJoint({}, b, k, v(c + 3, d - 0.5)));
+var s = w.createBody({ type: "dynamic", position: v(c - 3, d - 2.5) });
+s.createFixture(planck.Box(0.6, 1), { density: 0.6 });
+registerObject({ body: s, type: "rect", hw: 0.6, hh: 1, color: "#2c3e50" });
+w.createJoint(new planck.WeldJoint({}, b, s, v(c - 3, d - 1.5)));
+var g = w.createBody({ type: "dynamic", position: v(c - 5.2, d + 1), angle: -0.6 });
+g.createFixture(planck.Box(0.2, 1.6), { density: 1.2 });
+registerObject({ body: g, type: "rect", hw: 0.2, hh: 1.6, color: "#7f8c8d" });
+w.createJoint(new planck.WeldJoint({}, b, g, v(c - 5, d + 1)));
+var js = { enableMotor: true, motorSpeed: -15, maxMotorTorque: 3e3 };
+[-4, 0, 4].forEach(function(i) {
+  var wh = w.createBody({ type: "dynamic", position: v(c + i, d + 3) });
+  wh.createFixture(planck.Circle(1.2), { density: 1.8, friction: 2 });
+  registerObject({ body: wh, type: "circle", radius: 1.2, color: "#34495e" });
+  w.createJoint(new planck.RevoluteJoint(js, b, wh, wh.getPosition()));
+});
+var t = 0;
+return { update: function() {
+  if (++t % 6 == 0) {
+    var p = s.getPosition(), sm = w.createBody({ type: "dynamic", position: v(p.x + (Math.random() * 1 - 0.5), p.y - 1.2), gravityScale: -0.3 });
+    sm.createFixture(planck.Circle(0.3 + Math.random() * 0.3), { density: 6e-3, isSensor: true });
+    sm.setLinearVelocity(v(-5 - Math.random() * 3, -8 - Math.random() * 5));
+    sm.setAngularVelocity(Math.random() * 2 - 1);
+    registerObject({ body: sm, type: "circle", radius: 0.4, color: "#ddd" });
+  }
+} };
@@ -0,0 +1,47 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world, SPD = 118;
+var base = w.createBody({ type: "dynamic", position: v(x, y + 1) });
+base.createFixture(p.Box(4, 1.5), { density: 15, friction: 1.2, filterGroupIndex: -1 });
+registerObject({ body: base, type: "rect", hw: 4, hh: 1.5, color: "#556b2f" });
+var wOpts = { enableMotor: true, motorSpeed: -6, maxMotorTorque: 900 };
+[-3, 3].forEach(function(ox) {
+  var wh = w.createBody({ type: "dynamic", position: v(x + ox, y + 3) });
+  wh.createFixture(p.Circle(1.1), { density: 1.8, friction: 1.8 });
+  registerObject({ body: wh, type: "circle", radius: 1.1, color: "#2d2d2d" });
+  w.createJoint(new p.RevoluteJoint(wOpts, base, wh, wh.getPosition()));
+});
+var dome = w.createBody({ type: "dynamic", position: v(x, y - 1) });
+dome.createFixture(p.Circle(2.2), { density: 4.8, friction: 0.5 });
+registerObject({ body: dome, type: "circle", radius: 2.2, color: "#4a5d23" });
+w.createJoint(new p.RevoluteJoint({ enableLimit: true, lowerAngle: 0, upperAngle: 0 }, base, dome, v(x, y)));
+var gun = w.createBody({ type: "dynamic", position: v(x - 3, y - 1) });
+gun.createFixture(p.Box(3.5, 0.45), { density: 1.2, filterGroupIndex: -1 });
+gun.createFixture(p.Box(0.6, 0.7, v(-3.5, 0)), { density: 0.6, filterGroupIndex: -1 });
+registerObject({ body: gun, type: "rect", hw: 3.5, hh: 0.45, color: "#3d4f27" });
+var gj = w.createJoint(new p.RevoluteJoint({ enableMotor: true, maxMotorTorque: 3e3, motorSpeed: 0, enableLimit: true, lowerAngle: -0.8, upperAngle: 0.9 }, dome, gun, v(x, y - 1)));
+var t = 0, recoil = 0;
+return { update: function() {
+  t++;
+  if (recoil > 0) recoil--;
+  var tg = getTarget(), aim = tg && api.aimBallistic(gun.getWorldPoint(v(-4.5, 0)), SPD);
+  if (aim) {
+    var ang = Math.atan2(aim.y, aim.x) - Math.PI, diff = ang - gun.getAngle();
+    while (diff > Math.PI) diff -= 2 * Math.PI;
+    while (diff < -Math.PI) diff += 2 * Math.PI;
+    gj.setMotorSpeed(diff * 8);
+  }
+  if (tg && t % 25 == 0 && recoil == 0) {
+    recoil = 8;
+    var ga = gun.getAngle(), tip = gun.getWorldPoint(v(-4.5, 0));
+    gun.applyLinearImpulse(v(-Math.cos(ga) * 5, -Math.sin(ga) * 5), gun.getWorldCenter());
+    var bl = w.createBody({ type: "dynamic", position: tip, bullet: true });
+    bl.createFixture(p.Circle(0.55), { density: 2, restitution: 0.15 });
+    bl.setLinearVelocity(v(-Math.cos(ga) * SPD, -Math.sin(ga) * SPD));
+    registerObject({ body: bl, type: "circle", radius: 0.55, color: "#e74c3c" });
+    for (var i = 0; i < 3; i++) {
+      var fl = w.createBody({ type: "dynamic", position: v(tip.x + Math.random() * 2 - 1, tip.y + Math.random() * 2 - 1), gravityScale: 0 });
+      fl.createFixture(p.Circle(0.3), { density: 6e-3, isSensor: true });
+      fl.setLinearVelocity(v(-Math.cos(ga) * 15 + Math.random() * 10 - 5, -Math.sin(ga) * 15 + Math.random() * 10 - 5));
+      registerObject({ body: fl, type: "circle", radius: 0.3, color: Math.random() > 0.5 ? "#f1c40f" : "#e67e22" });
+    }
+  }
+} };
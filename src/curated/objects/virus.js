@@ -0,0 +1,23 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world, G = 40, SPD = 85, a = w.createBody({ type: "dynamic", position: v(x, y), gravityScale: 0, angularVelocity: 1.5, linearVelocity: v(-15, 0) });
+a.createFixture(p.Circle(3), { density: 1, friction: 0.5, restitution: 0.5 });
+registerObject({ body: a, type: "circle", radius: 3, color: "#8e44ad" });
+for (var i = 0; i < 8; i++) {
+  var r = i * Math.PI / 4, px = x + Math.cos(r) * 3, py = y + Math.sin(r) * 3, b = w.createBody({ type: "dynamic", position: v(px, py), angle: r, gravityScale: 0 });
+  b.createFixture(p.Box(1, 0.3), { density: 0.1 });
+  registerObject({ body: b, type: "rect", hw: 1, hh: 0.3, color: "#2ecc71" });
+  w.createJoint(new p.WeldJoint({}, a, b, v(px, py)));
+}
+var t = 0;
+return { update: function() {
+  if (++t > 50) {
+    t = 0;
+    var g = getTarget();
+    if (g) {
+      var pos = a.getPosition(), dx = g.x - pos.x, dy = g.y - pos.y, dist = Math.sqrt(dx * dx + dy * dy), ft = dist / SPD, drop = 0.5 * G * ft * ft, nx = dx / dist, ny = (dy - drop) / dist;
+      var z = w.createBody({ type: "dynamic", position: pos, bullet: true });
+      z.createFixture(p.Circle(0.6), { density: 1, restitution: 0.8 });
+      z.setLinearVelocity(v(nx * SPD, ny * SPD));
+      registerObject({ body: z, type: "circle", radius: 0.6, color: "#e74c3c" });
+    }
+  }
+} };
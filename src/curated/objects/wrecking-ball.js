@@ -0,0 +1,15 @@
+var p = planck, v = p.Vec2, x = spawnX, y = spawnY, w = world;
+var anchor = w.createBody({ type: "static", position: v(x, y - 15) });
+var ball = w.createBody({ type: "dynamic", position: v(x + 20, y) });
+ball.createFixture(p.Circle(4), { density: 12, restitution: 0.3, friction: 0.5 });
+registerObject({ body: ball, type: "circle", radius: 4, color: "#2c3e50" });
+var prev = anchor, len = 3;
+for (var i = 0; i < 8; i++) {
+  var link = w.createBody({ type: "dynamic", position: v(x + (i + 1) * 2.5, y - 15 + i * 2) });
+  link.createFixture(p.Box(1.2, 0.4), { density: 1.2 });
+  registerObject({ body: link, type: "rect", hw: 1.2, hh: 0.4, color: "#7f8c8d" });
+  w.createJoint(new p.RevoluteJoint({}, prev, link, prev.getPosition()));
+  prev = link;
+}
+w.createJoint(new p.RevoluteJoint({}, prev, ball, prev.getPosition()));
+ball.setLinearVelocity(v(-30, 0));
@@ -1,15 +1,24 @@
 import planck from 'planck';
 import { SCALE, WALL_THICKNESS, CAT_WALL, COLORS } from './constants.js';
-import { fetchAllFirebase, LS_PREFIX_EXPORT } from './cache.js';
+import { toVariants } from './cache.js';
+import { codeHash, isCodeHash } from './codeHash.js';
 import { CURATED_OBJECTS } from './curatedCache.js';
+import { createBundle } from './storage/bundle.js';
+import { createStores, createTieredStore, loadStorageConfig } from './storage/storage.js';
+import { getObjects } from './objects.js';
+import { createExecutor } from './executor.js';
+import { createSandboxHost } from './sandbox/sandboxHost.js';
+import { drawBodyShapes } from './renderer.js';
 
 // --- Canvas setup ---
 const canvas = document.getElementById('c');
 const sidebar = document.getElementById('sidebar');
 const objectList = document.getElementById('object-list');
 const statusEl = document.getElementById('status');
+const statsEl = document.getElementById('stats');
 const btnRefresh = document.getElementById('btn-refresh');
 const btnClear = document.getElementById('btn-clear');
+const btnExport = document.getElementById('btn-export');
 
 function resizeCanvas() {
   canvas.width = window.innerWidth - sidebar.offsetWidth;
@@ -19,9 +28,12 @@ resizeCanvas();
 window.addEventListener('resize', resizeCanvas);
 
 // --- Physics world (same as world.js but uses canvas size) ---
+const FLOOR_HH = 2; // floor platform half-height
+
 let world;
-const objects = [];
-const updaters = [];
+let executor;
+let creations = [];           // executor handles of live creations, for the stats panel
+const objects = getObjects(); // shared registry, so the executor's registerObject lands here
 
 function createWorld() {
   const w = new planck.World({ gravity: new planck.Vec2(0, 40) });
@@ -47,96 +59,35 @@ function createWorld() {
   }
 
   // Visible floor platform
-  const floorH = 2;
-  const floor = w.createBody({ type: 'static', position: new planck.Vec2(W / 2, H - floorH) });
-  floor.createFixture(new planck.Box(W / 2, floorH), {
+  const floor = w.createBody({ type: 'static', position: new planck.Vec2(W / 2, H - FLOOR_HH) });
+  floor.createFixture(new planck.Box(W / 2, FLOOR_HH), {
     friction: 0.8,
     filterCategoryBits: CAT_WALL,
     filterMaskBits: 0xFFFF,
   });
   floor.setUserData({ isWall: true, isFloor: true });
-  objects.push({ body: floor, type: 'rect', hw: W / 2, hh: floorH, color: '#333' });
+  objects.push({ body: floor, type: 'rect', hw: W / 2, hh: FLOOR_HH, color: '#333' });
 
   return w;
 }
 
-function registerObject(obj) {
-  objects.push(obj);
-}
-
-// --- Executor (inline, mirrors src/executor.js but uses local state) ---
-const MAX_EPHEMERAL = 400;
-const ephemeral = []; // global ring buffer for bodies created during update()
-
-// Dev page target: bottom center (simulated enemy position)
+// --- Executor (shared src/executor.js; stored entries run in the sandbox worker like in the game) ---
+// Dev page target: bottom-left (simulated enemy position)
 let devTargetX = null;
 let devTargetY = null;
 
-function unregisterObject(obj) {
-  const i = objects.indexOf(obj);
-  if (i !== -1) objects.splice(i, 1);
-}
-
-function execute(code, spawnX, spawnY, targetX = null, targetY = null) {
-  const W = canvas.width / SCALE;
-  const H = canvas.height / SCALE;
-
-  // Default target to left side, 90% down
-  const tx = targetX ?? W * 0.15;
-  const ty = targetY ?? H * 0.9;
-  devTargetX = tx;
-  devTargetY = ty;
-
-  let inUpdate = false;
-
-  function wrappedRegister(obj) {
-    obj.spawned = true;
-    registerObject(obj);
-    if (inUpdate) {
-      ephemeral.push(obj);
-      if (ephemeral.length > MAX_EPHEMERAL) {
-        const old = ephemeral.shift();
-        unregisterObject(old);
-        world.destroyBody(old.body);
-      }
-    }
-  }
-
-  // getTarget returns current target position (for dev, it's static)
-  function getTarget() {
-    return { x: devTargetX, y: devTargetY };
-  }
-
-  let fn;
+async function execute(code, spawnX, spawnY, label, { curated = false } = {}) {
   try {
-    fn = new Function(
-      'planck', 'world', 'registerObject', 'W', 'H', 'spawnX', 'spawnY', 'targetX', 'targetY', 'getTarget',
-      code,
-    );
-  } catch (e) {
-    statusEl.textContent = `Syntax error: ${e.message}`;
-    return;
-  }
-
-  let result;
-  try {
-    result = fn(planck, world, wrappedRegister, W, H, spawnX, spawnY, tx, ty, getTarget);
+    // Stored entries may come from Firebase or the REST server: only curated code runs in-process
+    const handle = await executor.execute(code, spawnX, spawnY, { label, trusted: curated, shared: !curated });
+    creations.push(handle);
+    handle.onDestroyed(() => {
+      creations = creations.filter(h => h !== handle);
+    });
   } catch (e) {
-    statusEl.textContent = `Runtime error: ${e.message}`;
+    statusEl.textContent = e.message;
     return;
   }
-
-  if (result && typeof result.update === 'function') {
-    const origUpdate = result.update;
-    updaters.push({
-      update() {
-        inUpdate = true;
-        origUpdate();
-        inUpdate = false;
-      },
-    });
-  }
-
   statusEl.textContent = `Spawned object (${objects.length} bodies)`;
 }
 
@@ -156,6 +107,7 @@ function cleanupOOB() {
 
 // --- Clear world (destroy all non-wall bodies) ---
 function clearWorld() {
+  executor.clearAll();
   for (let body = world.getBodyList(); body; body = body.getNext()) {
     if (body.getUserData()?.isWall) continue;
     world.destroyBody(body);
@@ -166,23 +118,26 @@ function clearWorld() {
       objects.splice(i, 1);
     }
   }
-  updaters.length = 0;
   statusEl.textContent = 'Cleared.';
 }
 
 // --- Rebuild world from scratch ---
 function resetWorld() {
   objects.length = 0;
-  updaters.length = 0;
   world = createWorld(); // createWorld adds floor to objects
   // Set default target position (left side, 90% down)
   const W = canvas.width / SCALE;
   const H = canvas.height / SCALE;
   devTargetX = W * 0.15;
   devTargetY = H * 0.9;
+  // The worker's bottom wall stands in for the floor platform
+  const sandbox = createSandboxHost(world, W, H - 2 * FLOOR_HH);
+  executor = createExecutor(world, { W, H, sandbox });
+  creations = [];
+  executor.setTargetProvider(() => ({ x: devTargetX, y: devTargetY }));
 }
 
-// --- Simple renderer (draws circles, rects, and generic shapes) ---
+// --- Simple renderer (every fixture of every body, see renderer.js drawBodyShapes) ---
 const ctx = canvas.getContext('2d');
 
 function draw() {
@@ -205,62 +160,7 @@ function draw() {
     ctx.translate(pos.x * SCALE, pos.y * SCALE);
     ctx.rotate(angle);
 
-    if (obj.type === 'circle') {
-      const r = obj.radius * SCALE;
-      ctx.beginPath();
-      ctx.arc(0, 0, r, 0, Math.PI * 2);
-      ctx.fillStyle = obj.color || '#e94560';
-      ctx.fill();
-      ctx.strokeStyle = 'rgba(255,255,255,0.3)';
-      ctx.lineWidth = 2;
-      ctx.stroke();
-      // Rotation indicator
-      ctx.beginPath();
-      ctx.moveTo(0, 0);
-      ctx.lineTo(r * 0.8, 0);
-      ctx.strokeStyle = 'rgba(255,255,255,0.6)';
-      ctx.lineWidth = 2;
-      ctx.stroke();
-    } else if (obj.hw != null && obj.hh != null) {
-      const w = obj.hw * 2 * SCALE;
-      const h = obj.hh * 2 * SCALE;
-      ctx.fillStyle = obj.color || '#45b7d1';
-      ctx.fillRect(-w / 2, -h / 2, w, h);
-      ctx.strokeStyle = 'rgba(255,255,255,0.25)';
-      ctx.lineWidth = 2;
-      ctx.strokeRect(-w / 2, -h / 2, w, h);
-    } else {
-      // Fallback: draw all fixtures
-      for (let f = obj.body.getFixtureList(); f; f = f.getNext()) {
-        const shape = f.getShape();
-        const type = shape.getType();
-        if (type === 'circle') {
-          const r = shape.getRadius() * SCALE;
-          ctx.beginPath();
-          ctx.arc(0, 0, r, 0, Math.PI * 2);
-          ctx.fillStyle = obj.color || '#e94560';
-          ctx.fill();
-        } else if (type === 'polygon') {
-          const verts = [];
-          for (let i = 0; i < shape.m_count; i++) {
-            verts.push(shape.m_vertices[i]);
-          }
-          if (verts.length > 0) {
-            ctx.beginPath();
-            ctx.moveTo(verts[0].x * SCALE, verts[0].y * SCALE);
-            for (let i = 1; i < verts.length; i++) {
-              ctx.lineTo(verts[i].x * SCALE, verts[i].y * SCALE);
-            }
-            ctx.closePath();
-            ctx.fillStyle = obj.color || '#45b7d1';
-            ctx.fill();
-            ctx.strokeStyle = 'rgba(255,255,255,0.25)';
-            ctx.lineWidth = 2;
-            ctx.stroke();
-          }
-        }
-      }
-    }
+    drawBodyShapes(ctx, obj.body, obj.color || (obj.type === 'circle' ? '#e94560' : '#45b7d1'), obj.style);
 
     ctx.restore();
   }
@@ -303,32 +203,7 @@ function drawUntracked() {
     ctx.translate(pos.x * SCALE, pos.y * SCALE);
     ctx.rotate(angle);
 
-    for (let f = body.getFixtureList(); f; f = f.getNext()) {
-      const shape = f.getShape();
-      const type = shape.getType();
-      if (type === 'circle') {
-        const r = shape.getRadius() * SCALE;
-        ctx.beginPath();
-        ctx.arc(0, 0, r, 0, Math.PI * 2);
-        ctx.fillStyle = '#888';
-        ctx.fill();
-      } else if (type === 'polygon') {
-        const verts = [];
-        for (let i = 0; i < shape.m_count; i++) {
-          verts.push(shape.m_vertices[i]);
-        }
-        if (verts.length > 0) {
-          ctx.beginPath();
-          ctx.moveTo(verts[0].x * SCALE, verts[0].y * SCALE);
-          for (let i = 1; i < verts.length; i++) {
-            ctx.lineTo(verts[i].x * SCALE, verts[i].y * SCALE);
-          }
-          ctx.closePath();
-          ctx.fillStyle = '#888';
-          ctx.fill();
-        }
-      }
-    }
+    drawBodyShapes(ctx, body, '#888');
 
     ctx.restore();
   }
@@ -396,41 +271,39 @@ function setupInput() {
 }
 
 // --- Fetch cached entries ---
-let entries = {}; // key → code
+const store = createTieredStore(createStores(loadStorageConfig()));
+let entries = {};    // key → code (of its first variant)
+let sharedWith = {}; // key → other keys serving the same code (see codeHash.js)
 
 async function fetchEntries() {
   statusEl.textContent = 'Fetching...';
   entries = {};
 
-  // Firebase
-  const firebase = await fetchAllFirebase();
-  for (const [key, code] of Object.entries(firebase)) {
-    if (typeof code === 'string') {
-      entries[key] = code;
-    }
-  }
-
-  // localStorage
-  for (let i = 0; i < localStorage.length; i++) {
-    const lsKey = localStorage.key(i);
-    if (lsKey.startsWith(LS_PREFIX_EXPORT)) {
-      const name = lsKey.slice(LS_PREFIX_EXPORT.length);
-      if (!entries[name]) {
-        try {
-          const val = JSON.parse(localStorage.getItem(lsKey));
-          if (typeof val === 'string') entries[name] = val;
-        } catch { /* skip */ }
-      }
+  // Every storage tier; curated entries take priority over stored ones
+  const stored = await store.entries();
+  const keysByHash = new Map();
+  const hashesByKey = {};
+  for (const [key, entry] of Object.entries(stored)) {
+    const variants = toVariants(entry);
+    if (variants.length === 0) continue;
+    entries[key] = variants[0].code;
+    hashesByKey[key] = await Promise.all(variants.map(v => (isCodeHash(v.codeHash) ? v.codeHash : codeHash(v.code))));
+    for (const hash of hashesByKey[key]) {
+      if (!keysByHash.has(hash)) keysByHash.set(hash, new Set());
+      keysByHash.get(hash).add(key);
     }
   }
-
-  // Curated (highest priority - overwrites others)
-  for (const [key, code] of Object.entries(CURATED_OBJECTS)) {
-    entries[key] = code;
+  sharedWith = {};
+  for (const [key, hashes] of Object.entries(hashesByKey)) {
+    const others = new Set(hashes.flatMap(h => [...keysByHash.get(h)]));
+    others.delete(key);
+    if (others.size > 0) sharedWith[key] = [...others].sort();
   }
 
   renderSidebar();
-  statusEl.textContent = `${Object.keys(entries).length} cached objects`;
+  const shared = Object.keys(sharedWith).length;
+  statusEl.textContent = `${Object.keys(entries).length} cached objects, ${keysByHash.size} distinct` +
+    (shared > 0 ? `, ${shared} sharing code` : '');
 }
 
 // --- Sidebar rendering ---
@@ -443,6 +316,12 @@ function renderSidebar() {
     const el = document.createElement('div');
     el.className = 'object-item' + (key === activeKey ? ' active' : '');
     el.textContent = key;
+    if (sharedWith[key]) {
+      const shared = document.createElement('span');
+      shared.className = 'shared';
+      shared.textContent = `same code as ${sharedWith[key].join(', ')}`;
+      el.appendChild(shared);
+    }
     el.addEventListener('click', () => spawnEntry(key));
     objectList.appendChild(el);
   }
@@ -463,9 +342,44 @@ function spawnEntry(key) {
   const spawnX = W * 0.7;
   const spawnY = H * 0.2;
 
-  execute(code, spawnX, spawnY);
+  execute(code, spawnX, spawnY, key, { curated: CURATED_OBJECTS[key] === code });
 }
 
+// --- Executor stats (per-creation update cost and body counts, with pause/remove) ---
+function renderStats() {
+  statsEl.innerHTML = '';
+  for (const handle of creations) {
+    const s = handle.getStats();
+    const el = document.createElement('div');
+    el.className = 'stat-row' + (s.suspended ? ' suspended' : '');
+    let text = `${s.label || '#' + s.id}: ${s.bodiesCreated} bodies, ${s.ephemeralCount} ephemeral`;
+    if (s.hasUpdate) text += `, ${s.avgMs.toFixed(2)}ms/frame`;
+    if (s.throttle > 1) text += `, every ${s.throttle} frames`;
+    if (s.suspended) text += ' — SUSPENDED';
+    if (s.paused) text += ' — paused';
+    el.textContent = text;
+    for (const [action, title] of [['toggle', s.paused ? 'resume' : 'pause'], ['remove', 'remove']]) {
+      const btn = document.createElement('a');
+      btn.className = 'stat-action';
+      btn.dataset.id = s.id;
+      btn.dataset.action = action;
+      btn.textContent = title;
+      el.appendChild(btn);
+    }
+    statsEl.appendChild(el);
+  }
+}
+
+statsEl.addEventListener('click', (e) => {
+  const { id, action } = e.target.dataset;
+  const handle = creations.find(h => String(h.id) === id);
+  if (!handle) return;
+  if (action === 'remove') handle.destroy();
+  else if (handle.isPaused()) handle.resume();
+  else handle.pause();
+  renderStats();
+});
+
 // --- Buttons ---
 btnRefresh.addEventListener('click', fetchEntries);
 btnClear.addEventListener('click', () => {
@@ -473,6 +387,19 @@ btnClear.addEventListener('click', () => {
   activeKey = null;
   renderSidebar();
 });
+// Download every stored entry (curated ones already ship with the game) as a cache bundle
+btnExport.addEventListener('click', async () => {
+  const stored = await store.entries();
+  for (const key of Object.keys(CURATED_OBJECTS)) delete stored[key];
+  const bundle = createBundle(stored, { source: location.origin });
+  const url = URL.createObjectURL(new Blob([JSON.stringify(bundle)], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'cache-bundle.json';
+  a.click();
+  URL.revokeObjectURL(url);
+  statusEl.textContent = `Exported ${bundle.count} entries`;
+});
 
 // --- Init ---
 resetWorld();
@@ -480,20 +407,26 @@ setupInput();
 fetchEntries();
 
 // --- Game loop ---
+let frameCount = 0;
+
 function loop() {
   // Run updaters
+  const updaters = executor.getUpdaters();
   for (let i = updaters.length - 1; i >= 0; i--) {
     try {
       updaters[i].update();
+      if (updaters[i].dead) updaters.splice(i, 1);
     } catch (e) {
       console.warn('Updater error, removing:', e);
       updaters.splice(i, 1);
     }
   }
 
+  executor.syncSandbox();
   world.step(1 / 60, 8, 3);
   cleanupOOB();
   draw();
+  if (++frameCount % 30 === 0) renderStats();
   requestAnimationFrame(loop);
 }
 
@@ -1,30 +1,311 @@
 import planck from 'planck';
-import { SCALE } from './constants.js';
-import { registerObject, unregisterObject } from './objects.js';
+import { SCALE, CAT_WALL } from './constants.js';
+import * as objectRegistry from './objects.js';
+import { analyzeCode, formatReport } from './codeAnalyzer.js';
+import { createRuntimeApi } from './runtimeApi.js';
+import { normalizeStyle } from './styles.js';
 
 const MAX_EPHEMERAL = 400;
 
-export function createExecutor(world) {
+// Updater CPU budget (per creation). Over budget → run every 2nd, 4th, ... frame;
+// still over budget at MAX_THROTTLE → suspended until cleared.
+const UPDATE_BUDGET_MS = 2;     // average ms per frame a single updater may use
+const BUDGET_WINDOW = 60;       // frames in the rolling average
+const MAX_THROTTLE = 8;         // run at most every 8th frame before suspending
+const MAX_TRACKED_CREATIONS = 50;
+
+/**
+ * Handle returned by execute() for one creation. `impl` does the in-process or
+ * sandboxed work; the handle adds the paused/destroyed state and listeners.
+ * Returns the handle and `finish(reason)`, which the executor calls when the
+ * creation goes away without handle.destroy() (cleared, or all bodies gone).
+ */
+function createHandle(id, label, impl) {
+  const listeners = [];
+  let paused = false;
+  let destroyed = false;
+
+  function finish(reason) {
+    if (destroyed) return;
+    destroyed = true;
+    impl.release();
+    for (const fn of listeners) {
+      try {
+        fn(reason);
+      } catch (e) {
+        console.warn('onDestroyed listener error:', e);
+      }
+    }
+  }
+
+  const handle = {
+    id,
+    label,
+    /** Remove the creation: its bodies (and their joints), its ephemerals and its updater */
+    destroy() {
+      if (destroyed) return;
+      impl.destroy();
+      finish('destroyed');
+    },
+    /** Freeze the creation in place: bodies stop simulating and update() stops running */
+    pause() {
+      if (destroyed || paused) return;
+      paused = true;
+      impl.setPaused(true);
+    },
+    resume() {
+      if (destroyed || !paused) return;
+      paused = false;
+      impl.setPaused(false);
+    },
+    isPaused() { return paused; },
+    isDestroyed() { return destroyed; },
+    /**
+     * Live bodies of the creation (sandboxed creations: their proxies).
+     * @param {object} [opts]
+     * @param {boolean} [opts.ephemeral] - Include bodies spawned by update() (bullets, particles)
+     */
+    getBodies({ ephemeral = false } = {}) {
+      return destroyed ? [] : impl.getBodies(ephemeral);
+    },
+    /** Joints between the creation's bodies (always empty for sandboxed creations) */
+    getJoints() {
+      return destroyed ? [] : impl.getJoints();
+    },
+    /** Same shape as an executor getStats() row, plus paused and destroyed */
+    getStats() {
+      return { ...impl.getStats(), paused, destroyed };
+    },
+    /**
+     * @param {Function} fn - Called once with the reason: 'destroyed' (destroy()),
+     *   'cleared' (clearAll()) or 'gone' (every root body was destroyed or consumed;
+     *   only noticed for creations with an update())
+     */
+    onDestroyed(fn) {
+      listeners.push(fn);
+    },
+  };
+  return { handle, finish };
+}
+
+/**
+ * Runs generated code against a planck world.
+ *
+ * @param {planck.World} world
+ * @param {object} [options]
+ * @param {number} [options.W] - World width in meters (defaults to the window size)
+ * @param {number} [options.H] - World height in meters (defaults to the window size)
+ * @param {object} [options.sandbox] - Sandbox host (see sandbox/sandboxHost.js). When set,
+ *   untrusted code runs in the worker and only `trusted` executions run in-process.
+ * @param {object} [options.registry] - { registerObject, unregisterObject, getObjects } to track
+ *   spawned objects in (defaults to the shared objects.js registry; headless runs pass their own)
+ * @param {number} [options.updateBudgetMs] - Per-updater frame budget (default UPDATE_BUDGET_MS)
+ * @param {number} [options.budgetWindow] - Frames in the rolling budget window (default BUDGET_WINDOW)
+ */
+export function createExecutor(world, options = {}) {
   const updaters = [];
   const ephemeral = []; // global ring buffer for bodies created during update()
+  const ephemeralOwner = new WeakMap(); // ephemeral object → its creation's stats
+  const creations = []; // per-creation stats, most recent last
+  const finishers = new Map(); // creation id → finish() of its handle, for clearAll()
+  const remote = new Map();    // sandbox worker's creation id → finish() of its handle
+  let nextCreationId = 1;
+  const sandbox = options.sandbox || null;
+  const { registerObject, unregisterObject, getObjects } = options.registry || objectRegistry;
+  const updateBudgetMs = options.updateBudgetMs ?? UPDATE_BUDGET_MS;
+  const budgetWindow = options.budgetWindow ?? BUDGET_WINDOW;
 
-  const W = window.innerWidth / SCALE;
-  const H = window.innerHeight / SCALE;
+  const W = options.W ?? window.innerWidth / SCALE;
+  const H = options.H ?? window.innerHeight / SCALE;
 
   // Default getTarget returns null (no target)
   let targetProvider = () => null;
+  let errorHandler = null;
 
   function setTargetProvider(fn) {
     targetProvider = fn;
   }
 
-  function execute(code, spawnX, spawnY, targetX = null, targetY = null) {
+  /**
+   * Report runtime crashes of generated code (an update() that threw), in-process
+   * or in the sandbox worker, e.g. to quarantine the cache entry that produced it.
+   * @param {Function} fn - Called with (label, message)
+   */
+  function onCreationError(fn) {
+    errorHandler = fn;
+  }
+  if (sandbox) {
+    sandbox.onCrash((label, message) => errorHandler?.(label, message));
+    sandbox.onDestroyed((remoteId, reason) => remote.get(remoteId)?.(reason));
+  }
+
+  // --- Contact routing (see runtimeApi.js onHit / onContact) ---
+  const contactWatchers = new Map(); // body → receive() of the creation watching it
+  const bodyOwner = new WeakMap();   // body → creation id, to tell 'self' from 'creation'
+  let routing = false;
+
+  // What a body is to a creation touching it (categories in runtimeApi.js)
+  function contactCategory(fixture, creationId) {
+    const body = fixture.getBody();
+    const ud = body.getUserData() || {};
+    if (ud.isEye) return 'eye';
+    if (ud.isCrash) return 'enemy';
+    const owner = bodyOwner.get(body);
+    if (owner !== undefined) return owner === creationId ? 'self' : 'creation';
+    if (ud.isSandboxProxy) return 'creation';
+    if (ud.isWall || fixture.getFilterCategoryBits() === CAT_WALL) return 'wall';
+    return 'page';
+  }
+
+  function routeContact(type, contact, impulse = 0) {
+    const fA = contact.getFixtureA();
+    const fB = contact.getFixtureB();
+    for (const [own, other] of [[fA, fB], [fB, fA]]) {
+      const body = own.getBody();
+      const receive = contactWatchers.get(body);
+      if (receive) receive(type, body, other.getBody(), contactCategory(other, bodyOwner.get(body)), impulse);
+    }
+  }
+
+  function watchContacts(body, receive) {
+    // Subscribed on first use: post-solve fires for every touching pair on every step
+    if (!routing) {
+      routing = true;
+      world.on('begin-contact', contact => routeContact('begin', contact));
+      world.on('end-contact', contact => routeContact('end', contact));
+      world.on('post-solve', (contact, impulse) => {
+        if (contactWatchers.size === 0) return;
+        const points = contact.getManifold().pointCount;
+        const total = impulse.normalImpulses.slice(0, points).reduce((a, b) => a + b, 0);
+        routeContact('postSolve', contact, total);
+      });
+      // However a watched body goes (creation code, the ephemeral ring, cleanup,
+      // The Crash), stop routing to it and let its creation drop its handlers
+      world.on('remove-body', (removed) => {
+        const receiver = contactWatchers.get(removed);
+        if (!receiver) return;
+        contactWatchers.delete(removed);
+        receiver('remove', removed);
+      });
+    }
+    contactWatchers.set(body, receive);
+  }
+
+  function unwatchContacts(body) {
+    contactWatchers.delete(body);
+  }
+
+  // Live ephemerals owned by a creation's stats
+  function ownedEphemerals(stats) {
+    const live = new Set(getObjects());
+    return ephemeral.filter(obj => ephemeralOwner.get(obj) === stats && live.has(obj));
+  }
+
+  function destroyObject(obj) {
+    unregisterObject(obj);
+    try {
+      world.destroyBody(obj.body);
+    } catch (e) { /* Body may already be destroyed */ }
+  }
+
+  function track(map, key, finish) {
+    map.set(key, finish);
+    // Only recent creations get 'cleared' events; older handles keep working
+    if (map.size > MAX_TRACKED_CREATIONS) map.delete(map.keys().next().value);
+  }
+
+  function sandboxHandle(remoteId, label) {
+    const id = nextCreationId++;
+    const own = obj => obj.sandboxed && obj.creationId === remoteId;
+    const { handle, finish } = createHandle(id, label, {
+      destroy() { sandbox.despawn(remoteId); },
+      setPaused(paused) { sandbox.setPaused(remoteId, paused); },
+      getBodies: ephemeralToo => getObjects().filter(obj => own(obj) && (ephemeralToo || !obj.ephemeral)).map(obj => obj.body),
+      getJoints: () => [],
+      // Worker stats are refreshed every few frames
+      getStats: () => sandbox.getStats().find(s => s.id === remoteId) || { id: remoteId, label, sandboxed: true },
+      release() { remote.delete(remoteId); },
+    });
+    track(remote, remoteId, finish);
+    return handle;
+  }
+
+  // Static safety analysis of untrusted code; throws if it fails
+  function checkCode(code, shared) {
+    const report = analyzeCode(code, { shared });
+    if (!report.ok) {
+      const err = new Error(formatReport(report));
+      err.report = report;
+      throw err;
+    }
+    for (const issue of report.issues) {
+      console.warn(`[Code analysis] ${issue.rule}: ${issue.message} — ${issue.snippet}`);
+    }
+  }
+
+  /**
+   * Execute generated code at the given spawn point. Untrusted code runs in the
+   * sandbox worker when the executor has one, otherwise in-process (its bodies
+   * then exist as soon as this returns, see executeSync()).
+   * @param {string} code
+   * @param {number} spawnX
+   * @param {number} spawnY
+   * @param {object} [opts]
+   * @param {boolean} [opts.trusted] - Run in-process with full page access, skipping the
+   *   static safety analysis (curated entries only)
+   * @param {boolean} [opts.shared] - Code from a cache or other players rather than this
+   *   session's own generation: analyzed with the stricter shared rules (see codeAnalyzer.js)
+   * @param {string} [opts.label] - Name shown in getStats() (e.g. the cache key)
+   * @returns {Promise<object>} the creation's handle (see createHandle); rejects if the
+   *   code fails the safety analysis, doesn't compile or throws while spawning
+   */
+  async function execute(code, spawnX, spawnY, opts = {}) {
+    if (!sandbox || opts.trusted) return executeSync(code, spawnX, spawnY, opts);
+    checkCode(code, !!opts.shared);
+    const label = opts.label ?? '';
+    return sandboxHandle(await sandbox.execute(code, spawnX, spawnY, { label, shared: !!opts.shared }), label);
+  }
+
+  /**
+   * execute() for callers that step the world right after spawning (headless
+   * simulations, the sandbox worker): always in-process, so not for untrusted
+   * code when the executor has a sandbox.
+   * @param {string} code
+   * @param {number} spawnX
+   * @param {number} spawnY
+   * @param {object} [opts] - As for execute()
+   * @returns {object} the creation's handle (see createHandle)
+   * @throws {Error} if the code fails the safety analysis, doesn't compile or throws while spawning
+   */
+  function executeSync(code, spawnX, spawnY, {
+    trusted = false, shared = false, targetX = null, targetY = null, label = '',
+  } = {}) {
+    if (sandbox && !trusted) throw new Error('Untrusted code runs in the sandbox: use execute()');
+    if (!trusted) checkCode(code, shared);
+
     let inUpdate = false;
     const rootBodies = []; // non-ephemeral bodies created by this execute() call
+    const rootObjects = [];
+    const stats = {
+      id: nextCreationId++,
+      label,
+      hasUpdate: false,
+      avgMs: 0,             // rolling average cost per frame
+      throttle: 1,          // update runs every `throttle` frames
+      suspended: false,
+      paused: false,
+      bodiesCreated: 0,
+      ephemeralCount: 0,    // ephemeral bodies currently alive (filled in by getStats)
+    };
 
     function wrappedRegister(obj) {
       obj.spawned = true;
+      obj.creationId = stats.id;
+      obj.creationLabel = label;
+      obj.style = normalizeStyle(obj);
       registerObject(obj);
+      bodyOwner.set(obj.body, stats.id);
+      stats.bodiesCreated++;
       if (inUpdate) {
         obj.ephemeral = true;
         // Tag the body so suction can skip particles
@@ -32,6 +313,7 @@ export function createExecutor(world) {
         ud.isEphemeral = true;
         obj.body.setUserData(ud);
         ephemeral.push(obj);
+        ephemeralOwner.set(obj, stats);
         if (ephemeral.length > MAX_EPHEMERAL) {
           const old = ephemeral.shift();
           unregisterObject(old);
@@ -39,6 +321,7 @@ export function createExecutor(world) {
         }
       } else {
         rootBodies.push(obj.body);
+        rootObjects.push(obj);
       }
     }
 
@@ -47,11 +330,15 @@ export function createExecutor(world) {
       return targetProvider();
     }
 
+    // Helpers (timers, aiming, hit callbacks) — see runtimeApi.js
+    const runtime = createRuntimeApi(world, { registerObject: wrappedRegister, getTarget, watchContacts, unwatchContacts });
+
+    // Strict mode: `this` in a plain call is undefined rather than the global object
     let fn;
     try {
       fn = new Function(
-        'planck', 'world', 'registerObject', 'W', 'H', 'spawnX', 'spawnY', 'targetX', 'targetY', 'getTarget',
-        code,
+        'planck', 'world', 'registerObject', 'W', 'H', 'spawnX', 'spawnY', 'targetX', 'targetY', 'getTarget', 'api',
+        `'use strict';\n${code}`,
       );
     } catch (e) {
       throw new Error(`Syntax error in generated code: ${e.message}`);
@@ -59,21 +346,107 @@ export function createExecutor(world) {
 
     let result;
     try {
-      result = fn(planck, world, wrappedRegister, W, H, spawnX, spawnY, targetX, targetY, getTarget);
+      result = fn(planck, world, wrappedRegister, W, H, spawnX, spawnY, targetX, targetY, getTarget, runtime.api);
     } catch (e) {
+      runtime.dispose();
       throw new Error(`Runtime error in generated code: ${e.message}`);
     }
 
-    if (result && typeof result.update === 'function') {
-      const origUpdate = result.update;
-      updaters.push({
+    creations.push(stats);
+    if (creations.length > MAX_TRACKED_CREATIONS) creations.shift();
+
+    let updater = null;
+    const liveRoots = () => {
+      const live = new Set(getObjects());
+      return rootObjects.filter(obj => live.has(obj));
+    };
+    const { handle, finish } = createHandle(stats.id, label, {
+      destroy() {
+        if (updater) updater.dead = true;
+        const owned = ownedEphemerals(stats);
+        for (const obj of [...liveRoots(), ...owned]) destroyObject(obj);
+        for (const obj of owned) ephemeral.splice(ephemeral.indexOf(obj), 1);
+      },
+      setPaused(paused) {
+        stats.paused = paused;
+        for (const obj of [...liveRoots(), ...ownedEphemerals(stats)]) obj.body.setActive(!paused);
+      },
+      getBodies: ephemeralToo => [...liveRoots(), ...(ephemeralToo ? ownedEphemerals(stats) : [])].map(obj => obj.body),
+      getJoints() {
+        const joints = new Set();
+        for (const { body } of liveRoots()) {
+          for (let edge = body.getJointList(); edge; edge = edge.next) joints.add(edge.joint);
+        }
+        return [...joints];
+      },
+      getStats: () => ({ ...stats, ephemeralCount: ownedEphemerals(stats).length }),
+      release() {
+        runtime.dispose();
+        finishers.delete(stats.id);
+        const i = creations.indexOf(stats);
+        if (i !== -1) creations.splice(i, 1);
+      },
+    });
+    track(finishers, stats.id, finish);
+
+    // Helper timers and callbacks need ticking even when the code has no update()
+    const hasUpdate = !!result && typeof result.update === 'function';
+    if (hasUpdate || runtime.hasWork()) {
+      const origUpdate = hasUpdate ? result.update : () => {};
+      stats.hasUpdate = hasUpdate;
+      let frame = 0;
+      const samples = []; // ms per call, last `budgetWindow` calls
+
+      // Rolling-window budget check: back off while over budget, recover when well under
+      function checkBudget(ms) {
+        samples.push(ms);
+        if (samples.length > budgetWindow) samples.shift();
+        const avgCall = samples.reduce((a, b) => a + b, 0) / samples.length;
+        stats.avgMs = avgCall / stats.throttle;
+        if (samples.length < budgetWindow) return;
+
+        if (stats.avgMs > updateBudgetMs) {
+          if (stats.throttle >= MAX_THROTTLE) {
+            stats.suspended = true;
+            console.warn(`Updater "${label || stats.id}" suspended: ${avgCall.toFixed(2)}ms per call`);
+          } else {
+            stats.throttle *= 2;
+            console.warn(`Updater "${label || stats.id}" over budget, running every ${stats.throttle} frames`);
+          }
+          samples.length = 0;
+        } else if (stats.throttle > 1 && avgCall / (stats.throttle / 2) < updateBudgetMs * 0.5) {
+          stats.throttle /= 2;
+          samples.length = 0;
+        }
+      }
+
+      // Runs creation code (helper callbacks included) so bodies it creates count as ephemeral
+      const run = (work) => {
+        inUpdate = true;
+        try {
+          work();
+        } catch (e) {
+          // If update throws (likely because body was destroyed mid-update), mark as dead
+          console.warn('Updater error, marking dead:', e.message);
+          updater.dead = true;
+          updater.error = e.message;
+          runtime.dispose();
+          errorHandler?.(label, e.message);
+        }
+        inUpdate = false;
+      };
+
+      updater = {
         dead: false,
         rootBodies,
+        stats,
         update() {
+          // Paused bodies are inactive on purpose; don't mistake them for destroyed ones
+          if (stats.paused) return;
           // Stop if ANY root body has been destroyed or consumed
           // Use try-catch because destroyed bodies may throw when accessed
           if (rootBodies.length > 0) {
-            const anyDeadOrConsumed = rootBodies.some(b => {
+            const gone = rootBodies.filter(b => {
               try {
                 // Check if body is consumed (marked by The Crash)
                 const ud = b.getUserData();
@@ -84,32 +457,61 @@ export function createExecutor(world) {
                 return true; // Body is invalid/destroyed
               }
             });
-            if (anyDeadOrConsumed) {
+            if (gone.length > 0) {
+              if (gone.some(b => b.getUserData()?.isConsumed)) run(runtime.consumed);
               this.dead = true;
+              runtime.dispose();
+              // Parts may outlive the updater (a car losing a wheel); the creation is gone with the last one
+              if (gone.length === rootBodies.length || liveRoots().length === 0) finish('gone');
               return;
             }
           }
-          inUpdate = true;
-          try {
+          if (stats.suspended || frame++ % stats.throttle !== 0) return;
+          const t0 = performance.now();
+          run(() => {
+            runtime.tick(stats.throttle);
             origUpdate();
-          } catch (e) {
-            // If update throws (likely because body was destroyed mid-update), mark as dead
-            console.warn('Updater error, marking dead:', e.message);
-            this.dead = true;
-          }
-          inUpdate = false;
+          });
+          checkBudget(performance.now() - t0);
         },
-      });
+      };
+      updaters.push(updater);
     }
+
+    return handle;
   }
 
   function getUpdaters() {
     return updaters;
   }
 
+  /**
+   * Per-creation stats (in-process and sandboxed), oldest first:
+   * { id, label, hasUpdate, avgMs, throttle, suspended, paused, bodiesCreated, ephemeralCount, sandboxed? }
+   */
+  function getStats() {
+    // Ephemeral bodies also disappear via OOB cleanup and The Crash, so count live ones here
+    const live = new Set(getObjects());
+    for (const s of creations) s.ephemeralCount = 0;
+    for (const obj of ephemeral) {
+      if (live.has(obj)) ephemeralOwner.get(obj).ephemeralCount++;
+    }
+    const local = creations.map(s => ({ ...s }));
+    return sandbox ? [...local, ...sandbox.getStats()] : local;
+  }
+
+  /**
+   * Advance the sandbox worker by one frame and apply its latest body transforms.
+   * No-op when running without a sandbox.
+   */
+  function syncSandbox() {
+    if (sandbox) sandbox.sync(targetProvider());
+  }
+
   /**
    * Clear all ephemeral bodies (bullets, particles, etc.)
    * and stop all updaters. Called on game over.
+   * Tracked handles fire onDestroyed('cleared').
    */
   function clearAll() {
     // Destroy all ephemeral bodies
@@ -122,13 +524,22 @@ export function createExecutor(world) {
       } catch (e) { /* Body may already be destroyed */ }
     }
     ephemeral.length = 0;
+    for (const finish of [...finishers.values(), ...remote.values()]) finish('cleared');
+    finishers.clear();
+    remote.clear();
+    creations.length = 0;
 
     // Mark all updaters as dead so they stop running
     for (const u of updaters) {
       u.dead = true;
     }
     updaters.length = 0;
+
+    if (sandbox) sandbox.clear();
   }
 
-  return { execute, getUpdaters, setTargetProvider, clearAll };
+  return {
+    execute, executeSync, getUpdaters, getStats, setTargetProvider, onCreationError,
+    syncSandbox, clearAll,
+  };
 }
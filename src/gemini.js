@@ -1,95 +1,43 @@
-const API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
-// Primary: gemini-3-pro-preview for code generation
-const PRIMARY_URL =
-  `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-pro-preview:generateContent?key=${API_KEY}`;
-// Fallback: gemini-2.0-flash if primary fails
-const FALLBACK_URL =
-  `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${API_KEY}`;
-// Flash for normalization (cheap, fast)
-const FLASH_URL =
-  `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${API_KEY}`;
-
-const SYSTEM_PROMPT = `You generate planck.js code for a Box2D physics game. The objective is to create objects that destroy the enemy. Return ONLY executable JS — no markdown, no comments, no blank lines.
-Machine-executed only. Maximize conciseness: single-letter vars, inline everything, only create a variable if referenced more than once.
-
-Available: planck, world, registerObject(obj), W, H, spawnX, spawnY, getTarget()
-getTarget() returns {x,y} of enemy position for aiming. Use it for homing/aiming.
-Gravity: (0, 40), positive Y = down. World ~320×180m.
-AIMING TIP: Bullets drop due to gravity! For accurate hits, compensate: flightTime=dist/speed, drop=0.5*40*flightTime^2, aim at (target.y - drop).
-LEFT-FACING BARRELS: Since objects face LEFT, barrels should extend LEFT from pivot. For such barrels: (1) aiming angle = atan2(dy,dx) - Math.PI, (2) bullet velocity = (-cos(angle)*speed, -sin(angle)*speed), (3) spawn bullet from getWorldPoint with negative X offset.
-Register circles: registerObject({body,type:'circle',radius,color})
-Register rects: registerObject({body,type:'rect',hw,hh,color})
-Colors: hex strings. Use varied colors for different parts.
-Joints: RevoluteJoint, WeldJoint, DistanceJoint, PrismaticJoint
-For continuous behavior: return {update:function(){}} (called 60fps).
-Objects spawn RIGHT side, should FACE and MOVE LEFT.
-IMPORTANT - Densities: Use VERY LOW densities (0.5-1.5 typical, max 3). Projectiles should be especially light (density 1-2).
-IMPORTANT - Bullet velocities: Use moderate speeds (70-100 typical). Balance speed with physics feel.
-If input is gibberish: throw new Error("Cannot understand request");
-Be CREATIVE — use multiple bodies + joints. Don't just make a single shape. Include bullets and projectiles if plausible.
-
-EXAMPLES:
-User: "ball"
-var b=world.createBody({type:'dynamic',position:planck.Vec2(spawnX,spawnY)});b.createFixture(planck.Circle(2),{density:1.2,friction:.3,restitution:.9});registerObject({body:b,type:'circle',radius:2,color:'#e94560'});
-
-User: "car"
-var c=spawnX,d=spawnY,a=world.createBody({type:'dynamic',position:planck.Vec2(c,d)});a.createFixture(planck.Box(5,1.2),{density:1.2,friction:.3,restitution:.1});registerObject({body:a,type:'rect',hw:5,hh:1.2,color:'#e74c3c'});var b=world.createBody({type:'dynamic',position:planck.Vec2(c-.5,d-2)});b.createFixture(planck.Box(3,1),{density:.5,friction:.3,restitution:.1});registerObject({body:b,type:'rect',hw:3,hh:1,color:'#c0392b'});world.createJoint(new planck.WeldJoint({},a,b,planck.Vec2(c-.5,d-1.2)));var e=world.createBody({type:'dynamic',position:planck.Vec2(c-3.5,d+2)});e.createFixture(planck.Circle(1.3),{density:1.8,friction:.9,restitution:.05});registerObject({body:e,type:'circle',radius:1.3,color:'#2c3e50'});world.createJoint(new planck.RevoluteJoint({enableMotor:true,motorSpeed:20,maxMotorTorque:4000},a,e,planck.Vec2(c-3.5,d+2)));var f=world.createBody({type:'dynamic',position:planck.Vec2(c+3.5,d+2)});f.createFixture(planck.Circle(1.3),{density:1.8,friction:.9,restitution:.05});registerObject({body:f,type:'circle',radius:1.3,color:'#2c3e50'});world.createJoint(new planck.RevoluteJoint({enableMotor:true,motorSpeed:20,maxMotorTorque:4000},a,f,planck.Vec2(c+3.5,d+2)));
-
-User: "tank"
-var c=spawnX,d=spawnY,G=40,SPD=80,a=world.createBody({type:'dynamic',position:planck.Vec2(c,d)});a.createFixture(planck.Box(5,1.5),{density:1.8,friction:.5});registerObject({body:a,type:'rect',hw:5,hh:1.5,color:'#4a5d23'});var wOpts={enableMotor:true,motorSpeed:-8,maxMotorTorque:1800};[-3.5,0,3.5].forEach(function(o){var wh=world.createBody({type:'dynamic',position:planck.Vec2(c+o,d+2.2)});wh.createFixture(planck.Circle(1.3),{density:1.2,friction:1.5});registerObject({body:wh,type:'circle',radius:1.3,color:'#2d2d2d'});world.createJoint(new planck.RevoluteJoint(wOpts,a,wh,wh.getPosition()))});var tb=world.createBody({type:'dynamic',position:planck.Vec2(c-1,d-2.2)});tb.createFixture(planck.Box(2,.8),{density:0.6});registerObject({body:tb,type:'rect',hw:2,hh:.8,color:'#3d4a1f'});world.createJoint(new planck.WeldJoint({},a,tb,planck.Vec2(c-1,d-1.5)));var br=world.createBody({type:'dynamic',position:planck.Vec2(c-4,d-2.2)});br.createFixture(planck.Box(3,.35),{density:.3});registerObject({body:br,type:'rect',hw:3,hh:.35,color:'#2a3515'});var tj=world.createJoint(new planck.RevoluteJoint({enableMotor:true,maxMotorTorque:500,motorSpeed:0},tb,br,planck.Vec2(c-1,d-2.2))),t=0;return{update:function(){t++;var tg=getTarget();if(tg){var bp=br.getPosition(),dx=tg.x-bp.x,dy=tg.y-bp.y,dist=Math.sqrt(dx*dx+dy*dy),ft=dist/SPD,drop=0.5*G*ft*ft,ang=Math.atan2(tg.y-drop-bp.y,dx)-Math.PI,cur=br.getAngle(),diff=ang-cur;while(diff>Math.PI)diff-=2*Math.PI;while(diff<-Math.PI)diff+=2*Math.PI;tj.setMotorSpeed(diff*5)}if(t%60==0){var ba=br.getAngle(),tip=br.getWorldPoint(planck.Vec2(-3,0)),bl=world.createBody({type:'dynamic',position:tip,bullet:true});bl.createFixture(planck.Circle(.5),{density:1.5,restitution:.2});bl.setLinearVelocity(planck.Vec2(-Math.cos(ba)*SPD,-Math.sin(ba)*SPD));registerObject({body:bl,type:'circle',radius:.5,color:'#e74c3c'})}}};
-
-User: "asdfghjk"
-throw new Error("Cannot understand request");
-`;
-
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 1000; // ms
-const FETCH_TIMEOUT = 60000; // 60 seconds timeout
-
-async function fetchWithTimeout(url, options, timeout = FETCH_TIMEOUT) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-  try {
-    const response = await fetch(url, { ...options, signal: controller.signal });
-    return response;
-  } finally {
-    clearTimeout(timeoutId);
-  }
-}
+import { createProvider, loadProviderConfig } from './llm/provider.js';
+import { createConversationHistory, estimateTokens } from './llm/history.js';
+import { parseObjectResponse, partialCode } from './llm/objectSchema.js';
+import { SYSTEM_PROMPT } from './llm/prompts.js';
+import { createNormalizer } from './normalizer.js';
+import { CURATED_KEYS, CURATED_SYNONYMS } from './curatedCache.js';
+import { fnv1a } from './hash.js';
+import { API_VERSION } from './runtimeApi.js';
+import * as combatConstants from './combat/combatConstants.js';
+
+// Provider, models and fallback chain come from config (see llm/provider.js)
+const provider = createProvider(loadProviderConfig());
 
-async function fetchWithRetry(url, options) {
-  let lastStatus = null;
-  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-    try {
-      const response = await fetchWithTimeout(url, options);
-      if (response.ok) return response;
-      lastStatus = response.status;
-      if (response.status === 503 || response.status === 429) {
-        console.warn(`API overloaded (${response.status}), retry ${attempt + 1}/${MAX_RETRIES}...`);
-        await new Promise(r => setTimeout(r, RETRY_DELAY * (attempt + 1)));
-        continue;
-      }
-      return response; // non-retryable error
-    } catch (e) {
-      if (e.name === 'AbortError') {
-        console.warn(`Request timeout, retry ${attempt + 1}/${MAX_RETRIES}...`);
-        if (attempt === MAX_RETRIES - 1) throw new Error('Request timed out after multiple attempts');
-        continue;
-      }
-      throw e;
-    }
-  }
-  // After all retries exhausted for 503/429, throw a clear error
-  if (lastStatus === 503 || lastStatus === 429) {
-    const msg = lastStatus === 429
-      ? 'Gemini API rate limit exceeded. Try again in a moment.'
-      : 'Gemini API is overloaded. Try again in a moment.';
-    throw new Error(msg);
-  }
-  return fetchWithTimeout(url, options); // final attempt for other cases
+/**
+ * Identifies the prompt and game tuning that produced an object. Changes whenever
+ * SYSTEM_PROMPT (llm/prompts.js), combatConstants or the helper API (runtimeApi.js) change, so
+ * cached code written for other versions can be told apart (see cache.js).
+ */
+export const PROMPT_VERSION = fnv1a(SYSTEM_PROMPT + JSON.stringify(combatConstants) + API_VERSION);
+
+// Recent exchanges in full, older ones summarised (see llm/history.js)
+const history = createConversationHistory();
+
+/**
+ * Forget all previous exchanges, e.g. when a new round starts.
+ */
+export function resetConversation() {
+  history.reset();
 }
 
-const conversationHistory = [];
+// Debug view of the conversation sent (collapsed in the console); the provider
+// or the proxy puts the system prompt in front of it
+function logRequest(messages) {
+  const tokens = messages.reduce((sum, m) => sum + estimateTokens(m.text), 0);
+  const { summarized } = history.describe();
+  console.groupCollapsed(`[${provider.label} request] ${messages.length} messages, ~${tokens} tokens`);
+  if (summarized.length > 0) console.log('Summarised:', summarized.join(', '));
+  console.table(messages.map(m => ({ role: m.role, tokens: estimateTokens(m.text), text: m.text.slice(0, 120) })));
+  console.groupEnd();
+}
 
 function stripCodeFences(text) {
   let code = text.trim();
@@ -108,137 +56,136 @@ function stripCodeFences(text) {
   return lines.slice(startIdx).join('\n').trim();
 }
 
-// Known curated cache keys - normalizer should prefer these exact terms
-const CURATED_KEYS = [
-  'catapult', 'helicopter', 'rain', 'cloud', 'train', 'tank', 'ball', 'car',
-  'cannon', 'rocket', 'bomb', 'boulder', 'missile', 'turret', 'wrecking ball', 'meteor',
-  'butterfly', 'robot', 'virus'
-];
+// Local guesses below this confidence go to the fast model instead
+const LOCAL_CONFIDENCE = 0.8;
+
+// Curated keys (from the manifest) are always known; their aliases resolve locally
+const normalizer = createNormalizer({ keys: CURATED_KEYS, synonyms: CURATED_SYNONYMS });
 
 /**
- * Cheap Gemini Flash call to normalize any user prompt into a 1-2 word
- * lowercase cache key (e.g. "give me something that creates rain" → "rain").
- * Prefers curated cache keys when the input matches or is a synonym.
+ * Make non-curated cache keys known to the local normalizer.
+ * @param {Iterable<string>} keys
  */
-export async function normalizePrompt(userPrompt) {
-  const keysList = CURATED_KEYS.join(', ');
-  const response = await fetchWithRetry(FLASH_URL, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents: [{
-        role: 'user',
-        parts: [{ text: `Reduce this to a 1-2 word object name. Lowercase, no punctuation. Reply with ONLY the word(s), nothing else.
-
-If the input is a TYPO or DIRECT SYNONYM of one of these keys, return that key: ${keysList}
-Otherwise, return the actual object name the user asked for.
-
-ONLY map to curated keys for true equivalents:
-- "trian" → "train" (typo)
-- "locomotive" → "train" (same thing)
-- "chopper" → "helicopter" (same thing)
-- "heli" → "helicopter" (abbreviation)
-- "armored vehicle" → "tank" (same thing)
-
-Do NOT force unrelated things to curated keys:
-- "butterfly" → "butterfly" (NOT "ball")
-- "dragon" → "dragon" (NOT any curated key)
-- "spaceship" → "spaceship" (NOT "rocket")
-
-"${userPrompt}"` }],
-      }],
-      generationConfig: { temperature: 0, maxOutputTokens: 16 },
-    }),
-  });
+export function addKnownKeys(keys) {
+  normalizer.addKeys(keys);
+}
+
+/** Searches resolved per normalizer stage, for analytics */
+export function getNormalizeStats() {
+  return normalizer.getStats();
+}
 
-  if (!response.ok) {
+/**
+ * Normalize any user prompt into a 1-2 word lowercase cache key
+ * (e.g. "give me something that creates rain" → "rain").
+ * Exact matches, filler words, plurals, synonyms and typos are resolved
+ * locally (see normalizer.js); only low-confidence prompts cost a fast-model
+ * call, which prefers curated cache keys when the input is a synonym.
+ * @param {string} userPrompt
+ * @returns {Promise<{key: string, stage: string}>} stage is the local stage that
+ *   matched, 'llm' for the fast model, or 'raw' if that failed too
+ */
+export async function normalizePrompt(userPrompt) {
+  const local = normalizer.resolve(userPrompt);
+  let result;
+  if (local && local.confidence >= LOCAL_CONFIDENCE) {
+    result = { key: local.key, stage: local.stage };
+  } else {
+    const text = await provider.normalize(userPrompt, CURATED_KEYS);
     // Fall back to simple lowercase trim if the API fails
-    return userPrompt.trim().toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ');
+    const key = (text || userPrompt).trim().toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ');
+    result = { key, stage: text ? 'llm' : 'raw' };
   }
-
-  const data = await response.json();
-  const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-  if (!text) return userPrompt.trim().toLowerCase();
-  return text.trim().toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ');
+  normalizer.record(result.stage);
+  return result;
 }
 
-export async function generateObject(userPrompt) {
-  if (conversationHistory.length === 0) {
-    conversationHistory.push({
-      role: 'user',
-      parts: [{ text: SYSTEM_PROMPT + '\n\nReply with only "ready".' }],
-    });
-    conversationHistory.push({
-      role: 'model',
-      parts: [{ text: 'ready' }],
-    });
+/**
+ * Generate planck.js code for the user's prompt.
+ * Pass `repair` to instead ask for a corrected version of code that failed,
+ * and `opts.refine` to modify an existing creation (userPrompt is then the
+ * instruction, e.g. "make it bigger").
+ * @param {string} userPrompt
+ * @param {object} [repair]
+ * @param {string} repair.failedCode - The code that threw or failed simulation
+ * @param {string} repair.error - The error message it produced
+ * @param {object} [opts]
+ * @param {{key: string, code: string}} [opts.refine] - The creation to modify
+ * @param {Function} [opts.onCode] - Streams the response: called with the code so far
+ *   (decoded from the JSON "code" field) as tokens arrive
+ * @param {AbortSignal} [opts.signal] - Aborting cancels the request (error has `cancelled: true`)
+ * @returns {Promise<{code: string, model: string, meta: {name: string, description: string,
+ *   tags: string[], estimatedBodies: number, hasUpdate: boolean}}>}
+ * @throws {Error} with `refused: true` (message = the model's reason) when it declines the request
+ */
+export async function generateObject(userPrompt, repair = null, { refine = null, onCode, signal } = {}) {
+  const label = refine ? `${refine.key}, ${userPrompt}` : userPrompt;
+  // What the exchange is remembered as in the history (without the full base code)
+  const summaryText = refine ? `Modify the "${refine.key}": ${userPrompt}` : `Create: "${userPrompt}"`;
+
+  let requestText = summaryText;
+  if (repair) {
+    requestText = `Your code for "${label}" failed with this error:\n${repair.error}\n\nFailing code:\n${repair.failedCode}\n\nFix it. Reply with the full corrected object JSON.`;
+  } else if (refine) {
+    requestText = `Modify the "${refine.key}" you made: ${userPrompt}\n\nCurrent code:\n${refine.code}\n\nKeep everything that wasn't asked to change. Reply with the full modified object JSON.`;
   }
 
-  conversationHistory.push({
-    role: 'user',
-    parts: [{ text: `Create: "${userPrompt}"` }],
-  });
+  const messages = history.build(requestText);
+  logRequest(messages);
 
-  const requestBody = JSON.stringify({
-    contents: conversationHistory,
-    generationConfig: {
-      temperature: 0.8,
-      maxOutputTokens: 16384,
-    },
+  const { text, truncated, model } = await provider.generateObject(messages, {
+    temperature: 0.8,
+    maxTokens: 16384,
+    // Chunks already in flight when the request is cancelled are not shown
+    onToken: onCode && ((delta, textSoFar) => {
+      if (!signal?.aborted) onCode(partialCode(textSoFar));
+    }),
+    signal,
   });
 
-  const requestOptions = {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: requestBody,
-  };
-
-  // Try primary model first (gemini-3-pro-preview)
-  let response = await fetchWithRetry(PRIMARY_URL, requestOptions);
-  let usedFallback = false;
-
-  // If primary fails, try fallback (gemini-2.0-flash)
-  if (!response.ok) {
-    console.warn(`Primary model failed (${response.status}), trying fallback...`);
-    response = await fetchWithRetry(FALLBACK_URL, requestOptions);
-    usedFallback = true;
+  // The provider stops reading as soon as it reports truncation
+  if (truncated) {
+    throw new Error(`${provider.label} response was truncated (code too long). Try a simpler request.`);
   }
 
-  if (!response.ok) {
-    conversationHistory.pop();
-    // Provide user-friendly error messages for common API issues
-    if (response.status === 429) {
-      throw new Error('Gemini API rate limit exceeded. Try again in a moment.');
-    }
-    if (response.status === 503) {
-      throw new Error('Gemini API is overloaded. Try again in a moment.');
-    }
-    const err = await response.text();
-    throw new Error(`Gemini API error (${response.status}): ${err}`);
-  }
-
-  const data = await response.json();
-  const candidate = data.candidates?.[0];
-  const text = candidate?.content?.parts?.[0]?.text;
   if (!text) {
-    conversationHistory.pop();
-    throw new Error('Gemini returned empty response');
+    throw new Error(`${provider.label} returned empty response`);
   }
 
-  if (candidate.finishReason === 'MAX_TOKENS') {
-    conversationHistory.pop();
-    throw new Error('Gemini response was truncated (code too long). Try a simpler request.');
+  console.log(`[${provider.label} raw response - ${model}]`, text);
+
+  const { code, refusalReason, ...meta } = parseResponse(text, userPrompt);
+  if (refusalReason) {
+    const err = new Error(refusalReason);
+    err.refused = true;
+    throw err;
   }
 
-  const modelUsed = usedFallback ? 'gemini-2.0-flash (fallback)' : 'gemini-3-pro-preview';
-  console.log(`[Gemini raw response - ${modelUsed}]`, text);
+  // A repaired response replaces the broken one, recorded as the plain request
+  history.add(label, summaryText, text, { replace: !!repair });
 
-  conversationHistory.push({
-    role: 'model',
-    parts: [{ text }],
-  });
+  console.log(`[${provider.label} object]`, meta, code);
+  return { code, meta, model };
+}
 
-  const code = stripCodeFences(text);
-  console.log('[Gemini stripped code]', code);
-  return { code };
+/**
+ * Structured response, or bare code from a provider that ignored the schema
+ * (older models, custom OpenAI-compatible servers).
+ */
+function parseResponse(text, userPrompt) {
+  try {
+    return parseObjectResponse(text);
+  } catch (e) {
+    if (text.trim().startsWith('{')) throw e;
+    console.warn(`[${provider.label}] ${e.message}; treating response as bare code`);
+    return {
+      name: userPrompt,
+      description: '',
+      refusalReason: null,
+      tags: [],
+      estimatedBodies: 0,
+      hasUpdate: false,
+      code: stripCodeFences(text),
+    };
+  }
 }
@@ -46,6 +46,7 @@ export function createGeminiIcon(world, canvas) {
     // Speech bubble
     showSpeech: false,
     speechText: '',
+    speechStreaming: false, // live code typing (see speechBubble.js `streaming`)
     // Flourish animation state
     visible: false,
     flourishScale: 0,
@@ -188,7 +189,13 @@ export function createGeminiIcon(world, canvas) {
     }
   }
 
-  function setSpeech(text) {
+  /**
+   * @param {string} text
+   * @param {object} [opts]
+   * @param {boolean} [opts.streaming] - Text is code still being typed: show its end with a cursor
+   */
+  function setSpeech(text, { streaming = false } = {}) {
+    obj.speechStreaming = streaming;
     if (text) {
       obj.showSpeech = true;
       obj.speechText = text;
@@ -201,6 +208,7 @@ export function createGeminiIcon(world, canvas) {
   function hideSpeech() {
     obj.showSpeech = false;
     obj.speechText = '';
+    obj.speechStreaming = false;
   }
 
   /**
@@ -0,0 +1,26 @@
+/**
+ * FNV-1a string hash — stable across runs and platforms, not cryptographic.
+ * Used for recording file names, prompt version ids and bundle entry hashes.
+ * @param {string} text
+ * @returns {string} 8 hex digits
+ */
+export function fnv1a(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * SHA-256 through Web Crypto (browsers and Node 20+), for content addressing:
+ * anyone can submit code, so it must be infeasible to craft a snippet that
+ * lands on the hash of someone else's.
+ * @param {string} text
+ * @returns {Promise<string>} 64 hex digits
+ */
+export async function sha256(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,187 @@
+import planck from 'planck';
+import { createWorld } from './world.js';
+import { createExecutor } from './executor.js';
+import { EYE_MOMENTUM_SCALE } from './combat/combatConstants.js';
+
+/**
+ * Headless simulation — runs a code string through the normal executor contract
+ * in a throwaway world and reports how it behaved. No window, canvas or DOM is
+ * touched, so this runs in the sandbox worker (repair loop) and in plain Node
+ * (scripts/validateCurated.js).
+ */
+
+const SIM_FRAMES = 120;   // 2 seconds at 60fps
+const OOB_MARGIN = 0.1;   // same bounds as main.js cleanupOOB: 10% outside the screen
+
+/**
+ * Stand-in for The Crash's eye: a kinematic circle that records hits the same
+ * way theCrash.js does (momentum = speed × mass, ephemerals destroyed on contact).
+ */
+function createEyeStub(world, { x, y, radius }) {
+  const body = world.createBody({ type: 'kinematic', position: new planck.Vec2(x, y) });
+  body.setUserData({ isCrash: true, isEye: true });
+  body.createFixture(new planck.Circle(radius), { restitution: 0.8, friction: 0.1 });
+
+  const hits = [];           // momentum of each hit
+  const scheduledDestroys = [];
+
+  world.on('begin-contact', (contact) => {
+    const bA = contact.getFixtureA().getBody();
+    const bB = contact.getFixtureB().getBody();
+    const other = bA === body ? bB : bB === body ? bA : null;
+    if (!other || other.getType() === 'static') return;
+    hits.push(other.getLinearVelocity().length() * other.getMass());
+    if (other.getUserData()?.isEphemeral) scheduledDestroys.push(other);
+  });
+
+  return { hits, scheduledDestroys };
+}
+
+/**
+ * Run generated code in a throwaway world for a short time, off-screen.
+ * Uses a private object registry, so nothing it spawns reaches the renderer.
+ *
+ * Execution, update() and physics errors are all collected; the run stops early
+ * only when the world can't keep stepping (failed execute, physics error, NaN).
+ *
+ * @param {string} code
+ * @param {object} opts
+ * @param {number} opts.W - World width in meters
+ * @param {number} opts.H - World height in meters
+ * @param {number} [opts.spawnX] - Defaults to the right side, where the game spawns objects
+ * @param {number} [opts.spawnY]
+ * @param {{x:number,y:number}|null} [opts.target] - Static getTarget() value
+ * @param {{x:number,y:number,radius:number}|null} [opts.eye] - Stub eye to measure damage against
+ * @param {number} [opts.frames]
+ * @returns {{
+ *   ok: boolean, error: string|null, frames: number,
+ *   exceptions: Array<{frame: number, message: string}>,
+ *   bodiesCreated: number, escaped: number, nanPositions: number,
+ *   maxVelocity: number, eyeHits: number, damage: number,
+ *   firstSpawnFrame: number|null, peakBodies: number, spawnEscaped: number
+ * }}
+ * firstSpawnFrame is the first frame on which the code registered another body
+ * after execute() (a shot, drop or fragment); spawnEscaped counts the bodies
+ * registered by execute() itself that left the screen; peakBodies is the most
+ * objects alive at once.
+ */
+export function simulateCode(code, {
+  W, H, spawnX = W * 0.7, spawnY = H * 0.3, target = null, eye = null, frames = SIM_FRAMES,
+}) {
+  const world = createWorld(W, H);
+  const objects = [];
+  let bodiesCreated = 0;
+  let peakBodies = 0;
+  let firstSpawnFrame = null;
+  let frame = 0;
+  const registry = {
+    registerObject(obj) {
+      objects.push(obj);
+      bodiesCreated++;
+      peakBodies = Math.max(peakBodies, objects.length);
+      if (frame > 0 && firstSpawnFrame === null) firstSpawnFrame = frame;
+    },
+    unregisterObject(obj) {
+      const i = objects.indexOf(obj);
+      if (i !== -1) objects.splice(i, 1);
+    },
+    getObjects() { return objects; },
+  };
+  const executor = createExecutor(world, { W, H, registry });
+  executor.setTargetProvider(() => target);
+  const eyeStub = eye ? createEyeStub(world, eye) : null;
+
+  const exceptions = [];
+  let escaped = 0;
+  let nanPositions = 0;
+  let maxVelocity = 0;
+  let spawnEscaped = 0;
+
+  function removeObject(obj) {
+    registry.unregisterObject(obj);
+    try {
+      world.destroyBody(obj.body);
+    } catch (e) { /* Body may already be destroyed */ }
+  }
+
+  function report() {
+    const hits = eyeStub ? eyeStub.hits : [];
+    const damage = hits
+      .map(m => m * EYE_MOMENTUM_SCALE)
+      .filter(d => d > 0.1) // same threshold as theCrash.js applyHit
+      .reduce((a, b) => a + b, 0);
+    const error = exceptions.length > 0 ? exceptions[0].message
+      : nanPositions > 0 ? 'Body position became NaN (check for division by zero)'
+      : null;
+    return {
+      ok: error === null,
+      error,
+      frames: frame,
+      exceptions,
+      bodiesCreated,
+      escaped,
+      nanPositions,
+      maxVelocity,
+      eyeHits: hits.length,
+      damage,
+      firstSpawnFrame,
+      peakBodies,
+      spawnEscaped,
+    };
+  }
+
+  try {
+    executor.executeSync(code, spawnX, spawnY);
+  } catch (e) {
+    exceptions.push({ frame: 0, message: e.message });
+    return report();
+  }
+  const spawned = new Set(objects); // the creation itself, as opposed to what it fires
+
+  for (frame = 1; frame <= frames; frame++) {
+    const updaters = executor.getUpdaters();
+    for (let i = updaters.length - 1; i >= 0; i--) {
+      updaters[i].update();
+      if (updaters[i].error) {
+        exceptions.push({ frame, message: `Runtime error in update(): ${updaters[i].error}` });
+      }
+      if (updaters[i].dead) updaters.splice(i, 1);
+    }
+
+    try {
+      world.step(1 / 60, 8, 3);
+    } catch (e) {
+      exceptions.push({ frame, message: `Physics error: ${e.message}` });
+      return report();
+    }
+
+    if (eyeStub) {
+      while (eyeStub.scheduledDestroys.length > 0) {
+        const body = eyeStub.scheduledDestroys.pop();
+        const obj = objects.find(o => o.body === body);
+        if (obj) removeObject(obj);
+      }
+    }
+
+    for (let i = objects.length - 1; i >= 0; i--) {
+      const obj = objects[i];
+      const p = obj.body.getPosition();
+      if (!Number.isFinite(p.x) || !Number.isFinite(p.y)) {
+        nanPositions++;
+        continue;
+      }
+      maxVelocity = Math.max(maxVelocity, obj.body.getLinearVelocity().length());
+
+      if (p.x < -W * OOB_MARGIN || p.x > W * (1 + OOB_MARGIN) || p.y < -H * OOB_MARGIN || p.y > H * (1 + OOB_MARGIN)) {
+        escaped++;
+        if (spawned.has(obj)) spawnEscaped++;
+        removeObject(obj);
+      }
+    }
+    // A NaN body poisons the whole island; nothing after this is meaningful
+    if (nanPositions > 0) return report();
+  }
+
+  frame = frames;
+  return report();
+}
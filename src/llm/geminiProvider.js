@@ -0,0 +1,118 @@
+import { fetchWithRetry, tryModels, readEventStream } from './http.js';
+import { normalizeInstruction, objectMessages } from './prompts.js';
+import { OBJECT_SCHEMA } from './objectSchema.js';
+
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+// Primary: gemini-3-pro-preview for code generation, gemini-2.0-flash if it fails
+const DEFAULT_MODELS = ['gemini-3-pro-preview', 'gemini-2.0-flash'];
+// Flash for normalization (cheap, fast)
+const DEFAULT_FAST_MODEL = 'gemini-2.0-flash';
+
+/**
+ * Google Gemini REST API (generateContent). The key is sent in the
+ * x-goog-api-key header rather than the URL.
+ *
+ * @param {object} config
+ * @param {string} config.apiKey
+ * @param {string[]} [config.models] - Generation fallback chain
+ * @param {string} [config.fastModel] - Model for normalize() and `fast` generations
+ * @param {string} [config.baseUrl]
+ */
+export function createGeminiProvider({
+  apiKey, models = DEFAULT_MODELS, fastModel = DEFAULT_FAST_MODEL, baseUrl = BASE_URL,
+}) {
+  const label = 'Gemini';
+
+  function send(model, body, { stream = false, signal } = {}) {
+    const endpoint = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+    return fetchWithRetry(`${baseUrl}/${model}:${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+      body: JSON.stringify(body),
+      signal,
+    }, label);
+  }
+
+  // JSON schema → Gemini's OpenAPI-style Schema (uppercase types, `nullable`)
+  function toGeminiSchema(schema) {
+    const types = [].concat(schema.type);
+    const out = { type: types.find(t => t !== 'null').toUpperCase() };
+    if (types.includes('null')) out.nullable = true;
+    if (schema.description) out.description = schema.description;
+    if (schema.enum) out.enum = schema.enum;
+    if (schema.items) out.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+      out.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([k, v]) => [k, toGeminiSchema(v)]),
+      );
+      out.propertyOrdering = Object.keys(schema.properties);
+    }
+    if (schema.required) out.required = schema.required;
+    return out;
+  }
+
+  function toContents(messages) {
+    return messages.map(m => ({
+      role: m.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: m.text }],
+    }));
+  }
+
+  async function generate(messages, {
+    temperature = 0.8, maxTokens = 16384, fast = false, schema = null, onToken, signal,
+  } = {}) {
+    const body = {
+      contents: toContents(messages),
+      generationConfig: { temperature, maxOutputTokens: maxTokens },
+    };
+    if (schema) {
+      body.generationConfig.responseMimeType = 'application/json';
+      body.generationConfig.responseSchema = toGeminiSchema(schema);
+    }
+    const stream = !!onToken;
+    const { response, model } = await tryModels(
+      fast ? [fastModel] : models, label, m => send(m, body, { stream, signal }),
+    );
+
+    if (!stream) {
+      const data = await response.json();
+      const candidate = data.candidates?.[0];
+      return {
+        text: candidate?.content?.parts?.[0]?.text || '',
+        truncated: candidate?.finishReason === 'MAX_TOKENS',
+        model,
+      };
+    }
+
+    let text = '';
+    let truncated = false;
+    await readEventStream(response, (data) => {
+      const candidate = data.candidates?.[0];
+      const delta = candidate?.content?.parts?.map(p => p.text || '').join('') || '';
+      text += delta;
+      // The chunk that reports truncation is not streamed: the response is unusable
+      if (candidate?.finishReason === 'MAX_TOKENS') {
+        truncated = true;
+        return false;
+      }
+      if (delta) onToken(delta, text);
+    }, { signal });
+    return { text, truncated, model };
+  }
+
+  function generateObject(turns, options = {}) {
+    return generate(objectMessages(turns), { ...options, schema: OBJECT_SCHEMA });
+  }
+
+  async function normalize(userPrompt, keys) {
+    const response = await send(fastModel, {
+      contents: [{ role: 'user', parts: [{ text: normalizeInstruction(userPrompt, keys) }] }],
+      generationConfig: { temperature: 0, maxOutputTokens: 16 },
+    });
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data.candidates?.[0]?.content?.parts?.[0]?.text || null;
+  }
+
+  return { label, generate, generateObject, normalize };
+}
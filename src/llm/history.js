@@ -0,0 +1,98 @@
+/**
+ * Bounded conversation history for code generation.
+ *
+ * Recent exchanges are resent in full so the model can build on them; older
+ * ones are dropped and only their object names are kept, as one compact
+ * "objects created so far" turn. Two limits apply, whichever bites first:
+ * a maximum number of full exchanges and an estimated token budget.
+ */
+
+const MAX_TURNS = 4;          // full request/response exchanges kept
+const TOKEN_BUDGET = 12000;   // estimated tokens for the kept exchanges
+const CHARS_PER_TOKEN = 4;    // rough estimate, good enough for budgeting
+
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.maxTurns]
+ * @param {number} [opts.tokenBudget]
+ */
+export function createConversationHistory({ maxTurns = MAX_TURNS, tokenBudget = TOKEN_BUDGET } = {}) {
+  let turns = [];       // { label, request, response }
+  let summarized = [];  // labels of dropped turns, oldest first
+
+  function turnTokens(turn) {
+    return estimateTokens(turn.request) + estimateTokens(turn.response);
+  }
+
+  function evict() {
+    const dropped = turns.shift();
+    if (!summarized.includes(dropped.label)) summarized.push(dropped.label);
+  }
+
+  function enforceLimits() {
+    while (turns.length > maxTurns) evict();
+    while (turns.length > 1 && turns.reduce((sum, t) => sum + turnTokens(t), 0) > tokenBudget) evict();
+  }
+
+  /**
+   * Messages to send for a new request: summary, recent turns, request. The
+   * system prompt is not included (see prompts.js objectMessages()).
+   * @param {string} request
+   * @returns {Array<{role: 'user'|'assistant', text: string}>}
+   */
+  function build(request) {
+    const messages = [];
+    if (summarized.length > 0) {
+      messages.push(
+        { role: 'user', text: `Objects created earlier in this game: ${summarized.join(', ')}.` },
+        { role: 'assistant', text: 'ok' },
+      );
+    }
+    for (const t of turns) {
+      messages.push({ role: 'user', text: t.request }, { role: 'assistant', text: t.response });
+    }
+    messages.push({ role: 'user', text: request });
+    return messages;
+  }
+
+  /**
+   * Record a successful exchange.
+   * @param {string} label - Object name, used in the summary once the turn is dropped
+   * @param {string} request
+   * @param {string} response
+   * @param {object} [opts]
+   * @param {boolean} [opts.replace] - Overwrite the latest turn if it has the same label
+   *   (a repaired response superseding the broken one)
+   */
+  function add(label, request, response, { replace = false } = {}) {
+    const last = turns[turns.length - 1];
+    if (replace && last?.label === label) turns.pop();
+    turns.push({ label, request, response });
+    enforceLimits();
+  }
+
+  function reset() {
+    turns = [];
+    summarized = [];
+  }
+
+  /**
+   * What the next request would carry, for debugging.
+   */
+  function describe() {
+    const messages = build('');
+    messages.pop();
+    return {
+      turns: turns.map(t => ({ label: t.label, tokens: turnTokens(t) })),
+      summarized: [...summarized],
+      estimatedTokens: messages.reduce((sum, m) => sum + estimateTokens(m.text), 0),
+      messages,
+    };
+  }
+
+  return { build, add, reset, describe };
+}
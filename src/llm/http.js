@@ -0,0 +1,158 @@
+/**
+ * Shared fetch helpers for LLM providers: timeouts, retry on overload, and
+ * walking a model fallback chain.
+ */
+
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 1000; // ms
+const FETCH_TIMEOUT = 60000; // 60 seconds timeout
+const STREAM_IDLE_TIMEOUT = 30000; // max silence between streamed chunks
+
+/**
+ * The error thrown when the caller's AbortSignal fires (user cancelled).
+ */
+export function cancelledError() {
+  const err = new Error('Generation cancelled');
+  err.cancelled = true;
+  return err;
+}
+
+/**
+ * fetch() that aborts after `timeout` ms. `options.signal` (the caller's own
+ * AbortSignal, e.g. a cancel button) is honoured too.
+ */
+export async function fetchWithTimeout(url, options, timeout = FETCH_TIMEOUT) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const { signal } = options;
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort);
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    return response;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Retries 503/429 responses and timeouts. Other responses are returned as-is.
+ * @param {string} label - Provider name for error messages (e.g. 'Gemini')
+ */
+export async function fetchWithRetry(url, options, label) {
+  let lastStatus = null;
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    try {
+      const response = await fetchWithTimeout(url, options);
+      if (response.ok) return response;
+      lastStatus = response.status;
+      if (response.status === 503 || response.status === 429) {
+        console.warn(`API overloaded (${response.status}), retry ${attempt + 1}/${MAX_RETRIES}...`);
+        await new Promise(r => setTimeout(r, RETRY_DELAY * (attempt + 1)));
+        continue;
+      }
+      return response; // non-retryable error
+    } catch (e) {
+      if (options.signal?.aborted) throw cancelledError();
+      if (e.name === 'AbortError') {
+        console.warn(`Request timeout, retry ${attempt + 1}/${MAX_RETRIES}...`);
+        if (attempt === MAX_RETRIES - 1) {
+          const err = new Error('Request timed out after multiple attempts');
+          err.status = 504;
+          throw err;
+        }
+        continue;
+      }
+      throw e;
+    }
+  }
+  // After all retries exhausted for 503/429, throw a clear error
+  if (lastStatus === 503 || lastStatus === 429) throw statusError(label, lastStatus);
+  return fetchWithTimeout(url, options); // final attempt for other cases
+}
+
+/**
+ * User-facing error for a failed API status. `err.status` keeps the HTTP status
+ * so the proxy server can pass it on as a structured error code.
+ */
+export function statusError(label, status, detail = '') {
+  // Provide user-friendly error messages for common API issues
+  const message = status === 429 ? `${label} API rate limit exceeded. Try again in a moment.`
+    : status === 503 ? `${label} API is overloaded. Try again in a moment.`
+    : `${label} API error (${status}): ${detail}`;
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Try each model in order until one responds OK.
+ * @param {string[]} models - Fallback chain, preferred model first
+ * @param {string} label - Provider name for logs and errors
+ * @param {(model: string) => Promise<Response>} send
+ * @returns {Promise<{response: Response, model: string}>}
+ */
+export async function tryModels(models, label, send) {
+  let response = null;
+  for (let i = 0; i < models.length; i++) {
+    response = await send(models[i]);
+    if (response.ok) return { response, model: models[i] };
+    if (i < models.length - 1) {
+      console.warn(`${label} model ${models[i]} failed (${response.status}), trying ${models[i + 1]}...`);
+    }
+  }
+  if (!response) throw new Error(`${label}: no models configured`);
+  throw statusError(label, response.status, await response.text());
+}
+
+/**
+ * Read a server-sent events body, calling onData with each JSON `data:` payload.
+ * Stops early when onData returns false or on a `[DONE]` sentinel.
+ * Throws cancelledError() if `signal` fires, and gives up if the stream goes quiet.
+ * @param {Response} response
+ * @param {(data: object) => boolean|void} onData
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal]
+ */
+export async function readEventStream(response, onData, { signal } = {}) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const onAbort = () => reader.cancel();
+  signal?.addEventListener('abort', onAbort);
+  let buffer = '';
+
+  // Returns false once the consumer is done with the stream
+  function dispatch(event) {
+    const data = event.split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n');
+    if (!data) return true;
+    if (data === '[DONE]') return false;
+    return onData(JSON.parse(data)) !== false;
+  }
+
+  try {
+    for (;;) {
+      let idleTimer;
+      const idle = new Promise((_, reject) => {
+        idleTimer = setTimeout(() => reject(new Error('Stream stalled (no data for 30s)')), STREAM_IDLE_TIMEOUT);
+      });
+      const { done, value } = await Promise.race([reader.read(), idle]).finally(() => clearTimeout(idleTimer));
+      if (signal?.aborted) throw cancelledError();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      for (const event of events) {
+        if (!dispatch(event)) return;
+      }
+    }
+    if (buffer.trim()) dispatch(buffer);
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    reader.cancel().catch(() => {}); // release the connection if we stopped early
+  }
+}
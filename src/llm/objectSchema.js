@@ -0,0 +1,99 @@
+/**
+ * Structured response for object generation: the JSON schema sent to the
+ * provider and validation of what comes back.
+ */
+
+const MAX_NAME_LENGTH = 60;
+const MAX_TAGS = 10;
+
+// Standard JSON schema. All fields are required and refusalReason is nullable,
+// which satisfies OpenAI strict mode; geminiProvider.js converts it for Gemini.
+// Code comes last so the metadata streams in first.
+export const OBJECT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', description: 'Short name of the object, e.g. "tank"' },
+    description: { type: 'string', description: 'One playful sentence about what it does' },
+    refusalReason: {
+      type: ['string', 'null'],
+      description: 'Why the request cannot be built (gibberish, unsafe...), otherwise null',
+    },
+    tags: { type: 'array', items: { type: 'string' }, description: 'A few lowercase tags, e.g. "vehicle", "weapon"' },
+    estimatedBodies: { type: 'integer', description: 'Number of bodies created up front' },
+    hasUpdate: { type: 'boolean', description: 'Whether the code returns {update}' },
+    code: { type: 'string', description: 'Executable planck.js code; empty when refused' },
+  },
+  required: ['name', 'description', 'refusalReason', 'tags', 'estimatedBodies', 'hasUpdate', 'code'],
+  additionalProperties: false,
+};
+
+function malformed(reason) {
+  return new Error(`Malformed object response: ${reason}`);
+}
+
+/**
+ * Parse and validate a JSON object response.
+ * @param {string} text - Raw model output (may be wrapped in a ```json fence)
+ * @returns {{name: string, description: string, refusalReason: string|null, tags: string[],
+ *   estimatedBodies: number, hasUpdate: boolean, code: string}}
+ * @throws {Error} if the text isn't JSON or doesn't match OBJECT_SCHEMA
+ */
+export function parseObjectResponse(text) {
+  const json = text.trim().replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```\s*$/, '');
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw malformed('not valid JSON');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw malformed('expected an object');
+
+  const refusalReason = typeof data.refusalReason === 'string' && data.refusalReason.trim()
+    ? data.refusalReason.trim() : null;
+
+  if (typeof data.code !== 'string') throw malformed('"code" must be a string');
+  if (!refusalReason && !data.code.trim()) throw malformed('"code" is empty');
+  if (typeof data.name !== 'string' || (!refusalReason && !data.name.trim())) {
+    throw malformed('"name" must be a non-empty string');
+  }
+  if (data.tags !== undefined && !Array.isArray(data.tags)) throw malformed('"tags" must be an array');
+
+  return {
+    name: data.name.trim().slice(0, MAX_NAME_LENGTH),
+    description: typeof data.description === 'string' ? data.description.trim() : '',
+    refusalReason,
+    tags: (data.tags || []).filter(t => typeof t === 'string').map(t => t.toLowerCase()).slice(0, MAX_TAGS),
+    estimatedBodies: Number.isInteger(data.estimatedBodies) && data.estimatedBodies >= 0 ? data.estimatedBodies : 0,
+    hasUpdate: data.hasUpdate === true,
+    code: data.code.trim(),
+  };
+}
+
+/**
+ * The "code" string from a JSON response that is still streaming in,
+ * decoded as far as it has arrived ('' until the field starts).
+ * @param {string} text
+ */
+export function partialCode(text) {
+  const start = text.match(/"code"\s*:\s*"/);
+  if (!start) return '';
+  let raw = text.slice(start.index + start[0].length);
+
+  // Stop at the closing quote, or drop a half-received escape sequence
+  let i = 0;
+  for (; i < raw.length; i++) {
+    if (raw[i] === '"') break;
+    if (raw[i] === '\\') {
+      const len = raw[i + 1] === 'u' ? 6 : 2;
+      if (i + len > raw.length) break;
+      i += len - 1;
+    }
+  }
+  raw = raw.slice(0, i);
+
+  try {
+    return JSON.parse(`"${raw}"`);
+  } catch (e) {
+    return '';
+  }
+}
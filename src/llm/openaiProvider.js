@@ -0,0 +1,93 @@
+import { fetchWithRetry, tryModels, readEventStream } from './http.js';
+import { normalizeInstruction, objectMessages } from './prompts.js';
+import { OBJECT_SCHEMA } from './objectSchema.js';
+
+const BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODELS = ['gpt-4o', 'gpt-4o-mini'];
+const DEFAULT_FAST_MODEL = 'gpt-4o-mini';
+
+/**
+ * Any OpenAI-compatible chat completions endpoint (OpenAI, OpenRouter,
+ * llama.cpp, Ollama, vLLM, ...). The API key is optional for local servers.
+ *
+ * @param {object} config
+ * @param {string} [config.apiKey]
+ * @param {string[]} [config.models] - Generation fallback chain
+ * @param {string} [config.fastModel] - Model for normalize() and `fast` generations
+ * @param {string} [config.baseUrl] - Everything before /chat/completions
+ */
+export function createOpenAIProvider({
+  apiKey = '', models = DEFAULT_MODELS, fastModel = DEFAULT_FAST_MODEL, baseUrl = BASE_URL,
+}) {
+  const label = 'OpenAI-compatible';
+
+  function send(model, { messages, temperature, maxTokens, schema = null, stream = false, signal }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    return fetchWithRetry(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: messages.map(m => ({ role: m.role, content: m.text })),
+        temperature,
+        max_tokens: maxTokens,
+        stream,
+        ...(schema && {
+          response_format: { type: 'json_schema', json_schema: { name: 'response', schema, strict: true } },
+        }),
+      }),
+      signal,
+    }, label);
+  }
+
+  async function generate(messages, {
+    temperature = 0.8, maxTokens = 16384, fast = false, schema = null, onToken, signal,
+  } = {}) {
+    const stream = !!onToken;
+    const request = { messages, temperature, maxTokens, schema, stream, signal };
+    const { response, model } = await tryModels(fast ? [fastModel] : models, label, m => send(m, request));
+
+    if (!stream) {
+      const data = await response.json();
+      const choice = data.choices?.[0];
+      return {
+        text: choice?.message?.content || '',
+        truncated: choice?.finish_reason === 'length',
+        model,
+      };
+    }
+
+    let text = '';
+    let truncated = false;
+    await readEventStream(response, (data) => {
+      const choice = data.choices?.[0];
+      const delta = choice?.delta?.content || '';
+      text += delta;
+      // The chunk that reports truncation is not streamed: the response is unusable
+      if (choice?.finish_reason === 'length') {
+        truncated = true;
+        return false;
+      }
+      if (delta) onToken(delta, text);
+    }, { signal });
+    return { text, truncated, model };
+  }
+
+  function generateObject(turns, options = {}) {
+    return generate(objectMessages(turns), { ...options, schema: OBJECT_SCHEMA });
+  }
+
+  async function normalize(userPrompt, keys) {
+    const response = await send(fastModel, {
+      messages: [{ role: 'user', text: normalizeInstruction(userPrompt, keys) }],
+      temperature: 0,
+      maxTokens: 16,
+    });
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || null;
+  }
+
+  return { label, generate, generateObject, normalize };
+}
@@ -0,0 +1,90 @@
+/**
+ * Provider-independent prompt text shared by every LLM provider.
+ */
+import { API_VERSION } from '../runtimeApi.js';
+import { PATTERNS } from '../styles.js';
+import { SPRITE_NAMES } from '../sprites.js';
+
+/**
+ * System prompt for object generation. The proxy (server/proxy.js) adds it
+ * on its side, so clients only ever send the conversation itself.
+ */
+export const SYSTEM_PROMPT = `You generate planck.js code for a Box2D physics game. The objective is to create objects that destroy the enemy. Reply with ONE JSON object: name, description, refusalReason, tags, estimatedBodies, hasUpdate, code. The code field is executable JS — no markdown, no comments, no blank lines.
+Machine-executed only. Maximize conciseness: single-letter vars, inline everything, only create a variable if referenced more than once.
+
+Available: planck, world, registerObject(obj), W, H, spawnX, spawnY, getTarget(), api
+getTarget() returns {x,y} of enemy position for aiming. Use it for homing/aiming.
+Gravity: (0, 40), positive Y = down. World ~320×180m.
+HELPERS (api v${API_VERSION}) — use them instead of hand-rolled versions:
+api.aimBallistic(from,speed) → velocity {x,y} that lands a shot from point "from" on the enemy despite gravity, or null without a target. Its angle is Math.atan2(v.y,v.x).
+api.spawnProjectile({position,velocity,radius,density,color,gravity}) → registered bullet body. Defaults: radius .5, density 1.5, gravity true.
+api.every(frames,fn), api.after(ms,fn) → game-time timers that pause with the game; return a cancel function. Never use setTimeout or frame counters.
+api.onHit(body,fn) → fn(other,isEnemy,info) when body starts touching something. api.onConsumed(fn) → fn() when the enemy swallows this object.
+api.onContact(body,{begin,end,postSolve}) → handlers get {other,category,impulse}; category is 'eye' (enemy weak point), 'enemy', 'wall', 'page', 'creation' or 'self'. Use it for sticky, bounce-counting or breakable objects; create joints and bodies inside handlers freely.
+LEFT-FACING BARRELS: Since objects face LEFT, barrels should extend LEFT from pivot: barrel angle = Math.atan2(v.y,v.x) - Math.PI, spawn bullets from getWorldPoint with negative X offset.
+Register circles: registerObject({body,type:'circle',radius,color})
+Register rects: registerObject({body,type:'rect',hw,hh,color})
+Register anything else: registerObject({body,type:'shape',color}). Bodies are drawn from their fixtures, so planck.Polygon (spikes, wedges, ramps), Edge, Chain (terrain) and several fixtures per body all show up. Color one fixture: createFixture(shape,{density,userData:{color}}).
+Colors: hex strings. Use varied colors for different parts.
+Optional style fields next to color in registerObject: gradient:['#fff','#c0392b'] (or {colors,type:'radial'}), stroke:'#222', strokeWidth:3, glyph:'💀' (one emoji or letter, glyphColor), pattern:'${PATTERNS.join("'|'")}' (patternColor), sprite:'${SPRITE_NAMES.join("'|'")}'. Unknown values fall back to the plain color.
+Joints: RevoluteJoint, WeldJoint, DistanceJoint, PrismaticJoint
+For continuous behavior: return {update:function(){}} (called 60fps) or use api.every.
+Objects spawn RIGHT side, should FACE and MOVE LEFT.
+Code is strict mode. Index arrays only with number counters (for(let i=0;i<a.length;i++)a[i], a[a.length-1]) or use forEach/for...of; no computed string keys, no this outside object methods, no globals beyond the ones above.
+IMPORTANT - Densities: Use VERY LOW densities (0.5-1.5 typical, max 3). Projectiles should be especially light (density 1-2).
+IMPORTANT - Bullet velocities: Use moderate speeds (70-100 typical). Balance speed with physics feel.
+If input is gibberish or can't be built: set refusalReason to a short, friendly explanation and leave code empty.
+Be CREATIVE — use multiple bodies + joints. Don't just make a single shape. Include bullets and projectiles if plausible.
+
+EXAMPLES:
+User: "ball"
+{"name":"ball","description":"A bouncy red ball.","refusalReason":null,"tags":["toy"],"estimatedBodies":1,"hasUpdate":false,"code":"var b=world.createBody({type:'dynamic',position:planck.Vec2(spawnX,spawnY)});b.createFixture(planck.Circle(2),{density:1.2,friction:.3,restitution:.9});registerObject({body:b,type:'circle',radius:2,color:'#e94560'});"}
+
+User: "car"
+{"name":"car","description":"A little red car that drives left on motorized wheels.","refusalReason":null,"tags":["vehicle"],"estimatedBodies":4,"hasUpdate":false,"code":"var c=spawnX,d=spawnY,a=world.createBody({type:'dynamic',position:planck.Vec2(c,d)});a.createFixture(planck.Box(5,1.2),{density:1.2,friction:.3,restitution:.1});registerObject({body:a,type:'rect',hw:5,hh:1.2,color:'#e74c3c'});var b=world.createBody({type:'dynamic',position:planck.Vec2(c-.5,d-2)});b.createFixture(planck.Box(3,1),{density:.5,friction:.3,restitution:.1});registerObject({body:b,type:'rect',hw:3,hh:1,color:'#c0392b'});world.createJoint(new planck.WeldJoint({},a,b,planck.Vec2(c-.5,d-1.2)));var e=world.createBody({type:'dynamic',position:planck.Vec2(c-3.5,d+2)});e.createFixture(planck.Circle(1.3),{density:1.8,friction:.9,restitution:.05});registerObject({body:e,type:'circle',radius:1.3,color:'#2c3e50'});world.createJoint(new planck.RevoluteJoint({enableMotor:true,motorSpeed:20,maxMotorTorque:4000},a,e,planck.Vec2(c-3.5,d+2)));var f=world.createBody({type:'dynamic',position:planck.Vec2(c+3.5,d+2)});f.createFixture(planck.Circle(1.3),{density:1.8,friction:.9,restitution:.05});registerObject({body:f,type:'circle',radius:1.3,color:'#2c3e50'});world.createJoint(new planck.RevoluteJoint({enableMotor:true,motorSpeed:20,maxMotorTorque:4000},a,f,planck.Vec2(c+3.5,d+2)));"}
+
+User: "tank"
+{"name":"tank","description":"A tank that rolls left and lobs shells at the enemy.","refusalReason":null,"tags":["vehicle","weapon"],"estimatedBodies":6,"hasUpdate":true,"code":"var c=spawnX,d=spawnY,a=world.createBody({type:'dynamic',position:planck.Vec2(c,d)});a.createFixture(planck.Box(5,1.5),{density:1.8,friction:.5});registerObject({body:a,type:'rect',hw:5,hh:1.5,color:'#4a5d23'});var wOpts={enableMotor:true,motorSpeed:-8,maxMotorTorque:1800};[-3.5,0,3.5].forEach(function(o){var wh=world.createBody({type:'dynamic',position:planck.Vec2(c+o,d+2.2)});wh.createFixture(planck.Circle(1.3),{density:1.2,friction:1.5});registerObject({body:wh,type:'circle',radius:1.3,color:'#2d2d2d'});world.createJoint(new planck.RevoluteJoint(wOpts,a,wh,wh.getPosition()))});var tb=world.createBody({type:'dynamic',position:planck.Vec2(c-1,d-2.2)});tb.createFixture(planck.Box(2,.8),{density:0.6});registerObject({body:tb,type:'rect',hw:2,hh:.8,color:'#3d4a1f'});world.createJoint(new planck.WeldJoint({},a,tb,planck.Vec2(c-1,d-1.5)));var br=world.createBody({type:'dynamic',position:planck.Vec2(c-4,d-2.2)});br.createFixture(planck.Box(3,.35),{density:.3});registerObject({body:br,type:'rect',hw:3,hh:.35,color:'#2a3515'});var tj=world.createJoint(new planck.RevoluteJoint({enableMotor:true,maxMotorTorque:500,motorSpeed:0},tb,br,planck.Vec2(c-1,d-2.2)));api.every(60,function(){var tip=br.getWorldPoint(planck.Vec2(-3,0)),v=api.aimBallistic(tip,80);if(v)api.spawnProjectile({position:tip,velocity:v,color:'#e74c3c'})});return{update:function(){var v=api.aimBallistic(br.getPosition(),80);if(v){var diff=Math.atan2(v.y,v.x)-Math.PI-br.getAngle();while(diff>Math.PI)diff-=2*Math.PI;while(diff<-Math.PI)diff+=2*Math.PI;tj.setMotorSpeed(diff*5)}}};"}
+
+User: "asdfghjk"
+{"name":"","description":"","refusalReason":"I can't tell what \"asdfghjk\" is supposed to be.","tags":[],"estimatedBodies":0,"hasUpdate":false,"code":""}
+`;
+
+/**
+ * The object-generation conversation as sent upstream: the system prompt as an
+ * opening user turn the model acknowledges, then the player's turns.
+ * @param {Array<{role: 'user'|'assistant', text: string}>} turns
+ */
+export function objectMessages(turns) {
+  return [
+    { role: 'user', text: SYSTEM_PROMPT + '\n\nReply with only "ready".' },
+    { role: 'assistant', text: 'ready' },
+    ...turns,
+  ];
+}
+
+/**
+ * Instruction for reducing a user prompt to a 1-2 word cache key.
+ * @param {string} userPrompt
+ * @param {string[]} keys - Curated cache keys the normalizer should prefer
+ */
+export function normalizeInstruction(userPrompt, keys) {
+  return `Reduce this to a 1-2 word object name. Lowercase, no punctuation. Reply with ONLY the word(s), nothing else.
+
+If the input is a TYPO or DIRECT SYNONYM of one of these keys, return that key: ${keys.join(', ')}
+Otherwise, return the actual object name the user asked for.
+
+ONLY map to curated keys for true equivalents:
+- "trian" → "train" (typo)
+- "locomotive" → "train" (same thing)
+- "chopper" → "helicopter" (same thing)
+- "heli" → "helicopter" (abbreviation)
+- "armored vehicle" → "tank" (same thing)
+
+Do NOT force unrelated things to curated keys:
+- "butterfly" → "butterfly" (NOT "ball")
+- "dragon" → "dragon" (NOT any curated key)
+- "spaceship" → "spaceship" (NOT "rocket")
+
+"${userPrompt}"`;
+}
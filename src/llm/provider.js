@@ -0,0 +1,74 @@
+import { createGeminiProvider } from './geminiProvider.js';
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createProxyProvider } from './proxyProvider.js';
+
+/**
+ * LLM provider selection.
+ *
+ * Every provider has the same shape:
+ *   label: string
+ *   generateObject(turns, { temperature?, maxTokens?, onToken?, signal? }) → Promise<{ text, truncated, model }>
+ *     turns: [{ role: 'user'|'assistant', text }], the conversation without the
+ *     system prompt. The provider (or the proxy) puts SYSTEM_PROMPT in front and
+ *     asks for JSON matching OBJECT_SCHEMA; text is returned unparsed.
+ *   normalize(userPrompt, keys) → Promise<string|null>
+ *     raw 1-2 word reply, or null if the call failed
+ *
+ * Providers that hold the API key themselves (gemini, openai) also have the
+ * general call the above are built on:
+ *   generate(messages, { temperature?, maxTokens?, fast?, schema?, onToken?, signal? }) → Promise<{ text, truncated, model }>
+ *     walks the configured model fallback chain (or just the fast model when
+ *     `fast` is set) and throws if all fail. With a JSON `schema`, the model is
+ *     asked for JSON matching it.
+ *
+ * For both generate calls, onToken(delta, textSoFar) streams the response; a
+ * truncated stream stops as soon as the model reports it, before the chunk that
+ * reports it is passed to onToken. Aborting `signal`
+ * throws an error with `cancelled: true`.
+ */
+
+const MOCK_URL = 'http://localhost:8787';   // scripts/mockLLM.js
+const PROXY_URL = 'http://localhost:8788';  // server/proxy.js
+
+const FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  proxy: ({ baseUrl = PROXY_URL }) => createProxyProvider({ baseUrl }),
+  mock: ({ baseUrl = MOCK_URL }) => createProxyProvider({ baseUrl, label: 'Mock LLM' }),
+};
+
+function splitList(value) {
+  return value ? value.split(',').map(s => s.trim()).filter(Boolean) : undefined;
+}
+
+/**
+ * Read provider config from env vars (see README). Unset values fall back to
+ * the provider's own defaults. Without an explicit provider, a build with no
+ * API key talks to the proxy, so production bundles never need the key.
+ *
+ * @param {object} [env] - Defaults to Vite's import.meta.env
+ * @param {string} [prefix] - 'VITE_' in the client, '' on the server (LLM_PROVIDER, ...)
+ */
+export function loadProviderConfig(env = import.meta.env, prefix = 'VITE_') {
+  const apiKey = env[`${prefix}LLM_API_KEY`] || env[`${prefix}GEMINI_API_KEY`] || '';
+  return {
+    provider: env[`${prefix}LLM_PROVIDER`] || (apiKey ? 'gemini' : 'proxy'),
+    models: splitList(env[`${prefix}LLM_MODELS`]),
+    fastModel: env[`${prefix}LLM_FAST_MODEL`] || undefined,
+    baseUrl: env[`${prefix}LLM_BASE_URL`] || undefined,
+    apiKey,
+  };
+}
+
+/**
+ * @param {object} config - From loadProviderConfig()
+ */
+export function createProvider(config) {
+  const factory = FACTORIES[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${config.provider}" (expected ${Object.keys(FACTORIES).join(', ')})`);
+  }
+  // Drop unset fields so factory defaults apply
+  const options = Object.fromEntries(Object.entries(config).filter(([, v]) => v !== undefined));
+  return factory(options);
+}
@@ -0,0 +1,110 @@
+import { fetchWithTimeout, statusError, cancelledError, readEventStream } from './http.js';
+
+const SESSION_KEY = 'llm-session-id';
+
+// Proxy error codes (see server/proxy.js) → the HTTP status whose message the user sees
+const CODE_STATUS = {
+  rate_limited: 429,
+  upstream_rate_limited: 429,
+  upstream_overloaded: 503,
+};
+
+/**
+ * Talks to an LLM server that owns the API key: the proxy (server/proxy.js)
+ * in production, or the offline mock (scripts/mockLLM.js). Both expose
+ *   POST /generate  { messages, temperature?, maxTokens?, stream? } → { text, truncated, model }
+ *   POST /normalize { prompt } → { text }
+ * and fail with { error: { code, message } }. The server adds the system
+ * prompt, response schema and curated keys itself, so `messages` are only the
+ * player's conversation turns. With `stream: true`, /generate answers with
+ * server-sent events: { delta } ... then { done, truncated, model } or { error }.
+ *
+ * @param {object} config
+ * @param {string} config.baseUrl - Server root, e.g. https://example.com/api
+ * @param {string} [config.label] - Name used in errors
+ */
+export function createProxyProvider({ baseUrl, label = 'Gemini' }) {
+  const root = baseUrl.replace(/\/$/, '');
+
+  // Per-tab id so the proxy can rate limit sessions behind a shared IP
+  function sessionId() {
+    if (typeof sessionStorage === 'undefined') return '';
+    let id = sessionStorage.getItem(SESSION_KEY);
+    if (!id) {
+      id = crypto.randomUUID();
+      sessionStorage.setItem(SESSION_KEY, id);
+    }
+    return id;
+  }
+
+  function toError(error, status) {
+    if (error?.code === 'quota_exceeded') {
+      return new Error("You've reached today's generation limit. Try again tomorrow!");
+    }
+    return statusError(label, CODE_STATUS[error?.code] || status, error?.message || '');
+  }
+
+  // Resolves with the OK response; throws mapped errors otherwise
+  async function post(path, body, signal) {
+    let response;
+    try {
+      response = await fetchWithTimeout(`${root}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Session-Id': sessionId() },
+        body: JSON.stringify(body),
+        signal,
+      });
+    } catch (e) {
+      if (signal?.aborted) throw cancelledError();
+      throw new Error(e.name === 'AbortError' ? 'Request timed out' : `${label} server not reachable at ${root}`);
+    }
+    if (response.ok) return response;
+
+    const raw = await response.text();
+    let error = null;
+    try {
+      error = JSON.parse(raw).error;
+    } catch (e) { /* plain-text error body */ }
+    throw toError(error || { message: raw }, response.status);
+  }
+
+  async function generateObject(turns, { temperature, maxTokens, onToken, signal } = {}) {
+    const stream = !!onToken;
+    const response = await post('/generate', { messages: turns, temperature, maxTokens, stream }, signal);
+
+    // Servers that don't stream just answer with JSON
+    if (!response.headers.get('Content-Type')?.includes('text/event-stream')) {
+      const data = await response.json();
+      if (onToken && data.text && !data.truncated) onToken(data.text, data.text);
+      return { text: data.text, truncated: !!data.truncated, model: data.model };
+    }
+
+    let text = '';
+    let result = null;
+    await readEventStream(response, (data) => {
+      if (data.error) throw toError(data.error, 502);
+      if (data.delta) {
+        text += data.delta;
+        onToken(data.delta, text);
+      }
+      if (data.done) {
+        result = { text, truncated: !!data.truncated, model: data.model };
+        return false;
+      }
+    }, { signal });
+    if (!result) throw new Error(`${label} stream ended unexpectedly`);
+    return result;
+  }
+
+  // The server matches against its own curated keys
+  async function normalize(userPrompt) {
+    try {
+      const response = await post('/normalize', { prompt: userPrompt });
+      return (await response.json()).text;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return { label, generateObject, normalize };
+}
@@ -5,10 +5,12 @@ import { createSearchBar } from './searchbar.js';
 import { createGooglePage } from './googlepage.js';
 import { setupInput } from './input.js';
 import { createRenderer } from './renderer.js';
-import { generateObject, normalizePrompt } from './gemini.js';
+import { generateObject, normalizePrompt, addKnownKeys, PROMPT_VERSION } from './gemini.js';
+import { isRefinement, refinementKey, parseNewVariantRequest } from './refinement.js';
 import { createExecutor } from './executor.js';
+import { createSandboxHost } from './sandbox/sandboxHost.js';
 import { createLoadingOverlay } from './loading.js';
-import { createCache } from './cache.js';
+import { createCache, createVariantId } from './cache.js';
 import { createGeminiIcon } from './geminiIcon.js';
 import { createHealthBar } from './healthBar.js';
 import { createIntro } from './intro.js';
@@ -38,17 +40,56 @@ function cleanupOOB() {
     if (!obj.spawned) continue;
     const p = obj.body.getPosition();
     if (p.x < -W * 0.1 || p.x > W * 1.1 || p.y < -H * 0.1 || p.y > H * 1.1) {
+      // Projectiles are meant to fly off; a creation's own bodies leaving at once counts against it
+      if (!obj.ephemeral) recordEarlyExit(obj.creationLabel);
       objs.splice(i, 1);
       world.destroyBody(obj.body);
     }
   }
 }
 
+// --- Variant stats ---
+// Cached and generated creations are labelled "key#variantId" so eye hits and
+// OOB exits can be credited to the variant that produced them (see cache.js)
+const EARLY_EXIT_MS = 3000;
+const recentSpawns = new Map(); // label → spawn time, until EARLY_EXIT_MS has passed
+
+function variantLabel(key, variantId) {
+  return `${key}#${variantId}`;
+}
+
+function parseVariantLabel(label) {
+  const i = label ? label.lastIndexOf('#') : -1;
+  return i === -1 ? null : { key: label.slice(0, i), variantId: label.slice(i + 1) };
+}
+
+function trackSpawn(label) {
+  const now = performance.now();
+  for (const [l, t] of recentSpawns) {
+    if (now - t > EARLY_EXIT_MS) recentSpawns.delete(l);
+  }
+  recentSpawns.set(label, now);
+}
+
+function recordEarlyExit(label) {
+  const spawnedAt = recentSpawns.get(label);
+  if (spawnedAt === undefined || performance.now() - spawnedAt > EARLY_EXIT_MS) return;
+  recentSpawns.delete(label); // once per spawn
+  const variant = parseVariantLabel(label);
+  if (variant) cache.recordEarlyExit(variant.key, variant.variantId);
+}
+
 // --- AI object generation ---
-const executor = createExecutor(world);
+// Generated and Firebase code runs in the sandbox worker; curated entries run in-process (trusted)
+const sandbox = createSandboxHost(world, W, H);
+const executor = createExecutor(world, { sandbox });
 const overlay = createLoadingOverlay(canvas);
-const cache = createCache();
+const cache = createCache({ promptVersion: PROMPT_VERSION });
+// Earlier players' creations resolve locally too (refinements aren't search targets)
+cache.listKeys().then(keys => addKnownKeys(keys.filter(k => !k.includes('+'))));
 let isGenerating = false;
+let generationController = null; // aborts the in-flight generation (Escape in the search bar)
+let lastCreation = null; // { key, code, handle } — what refinement prompts ("make it bigger") and "another one" use
 
 // Thinking messages shown while Gemini is generating
 const THINKING_MESSAGES = [
@@ -60,6 +101,46 @@ const THINKING_MESSAGES = [
   'Materializing your idea...',
 ];
 
+// How many times a failing generation is sent back to Gemini for a fix
+const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Generate code and check it with a short headless simulation in the sandbox.
+ * If it throws or fails the simulation, send it back to Gemini together with
+ * the error, up to MAX_REPAIR_ATTEMPTS times.
+ * @param {string} text - The user's prompt
+ * @param {object} opts
+ * @param {Function} opts.onRepair - Called with (attempt, error) before each repair request
+ * @param {Function} opts.onCode - Called with the code so far while it streams in
+ * @param {AbortSignal} opts.signal - Cancels generation
+ * @param {{key: string, code: string}|null} [opts.refine] - Modify this creation instead
+ * @returns {Promise<{code: string, meta: object, model: string}>} Code that executed and
+ *   survived the simulation, with the metadata and model from its response
+ */
+async function generateWorkingCode(text, { onRepair, onCode, signal, refine = null }) {
+  let { code, meta, model } = await generateObject(text, null, { refine, onCode, signal });
+
+  for (let attempt = 1; ; attempt++) {
+    const pos = geminiIcon.body.getPosition();
+    const report = await sandbox.simulate(code, { spawnX: pos.x, spawnY: pos.y + 8, target: getCombatTarget() });
+    signal.throwIfAborted();
+    if (report.ok) {
+      if (attempt > 1) console.log(`[Repair] "${text}" fixed after ${attempt - 1} attempt(s)`);
+      return { code, meta, model };
+    }
+
+    console.warn(`[Repair] "${text}" failed simulation (attempt ${attempt}):`, report.error);
+    if (attempt > MAX_REPAIR_ATTEMPTS) {
+      const err = new Error(`Gemini couldn't fix its code: ${report.error}`);
+      err.repairFailed = true;
+      throw err;
+    }
+
+    onRepair(attempt, report.error);
+    ({ code, meta, model } = await generateObject(text, { failedCode: code, error: report.error }, { refine, onCode, signal }));
+  }
+}
+
 async function handleSearch(text, searchBarBody) {
   if (!intro.isComplete()) return;
   if (isGenerating) return;
@@ -72,14 +153,33 @@ async function handleSearch(text, searchBarBody) {
 
   // Timer to show thinking message after 5 seconds
   let thinkingTimer = null;
+  generationController = new AbortController();
+  const { signal } = generationController;
 
   try {
-    // Normalize prompt via Gemini Flash → 1-2 word cache key
-    const key = await normalizePrompt(text);
-    console.log('[Normalize]', text, '→', key);
+    // "Another one" skips the cache and generates a new variant; refinements
+    // ("make it bigger") modify the last creation and are cached under a derived
+    // key; anything else is normalized to a 1-2 word cache key
+    let fresh = parseNewVariantRequest(text);
+    if (fresh && !fresh.subject && !lastCreation) fresh = null;
+    const refine = !fresh && lastCreation && isRefinement(text) ? lastCreation : null;
+    let key;
+    let stage;
+    if (refine) {
+      key = refinementKey(refine.key, text);
+      stage = 'refine';
+    } else if (fresh) {
+      ({ key, stage } = fresh.subject
+        ? await normalizePrompt(fresh.subject)
+        : { key: lastCreation.key.split(' + ')[0], stage: 'last' });
+    } else {
+      ({ key, stage } = await normalizePrompt(text));
+    }
+    console.log(`[Normalize:${stage}]`, text, '→', key, fresh ? '(new variant)' : '');
+    const replace = refine ? refine.handle : null;
 
-    // Check cache (localStorage L1, then Firebase L2)
-    const cached = await cache.get(key);
+    // Check cache (curated, memory, IndexedDB, remote — see cache.js)
+    const cached = fresh ? null : await cache.get(key);
     if (cached) {
       // Show thinking message and delay 3 seconds to simulate generation
       const thinkingMsg = THINKING_MESSAGES[Math.floor(Math.random() * THINKING_MESSAGES.length)];
@@ -87,19 +187,48 @@ async function handleSearch(text, searchBarBody) {
       await new Promise(resolve => setTimeout(resolve, 3000));
       geminiIcon.hideSpeech();
 
-      // Spawn below Gemini's current position
-      await animateGeminiSpawn(cached);
+      // Spawn below Gemini's current position (or in place of the refined creation)
+      const label = cached.curated ? key : variantLabel(key, cached.id);
+      const handle = await animateGeminiSpawn(cached.code, {
+        trusted: !!cached.curated, shared: !cached.curated, label, replace,
+      })
+        .catch((e) => {
+          cache.recordRun(key, cached.id, false);
+          throw e;
+        });
+      cache.recordRun(key, cached.id, true);
+      trackSpawn(label);
+      lastCreation = { key, code: cached.code, handle };
       gameState.trackObjectCreated();
       return;
     }
 
     // Start thinking interval - show new message every 5 seconds during generation
-    thinkingTimer = setInterval(() => {
-      const thinkingMsg = THINKING_MESSAGES[Math.floor(Math.random() * THINKING_MESSAGES.length)];
-      geminiIcon.setSpeech(thinkingMsg);
-    }, 5000);
-
-    const { code } = await generateObject(text);
+    const startThinking = () => {
+      thinkingTimer = setInterval(() => {
+        const thinkingMsg = THINKING_MESSAGES[Math.floor(Math.random() * THINKING_MESSAGES.length)];
+        geminiIcon.setSpeech(thinkingMsg);
+      }, 5000);
+    };
+    startThinking();
+
+    // A fresh variant is generated from the object's name, not "another one"
+    const prompt = fresh ? key : text;
+    const { code, meta, model } = await generateWorkingCode(prompt, {
+      onRepair(attempt, error) {
+        // Restart the cycle so the repair message stays up for a full interval
+        clearInterval(thinkingTimer);
+        geminiIcon.setSpeech(`Oops, that broke: ${error}\nFixing it (attempt ${attempt}/${MAX_REPAIR_ATTEMPTS})...`);
+        startThinking();
+      },
+      onCode(partial) {
+        // Tokens are arriving: type the code live instead of cycling thinking messages
+        clearInterval(thinkingTimer);
+        if (partial) geminiIcon.setSpeech(partial, { streaming: true });
+      },
+      signal,
+      refine: refine && { key: refine.key, code: refine.code },
+    });
 
     // Clear thinking interval and message
     if (thinkingTimer) {
@@ -108,40 +237,92 @@ async function handleSearch(text, searchBarBody) {
     }
     geminiIcon.hideSpeech();
 
-    // Spawn below Gemini's current position
-    await animateGeminiSpawn(code);
+    // Spawn below Gemini's current position (or in place of the refined creation)
+    const caption = meta.description ? `${meta.name}: ${meta.description}` : '';
+    const variantId = createVariantId();
+    const label = variantLabel(key, variantId);
+    const handle = await animateGeminiSpawn(code, { label, replace, caption });
+    trackSpawn(label);
+    lastCreation = { key, code, handle };
     gameState.trackObjectCreated();
-    cache.set(key, code);
+    cache.set(key, code, { variantId, model, userText: text, meta })
+      .catch(err => console.warn('[Cache] Could not store the new variant:', err));
+    if (!refine) addKnownKeys([key]);
   } catch (e) {
+    if (e.cancelled || signal.aborted) {
+      console.log('[Generation] cancelled');
+      geminiIcon.setSpeech('Okay, never mind!');
+      setTimeout(() => geminiIcon.hideSpeech(), 1500);
+      return;
+    }
+    if (e.refused) {
+      // Not an error: the model explained why it can't build this
+      console.log('[Generation] refused:', e.message);
+      geminiIcon.setSpeech(e.message);
+      setTimeout(() => geminiIcon.hideSpeech(), 4000);
+      return;
+    }
     console.error('Generation failed:', e);
     overlay.showError(e.message);
+    if (e.repairFailed) {
+      geminiIcon.setSpeech("Sorry, I couldn't get that one working. Try describing it differently?");
+      setTimeout(() => geminiIcon.hideSpeech(), 4000);
+    } else {
+      geminiIcon.hideSpeech(); // drop code streamed before the failure (e.g. truncation)
+    }
   } finally {
     // Clean up thinking interval if still running
     if (thinkingTimer) {
       clearInterval(thinkingTimer);
     }
     isGenerating = false;
+    generationController = null;
     searchBar.setLoading(false);
     geminiIcon.setLoading(false);
   }
 }
 
+// Average position of a creation's remaining bodies, or null if none are left
+function creationCenter(handle) {
+  const bodies = handle.getBodies();
+  if (bodies.length === 0) return null;
+  let x = 0;
+  let y = 0;
+  for (const body of bodies) {
+    const p = body.getPosition();
+    x += p.x;
+    y += p.y;
+  }
+  return { x: x / bodies.length, y: y / bodies.length };
+}
+
 /**
  * Gemini shows code, waits, then spawns object below its current position.
+ * With `replace`, the old creation is destroyed and the new one takes its place.
  * @param {string} code - The code to execute
- * @returns {Promise} - Resolves when animation completes and object is spawned
+ * @param {object} [opts]
+ * @param {boolean} [opts.trusted] - Run in-process instead of the sandbox (curated code only)
+ * @param {boolean} [opts.shared] - Code from the cache rather than this session's generation
+ * @param {string} [opts.label] - Cache key, used to label executor stats
+ * @param {object|null} [opts.replace] - Handle of the creation to replace (see executor.js)
+ * @param {string} [opts.caption] - Shown in the speech bubble once the object has spawned
+ * @returns {Promise<object>} Resolves with the new creation's handle when the animation completes,
+ *   rejects if the code fails to execute
  */
-function animateGeminiSpawn(code) {
-  return new Promise((resolve) => {
-    // Get Gemini's current position - spawn below it
-    const geminiPos = geminiIcon.body.getPosition();
-    const spawnX = geminiPos.x;
-    const spawnY = geminiPos.y + 8; // Spawn 8 meters below Gemini
+function animateGeminiSpawn(code, { trusted = false, shared = false, label = '', replace = null, caption = '' } = {}) {
+  const spawn = async (x, y) => {
+    if (replace) {
+      const center = creationCenter(replace);
+      replace.destroy();
+      if (center) ({ x, y } = center);
+    }
+    return executor.execute(code, x, y, { trusted, shared, label });
+  };
 
+  return new Promise((resolve, reject) => {
     if (!geminiIcon.isVisible()) {
       // If Gemini isn't visible, just spawn immediately at default location
-      executor.execute(code, W * 0.5, H * 0.3);
-      resolve();
+      spawn(W * 0.5, H * 0.3).then(resolve, reject);
       return;
     }
 
@@ -150,22 +331,28 @@ function animateGeminiSpawn(code) {
 
     // Wait 2 seconds, then spawn the object
     setTimeout(() => {
-      // Get position again in case Gemini moved
+      // Spawn 8 meters below Gemini's current position
       const pos = geminiIcon.body.getPosition();
-      executor.execute(code, pos.x, pos.y + 8);
-
-      // Hide speech bubble 3 seconds after spawn (5 total)
-      setTimeout(() => {
+      spawn(pos.x, pos.y + 8).then((handle) => {
+        if (caption) geminiIcon.setSpeech(caption);
+        // Hide speech bubble 3 seconds after spawn (5 total)
+        setTimeout(() => {
+          geminiIcon.hideSpeech();
+          resolve(handle);
+        }, 3000);
+      }, (e) => {
         geminiIcon.hideSpeech();
-        resolve();
-      }, 3000);
+        reject(e);
+      });
     }, 2000);
   });
 }
 
 // Google landing page - returns spawn functions for delayed loading
 const googlePage = createGooglePage(world);
-const searchBar = createSearchBar(world, W * 0.5, H * 0.40, handleSearch);
+const searchBar = createSearchBar(world, W * 0.5, H * 0.40, handleSearch, () => {
+  if (generationController) generationController.abort();
+});
 
 // --- Gemini icon ---
 const geminiIcon = createGeminiIcon(world, canvas);
@@ -187,7 +374,7 @@ const crashRenderer = createCrashRenderer(canvas, crash, gameState, world);
 const combatHUD = createCombatHUD(canvas, gameState, geminiIcon, intro, searchBar, world, crash, executor);
 
 // Wire up target provider to aim at The Crash's eye, or center-bottom in playground mode
-executor.setTargetProvider(() => {
+function getCombatTarget() {
   const state = gameState.getState();
   // In victory/defeat (playground mode), use center of screen as target
   if (state === 'victory' || state === 'defeat') {
@@ -198,6 +385,28 @@ executor.setTargetProvider(() => {
   if (eyePos) return eyePos;
   // Fallback
   return { x: W * 0.5, y: H * 0.7 };
+}
+executor.setTargetProvider(getCombatTarget);
+
+// Sandboxed objects hit a stand-in eye inside the worker; damage is applied here
+sandbox.setEyeProvider(() => {
+  if (!gameState.isActive()) return null;
+  const eyePos = crash.getEyePosition();
+  return { x: eyePos.x, y: eyePos.y, radius: crash.getEyeRadius() };
+});
+sandbox.onHit((momentum, label) => crash.applyHit(momentum, label));
+// ...and are consumed by a stand-in void core there
+sandbox.setVoidProvider(() => (gameState.isActive() ? crash.getCenter() : null));
+sandbox.onConsumed(() => crash.applyConsumed());
+// Damage per cached variant, for its selection weight
+crash.onDamage((damage, label) => {
+  const variant = parseVariantLabel(label);
+  if (variant) cache.recordDamage(variant.key, variant.variantId, damage);
+});
+// Variants that throw at runtime stop being served (see moderation.js)
+executor.onCreationError((label, message) => {
+  const variant = parseVariantLabel(label);
+  if (variant) cache.reportCrash(variant.key, variant.variantId, message);
 });
 
 // Wire up screen shake from The Crash and intro to the renderer
@@ -230,9 +439,15 @@ function setupLuckyClickHandler() {
     const code = CURATED_OBJECTS[randomKey];
 
     // Spawn below Gemini's current position
-    await animateGeminiSpawn(code);
-    gameState.trackObjectCreated();
-    console.log('[Feeling Lucky]', randomKey);
+    try {
+      const handle = await animateGeminiSpawn(code, { trusted: true, label: randomKey });
+      lastCreation = { key: randomKey, code, handle };
+      gameState.trackObjectCreated();
+      console.log('[Feeling Lucky]', randomKey);
+    } catch (e) {
+      console.error('Feeling Lucky failed:', e);
+      overlay.showError(e.message);
+    }
 
     luckyAnimating = false;
   });
@@ -269,6 +484,9 @@ function loop() {
     }
   }
 
+  // Step sandboxed objects in the worker and sync their proxies
+  executor.syncSandbox();
+
   geminiIcon.update();
 
   // Update combat
@@ -0,0 +1,66 @@
+import { analyzeCode, formatReport } from './codeAnalyzer.js';
+import { simulateCode } from './headless.js';
+import { SCALE } from './constants.js';
+import { EYE_MIN_RADIUS } from './combat/combatConstants.js';
+
+/**
+ * Moderation of community-cached objects.
+ *
+ * Clients never write to the served cache directly: new variants go into a
+ * pending queue and are promoted only after checkSubmission() passes (run by
+ * server/cacheServer.js, or scripts/moderate.js for Firebase). Served variants
+ * that keep crashing clients at runtime are moved to quarantine.
+ *
+ *   pending → live (cache/) → quarantined
+ *           ↘ rejected
+ */
+
+// A typical 1440×800 desktop viewport, in meters (same as scripts/validateCurated.js)
+const W = 1440 / SCALE;
+const H = 800 / SCALE;
+const EYE = { x: W * 0.15, y: H * 0.6, radius: EYE_MIN_RADIUS };
+const CHECK_FRAMES = 180;   // 3 seconds at 60fps
+
+// Most one stats write may add to each counter: about one run's worth.
+// Counters only grow; database.rules.json repeats these for Firebase.
+export const STAT_STEPS = { runs: 1, failures: 1, totalDamage: 100, earlyExits: 1 };
+
+// Quarantine once enough crash reports have come in, and they aren't rare flukes
+export const QUARANTINE_MIN_CRASHES = 3;
+export const QUARANTINE_CRASH_RATE = 0.25; // crash reports per recorded run
+
+/**
+ * Automatic review of a submitted variant: forbidden-API scan, then a short
+ * headless physics run. That run executes the submitted code in this process,
+ * so servers and scripts call it through server/review.js, which runs it in
+ * an isolated child process with a timeout.
+ * @param {string} code
+ * @returns {{ok: boolean, reason: string|null, simulation: object|null}}
+ */
+export function checkSubmission(code) {
+  if (typeof code !== 'string' || !code.trim()) {
+    return { ok: false, reason: 'No code', simulation: null };
+  }
+
+  const analysis = analyzeCode(code, { shared: true });
+  if (!analysis.ok) return { ok: false, reason: formatReport(analysis), simulation: null };
+
+  const report = simulateCode(code, { W, H, target: { x: EYE.x, y: EYE.y }, eye: EYE, frames: CHECK_FRAMES });
+  const simulation = {
+    frames: report.frames,
+    bodiesCreated: report.bodiesCreated,
+    escaped: report.escaped,
+    damage: report.damage,
+  };
+  if (!report.ok) return { ok: false, reason: `Simulation failed: ${report.error}`, simulation };
+  if (report.bodiesCreated === 0) return { ok: false, reason: 'Simulation created no bodies', simulation };
+  return { ok: true, reason: null, simulation };
+}
+
+/**
+ * @param {number} crashes - Crash reports for a variant
+ * @param {number} runs - Its recorded runs
+ */
+export function shouldQuarantine(crashes, runs) {
+  return crashes >= QUARANTINE_MIN_CRASHES && crashes >= QUARANTINE_CRASH_RATE * runs;
+}
@@ -0,0 +1,153 @@
+/**
+ * Local prompt normaliser — resolves most searches to a cache key without a
+ * network round-trip. Stages, cheapest first:
+ *
+ *   exact    "tank"              → tank
+ *   cleaned  "a tank please!"    → tank        (articles, filler words, punctuation)
+ *   plural   "tanks", "viruses"  → tank, virus
+ *   synonym  "chopper"           → helicopter  (aliases in curated/manifest.js)
+ *   typo     "helicoptr"         → helicopter  (one edit, long words only)
+ *
+ * Every result carries a confidence; the caller decides below which value the
+ * Flash model is asked instead (see gemini.js normalizePrompt).
+ */
+
+// Words that never change what the user asked for
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'some', 'my', 'one', 'another', 'new', 'of',
+  'please', 'pls', 'plz', 'thanks', 'now', 'just',
+  'i', 'me', 'we', 'us', 'you', 'can', 'could', 'would', 'will', 'want', 'need', 'like', 'lets', 'let',
+  'give', 'make', 'create', 'spawn', 'build', 'summon', 'add', 'drop', 'throw', 'send',
+]);
+
+const CONFIDENCE = {
+  exact: 1,
+  cleaned: 0.95,
+  plural: 0.9,
+  synonym: 0.9,
+};
+
+function clean(text) {
+  return text.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function withoutFiller(phrase) {
+  const words = phrase.split(' ').filter(w => !FILLER_WORDS.has(w));
+  return words.join(' ');
+}
+
+function singular(word) {
+  if (word.length <= 3 || word.endsWith('ss') || word.endsWith('us')) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (/(s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and adjacent
+ * transpositions ("tnak" → "tank" is 1).
+ */
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Shorter words are one edit away from too many other things ("socket",
+// "pocket" → rocket, "canyon" → cannon), so those go to the fast model
+const MIN_TYPO_LENGTH = 7;
+const MAX_TYPO_EDITS = 1;
+
+/**
+ * @param {object} opts
+ * @param {string[]} opts.keys - Curated keys, always known
+ * @param {Object<string, string>} [opts.synonyms] - Alternative name → key
+ */
+export function createNormalizer({ keys, synonyms = {} }) {
+  const known = new Set(keys);
+  const stats = {};
+
+  function match(stage, key, confidence = CONFIDENCE[stage]) {
+    return { key, stage, confidence };
+  }
+
+  function closest(phrase) {
+    if (phrase.length < MIN_TYPO_LENGTH) return null;
+    let best = null;
+    let bestDistance = Infinity;
+    let tied = false;
+    for (const key of known) {
+      if (Math.abs(key.length - phrase.length) > MAX_TYPO_EDITS) continue;
+      const dist = editDistance(phrase, key);
+      if (dist < bestDistance) {
+        best = key;
+        bestDistance = dist;
+        tied = false;
+      } else if (dist === bestDistance) {
+        tied = true;
+      }
+    }
+    if (!best || bestDistance > MAX_TYPO_EDITS) return null;
+    const confidence = 1 - bestDistance / Math.max(phrase.length, best.length);
+    // Two keys equally close: guessing would be wrong half the time
+    return match('typo', best, tied ? confidence / 2 : confidence);
+  }
+
+  /**
+   * Best local guess for a search, or null if nothing is close.
+   * @param {string} text - Raw search text
+   * @returns {{key: string, stage: string, confidence: number}|null}
+   */
+  function resolve(text) {
+    const raw = text.trim().toLowerCase();
+    if (known.has(raw)) return match('exact', raw);
+
+    const cleaned = withoutFiller(clean(text));
+    if (!cleaned) return null;
+    if (known.has(cleaned)) return match('cleaned', cleaned);
+
+    const singularized = cleaned.split(' ').map(singular).join(' ');
+    if (known.has(singularized)) return match('plural', singularized);
+
+    for (const phrase of [cleaned, singularized]) {
+      const target = synonyms[phrase];
+      if (target && known.has(target)) return match('synonym', target);
+    }
+
+    return closest(singularized);
+  }
+
+  return {
+    resolve,
+
+    /**
+     * Keys that already exist in the cache (e.g. from Firebase), so repeat
+     * searches for non-curated objects resolve locally too.
+     * @param {Iterable<string>} keys
+     */
+    addKeys(keys) {
+      for (const key of keys) known.add(key);
+    },
+
+    /**
+     * Count which stage resolved a search ('llm' and 'raw' for the fallbacks).
+     * @param {string} stage
+     */
+    record(stage) {
+      stats[stage] = (stats[stage] || 0) + 1;
+    },
+
+    /** Searches resolved per stage since page load */
+    getStats() { return { ...stats }; },
+  };
+}
@@ -3,7 +3,12 @@ import { SCALE, RECT_HALF_WIDTH, RECT_HALF_HEIGHT, COLORS } from './constants.js
 
 /**
  * Every tracked object has:
- *   { body, type: 'circle'|'rect', radius?, hw?, hh?, color }
+ *   { body, type, color, ... }
+ * Shape types ('circle', 'rect', 'polygon', 'edge', 'chain', 'shape') are drawn
+ * from the body's fixtures, all of them and of any planck shape (see shapes.js);
+ * radius / hw / hh are only a fallback. Creations may also carry a `style`
+ * (gradient, stroke, glyph, pattern, sprite — see styles.js). Other types are
+ * hand-drawn page elements (see renderer.js).
  */
 const objects = [];
 
@@ -76,9 +81,7 @@ export function createRect(world, x, y, hw, hh, mass, color) {
 // Scene setup — creates all initial objects and joints, returns joint ref
 // ---------------------------------------------------------------------------
 
-export function createScene(world) {
-  const W = window.innerWidth / SCALE;
-  const H = window.innerHeight / SCALE;
+export function createScene(world, W = window.innerWidth / SCALE, H = window.innerHeight / SCALE) {
   const hw = RECT_HALF_WIDTH;
   const hh = RECT_HALF_HEIGHT;
 
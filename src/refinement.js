@@ -0,0 +1,59 @@
+/**
+ * Refinement prompts ("make it bigger", "same but red", "even faster") modify
+ * the last creation instead of spawning a new object from scratch.
+ */
+
+const REFINEMENT_PATTERNS = [
+  /^(now |and |ok |okay )?(make|turn|paint|color|colour) (it|them|that|this)\b/,
+  /^(now |and )?(give|let|have) (it|them)\b/,
+  /^(the )?same (thing |one )?but\b/,
+  /^(but|also|and also) /,
+  /^(it|they) should\b/,
+  /^(even |much |way |a lot |a bit )?(more|less|fewer|bigger|smaller|faster|slower|heavier|lighter|taller|shorter|longer|wider|stronger|weaker|bouncier)\b/,
+  /\b(to|on|from) (it|them)$/,   // "add wings to it", "remove the wheels from it"
+  /\binstead$/,                  // "red instead"
+];
+
+/**
+ * Does this search text ask to change the previous creation?
+ * @param {string} text
+ */
+export function isRefinement(text) {
+  const t = text.trim().toLowerCase();
+  return REFINEMENT_PATTERNS.some(re => re.test(t));
+}
+
+// "another one", "give me a new one", "new version of the tank" — skip the cache
+// and generate a fresh variant (of the named object, or else the last creation)
+const NEW_VARIANT_PATTERNS = [
+  /^(give me |make |show me |try )?(an?other|a new|a different|a fresh) (one|version|variant|take)(?: of (?:the |a |an )?(.+?))?( please)?$/,
+  /^(something|anything) (else|different)$/,
+  /^(re-?roll|try again)$/,
+];
+
+/**
+ * Does this search text ask for a fresh variant instead of a cached one?
+ * @param {string} text
+ * @returns {{subject: string|null}|null} subject is the object named in the text,
+ *   null when it refers to the last creation; null if this isn't such a request
+ */
+export function parseNewVariantRequest(text) {
+  const t = text.trim().toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ');
+  for (const re of NEW_VARIANT_PATTERNS) {
+    const m = t.match(re);
+    if (m) return { subject: m[4] || null };
+  }
+  return null;
+}
+
+/**
+ * Cache key for a refinement, derived from the base creation's key, e.g.
+ * "tank" + "Make it RED!" → "tank + make it red". Normalized base keys never
+ * contain "+", so refinements can't overwrite them.
+ * @param {string} baseKey
+ * @param {string} instruction
+ */
+export function refinementKey(baseKey, instruction) {
+  const words = instruction.trim().toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ');
+  return `${baseKey} + ${words}`;
+}
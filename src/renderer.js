@@ -1,5 +1,7 @@
 import { SCALE, COLORS, DEBUG } from './constants.js';
 import { drawSpeechBubble } from './speechBubble.js';
+import { fixtureOutlines } from './shapes.js';
+import { getSpriteAtlas } from './sprites.js';
 
 /**
  * Creates the renderer that draws the physics scene onto a canvas each frame.
@@ -168,8 +170,8 @@ export function createRenderer(canvas, getObjects, sceneRefs, inputState) {
       ctx.translate(pos.x * SCALE, pos.y * SCALE);
       ctx.rotate(angle);
 
-      if (obj.type === 'circle') {
-        drawCircle(ctx, obj);
+      if (SHAPE_TYPES.has(obj.type)) {
+        drawShape(ctx, obj);
       } else if (obj.type === 'searchbar') {
         drawSearchBar(ctx, obj);
       } else if (obj.type === 'logoletter') {
@@ -319,27 +321,194 @@ function drawGeminiSparkle(ctx, cx, cy, size) {
 // Shape drawing helpers
 // ---------------------------------------------------------------------------
 
+// Registered types drawn from the body's actual fixtures (see shapes.js);
+// everything else is a hand-drawn page element
+const SHAPE_TYPES = new Set(['circle', 'rect', 'polygon', 'edge', 'chain', 'shape']);
+
+/**
+ * Draw every fixture of a body in body-local space (the context is already
+ * translated and rotated to the body). Fixtures with a userData color use it.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {planck.Body} body
+ * @param {string} color - Fill for fixtures without their own color
+ * @param {object} [style] - Normalized style fields (see styles.js)
+ */
+export function drawBodyShapes(ctx, body, color, style = null) {
+  drawOutlines(ctx, fixtureOutlines(body), color, style);
+}
+
+function drawShape(ctx, obj) {
+  if (obj.body.getFixtureList()) drawBodyShapes(ctx, obj.body, obj.color, obj.style);
+  else if (obj.type === 'circle') drawCircle(ctx, obj);
+  else if (obj.hw != null && obj.hh != null) drawRect(ctx, obj);
+}
+
 function drawCircle(ctx, obj) {
-  const r = obj.radius * SCALE;
+  drawOutlines(ctx, [{ shape: 'circle', x: 0, y: 0, radius: obj.radius }], obj.color, obj.style);
+}
 
-  ctx.beginPath();
-  ctx.arc(0, 0, r, 0, Math.PI * 2);
-  ctx.fillStyle = obj.color;
-  ctx.fill();
+function drawRect(ctx, obj) {
+  const vertices = [
+    { x: -obj.hw, y: -obj.hh }, { x: obj.hw, y: -obj.hh },
+    { x: obj.hw, y: obj.hh }, { x: -obj.hw, y: obj.hh },
+  ];
+  drawOutlines(ctx, [{ shape: 'polygon', vertices }], obj.color, obj.style);
+}
 
-  ctx.strokeStyle = 'rgba(255,255,255,0.3)';
-  ctx.lineWidth = 2;
-  ctx.stroke();
+/** Outlines as returned by fixtureOutlines(), filled with color or the style */
+function drawOutlines(ctx, outlines, color, style) {
+  const bounds = style ? outlineBounds(outlines) : null;
+  const paint = style ? styleFill(ctx, style, color, bounds) : color;
+
+  for (const o of outlines) {
+    tracePath(ctx, o);
+
+    if (o.shape === 'edge' || o.shape === 'chain') {
+      // Edges and chains are lines
+      ctx.strokeStyle = o.color || paint;
+      ctx.lineWidth = 3;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.stroke();
+      continue;
+    }
 
-  // Rotation indicator
+    ctx.fillStyle = o.color || paint;
+    ctx.fill();
+    // Patterns draw paths of their own; trace the outline again for its stroke
+    if (style && !o.color && drawDecoration(ctx, style, bounds)) tracePath(ctx, o);
+    ctx.strokeStyle = style?.stroke || (o.shape === 'circle' ? 'rgba(255,255,255,0.3)' : 'rgba(255,255,255,0.25)');
+    ctx.lineWidth = style?.strokeWidth || 2;
+    ctx.stroke();
+
+    // Rotation indicator, unless a sprite or glyph already shows the spin
+    if (o.shape === 'circle' && !style?.sprite && !style?.glyph) {
+      ctx.beginPath();
+      ctx.moveTo(o.x * SCALE, o.y * SCALE);
+      ctx.lineTo((o.x + o.radius * 0.8) * SCALE, o.y * SCALE);
+      ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+  }
+
+  if (style?.glyph) drawGlyph(ctx, style, bounds);
+}
+
+function tracePath(ctx, o) {
   ctx.beginPath();
-  ctx.moveTo(0, 0);
-  ctx.lineTo(r * 0.8, 0);
-  ctx.strokeStyle = 'rgba(255,255,255,0.6)';
-  ctx.lineWidth = 2;
-  ctx.stroke();
+  if (o.shape === 'circle') {
+    ctx.arc(o.x * SCALE, o.y * SCALE, o.radius * SCALE, 0, Math.PI * 2);
+    return;
+  }
+  o.vertices.forEach((v, i) => (i === 0 ? ctx.moveTo(v.x * SCALE, v.y * SCALE) : ctx.lineTo(v.x * SCALE, v.y * SCALE)));
+  if (o.shape === 'polygon' || o.loop) ctx.closePath();
+}
+
+/** Body-local pixel bounds of all outlines: { x, y, w, h } */
+function outlineBounds(outlines) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const o of outlines) {
+    const points = o.shape === 'circle'
+      ? [{ x: o.x - o.radius, y: o.y - o.radius }, { x: o.x + o.radius, y: o.y + o.radius }]
+      : o.vertices;
+    for (const p of points) {
+      minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+      minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+    }
+  }
+  if (minX > maxX) return { x: 0, y: 0, w: 0, h: 0 };
+  return { x: minX * SCALE, y: minY * SCALE, w: (maxX - minX) * SCALE, h: (maxY - minY) * SCALE };
 }
 
+// ---------------------------------------------------------------------------
+// Object styles (gradients, patterns, sprites, glyphs — see styles.js)
+// ---------------------------------------------------------------------------
+
+/** Gradient over the bounds, or the plain color when there is none or it won't build */
+function styleFill(ctx, style, color, b) {
+  const gradient = style.gradient;
+  if (!gradient) return color;
+  const cx = b.x + b.w / 2;
+  const cy = b.y + b.h / 2;
+  try {
+    let fill;
+    if (gradient.type === 'radial') {
+      fill = ctx.createRadialGradient(cx, cy, 0, cx, cy, Math.max(b.w, b.h) / 2 || 1);
+    } else {
+      const dx = Math.cos(gradient.angle);
+      const dy = Math.sin(gradient.angle);
+      const half = (Math.abs(dx) * b.w + Math.abs(dy) * b.h) / 2 || 1;
+      fill = ctx.createLinearGradient(cx - dx * half, cy - dy * half, cx + dx * half, cy + dy * half);
+    }
+    // addColorStop throws on colors the canvas can't parse
+    gradient.colors.forEach((c, i) => fill.addColorStop(i / (gradient.colors.length - 1), c));
+    return fill;
+  } catch (_) {
+    return color;
+  }
+}
+
+/** Sprite and pattern, clipped to the path just filled. Returns whether it drew */
+function drawDecoration(ctx, style, b) {
+  if (!style.sprite && !style.pattern) return false;
+  ctx.save();
+  ctx.clip();
+
+  const atlas = style.sprite ? getSpriteAtlas() : null;
+  const cell = atlas?.cells[style.sprite];
+  if (cell) ctx.drawImage(atlas.image, cell.x, cell.y, cell.w, cell.h, b.x, b.y, b.w, b.h);
+
+  if (style.pattern === 'stripes') {
+    ctx.strokeStyle = style.patternColor || 'rgba(0,0,0,0.2)';
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    for (let d = -b.h; d < b.w; d += 12) {
+      ctx.moveTo(b.x + d, b.y + b.h);
+      ctx.lineTo(b.x + d + b.h, b.y);
+    }
+    ctx.stroke();
+  } else if (style.pattern === 'rivets') {
+    ctx.fillStyle = style.patternColor || 'rgba(0,0,0,0.35)';
+    ctx.beginPath();
+    for (let y = b.y + 6; y < b.y + b.h; y += 16) {
+      for (let x = b.x + 6; x < b.x + b.w; x += 16) {
+        ctx.moveTo(x + 2, y);
+        ctx.arc(x, y, 2, 0, Math.PI * 2);
+      }
+    }
+    ctx.fill();
+  } else if (style.pattern === 'wood') {
+    // Wavy grain along the body's length, a knot a third of the way in
+    ctx.strokeStyle = style.patternColor || 'rgba(70,35,10,0.35)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let y = b.y + 3; y < b.y + b.h; y += 6) {
+      ctx.moveTo(b.x, y);
+      for (let x = b.x; x <= b.x + b.w + 6; x += 6) ctx.lineTo(x, y + Math.sin((x + y * 7) * 0.05) * 1.5);
+    }
+    ctx.moveTo(b.x + b.w * 0.3 + 4, b.y + b.h / 2);
+    ctx.ellipse(b.x + b.w * 0.3, b.y + b.h / 2, 4, 2, 0, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  ctx.restore();
+  return true;
+}
+
+function drawGlyph(ctx, style, b) {
+  const fontSize = Math.max(8, Math.min(b.w, b.h) * 0.7);
+  ctx.font = `${fontSize}px Arial, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = style.glyphColor || '#fff';
+  ctx.fillText(style.glyph, b.x + b.w / 2, b.y + b.h / 2);
+}
+
+// ---------------------------------------------------------------------------
+// Google landing page element helpers
+// ---------------------------------------------------------------------------
+
 function drawSearchBar(ctx, obj) {
   const w = obj.hw * 2 * SCALE;
   const h = obj.hh * 2 * SCALE;
@@ -440,22 +609,6 @@ function drawSearchBar(ctx, obj) {
   ctx.restore();
 }
 
-function drawRect(ctx, obj) {
-  const w = obj.hw * 2 * SCALE;
-  const h = obj.hh * 2 * SCALE;
-
-  ctx.fillStyle = obj.color;
-  ctx.fillRect(-w / 2, -h / 2, w, h);
-
-  ctx.strokeStyle = 'rgba(255,255,255,0.25)';
-  ctx.lineWidth = 2;
-  ctx.strokeRect(-w / 2, -h / 2, w, h);
-}
-
-// ---------------------------------------------------------------------------
-// Google landing page element helpers
-// ---------------------------------------------------------------------------
-
 function drawLogoLetter(ctx, obj) {
   const h = obj.hh * 2 * SCALE;
   const fontSize = obj.fontSize || h * 0.7;
@@ -754,6 +907,8 @@ function drawGeminiIcon(ctx, obj) {
       maxWidth: 280,
       theme: 'auto',
       tailDirection: 'down',
+      isCode: obj.speechStreaming || undefined,
+      streaming: obj.speechStreaming,
     });
     ctx.restore();
   }
@@ -836,36 +991,13 @@ function drawDebugHitbox(ctx, obj) {
   ctx.strokeStyle = '#ff0000';
   ctx.lineWidth = 1.5;
 
-  // Read actual fixture shape from the Box2D body for accurate hitbox visualization
+  // Read actual fixture shapes from the Box2D body for accurate hitbox visualization
   let drawn = false;
   try {
-    const fixture = obj.body && obj.body.getFixtureList();
-    if (fixture) {
-      const shape = fixture.getShape();
-      const type = shape.getType();
-      if (type === 'circle') {
-        const r = shape.getRadius() * SCALE;
-        ctx.beginPath();
-        ctx.arc(0, 0, r, 0, Math.PI * 2);
-        ctx.stroke();
-        drawn = true;
-      } else if (type === 'polygon') {
-        const verts = shape.m_vertices;
-        const count = shape.m_count;
-        if (verts && count > 0) {
-          ctx.beginPath();
-          for (let i = 0; i < count; i++) {
-            const v = verts[i];
-            const px = v.x * SCALE;
-            const py = v.y * SCALE;
-            if (i === 0) ctx.moveTo(px, py);
-            else ctx.lineTo(px, py);
-          }
-          ctx.closePath();
-          ctx.stroke();
-          drawn = true;
-        }
-      }
+    for (const o of obj.body ? fixtureOutlines(obj.body) : []) {
+      tracePath(ctx, o);
+      ctx.stroke();
+      drawn = true;
     }
   } catch (_) { /* fall through to legacy drawing */ }
 
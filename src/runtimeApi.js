@@ -0,0 +1,219 @@
+import planck from 'planck';
+
+/**
+ * Helper API handed to generated code as `api` (see executor.js), so creations
+ * don't each reimplement aiming, frame counters and timers. Bump API_VERSION
+ * whenever helpers are added or change meaning; it is part of gemini.js
+ * PROMPT_VERSION, so cached code written against another version is told apart.
+ *
+ * Timers count game frames of the creation: they only advance while its
+ * updater runs, so they pause with the game and with handle.pause(). Contact
+ * and consumed callbacks are queued and run at the start of the next frame,
+ * outside the physics step, so they may create and destroy bodies and joints.
+ *
+ * Contacts are routed here by the executor. Each callback gets
+ * { body, other, category, impulse }, where category is what `other` is:
+ *   'eye'      — The Crash's eye (the weak point)
+ *   'enemy'    — the rest of The Crash
+ *   'wall'     — screen edges and floors
+ *   'page'     — search bar, page elements, Gemini, the cursor
+ *   'creation' — another creation's body
+ *   'self'     — another body of the same creation
+ * and impulse is the strongest normal impulse of the contact (0 for `end`).
+ */
+export const API_VERSION = 2;
+
+const FRAME_MS = 1000 / 60;
+const MAX_QUEUED_CONTACTS = 256; // a suspended updater stops ticking; don't queue forever
+
+/**
+ * @param {planck.World} world
+ * @param {object} opts
+ * @param {Function} opts.registerObject - The creation's registerObject
+ * @param {Function} opts.getTarget - Returns the enemy position or null
+ * @param {Function} opts.watchContacts - (body, receive) asks the executor to route the body's contacts to
+ *   receive(), and to call receive('remove', body) once the body is destroyed
+ * @param {Function} opts.unwatchContacts - (body) stops that again
+ * @returns {{api: object, tick: Function, consumed: Function, hasWork: Function, dispose: Function}}
+ */
+export function createRuntimeApi(world, { registerObject, getTarget, watchContacts, unwatchContacts }) {
+  let clock = 0;                      // frames this creation has run
+  let timers = [];                    // { at, every, fn, cancelled }
+  const contactHandlers = new Map();  // body → [{ begin, end, postSolve }]
+  const contacts = [];                // begin/end infos waiting for the next tick
+  const impacts = new Map();          // body → (other → strongest post-solve info since the last tick)
+  const removed = new Set();          // watched bodies destroyed since the last tick
+  const consumedHandlers = [];
+
+  // Called by the executor from inside the physics step: only record
+  function receive(type, body, other, category, impulse = 0) {
+    if (type === 'remove') {
+      removed.add(body);
+      return;
+    }
+    if (type !== 'postSolve') {
+      if (contacts.length >= MAX_QUEUED_CONTACTS) contacts.shift();
+      contacts.push({ type, body, other, category, impulse: 0 });
+      return;
+    }
+    if (!impacts.has(body)) impacts.set(body, new Map());
+    const byOther = impacts.get(body);
+    const strongest = byOther.get(other);
+    if (!strongest || impulse > strongest.impulse) byOther.set(other, { type, body, other, category, impulse });
+  }
+
+  function addContactHandler(body, handler) {
+    if (!contactHandlers.has(body)) {
+      contactHandlers.set(body, []);
+      watchContacts(body, receive);
+    }
+    contactHandlers.get(body).push(handler);
+  }
+
+  function schedule(frames, fn, repeat) {
+    const interval = Math.max(1, Math.round(frames));
+    const timer = { at: clock + interval, every: repeat ? interval : 0, fn, cancelled: false };
+    timers.push(timer);
+    return () => { timer.cancelled = true; };
+  }
+
+  const api = {
+    version: API_VERSION,
+
+    /**
+     * Launch velocity that lands a shot fired from `from` at `speed` on the
+     * target despite gravity (the flatter of the two arcs; 45° when out of range).
+     * @returns {planck.Vec2|null} null when there is no target
+     */
+    aimBallistic(from, speed, target = getTarget()) {
+      if (!target) return null;
+      const g = world.getGravity().y;
+      const dx = target.x - from.x;
+      const up = from.y - target.y; // positive Y is down
+      const x = Math.abs(dx);
+      if (g === 0 || x < 1e-6) {
+        const d = Math.hypot(dx, up) || 1;
+        return new planck.Vec2(dx / d * speed, -up / d * speed);
+      }
+      const v2 = speed * speed;
+      const disc = v2 * v2 - g * (g * x * x + 2 * up * v2);
+      const angle = disc < 0 ? Math.PI / 4 : Math.atan((v2 - Math.sqrt(disc)) / (g * x));
+      return new planck.Vec2(Math.sign(dx) * Math.cos(angle) * speed, -Math.sin(angle) * speed);
+    },
+
+    /** Call fn every `frames` frames of game time. Returns a cancel function. */
+    every(frames, fn) {
+      return schedule(frames, fn, true);
+    },
+
+    /** Call fn once after `ms` of game time. Returns a cancel function. */
+    after(ms, fn) {
+      return schedule(ms / FRAME_MS, fn, false);
+    },
+
+    /** Call fn(other, isEnemy, info) whenever `body` starts touching another body */
+    onHit(body, fn) {
+      addContactHandler(body, {
+        begin: info => fn(info.other, info.category === 'eye' || info.category === 'enemy', info),
+      });
+    },
+
+    /**
+     * Route `body`'s contacts to handlers, each called with { body, other, category, impulse }:
+     *   begin     — started touching (impulse of the first step)
+     *   end       — stopped touching
+     *   postSolve — still touching; once per frame and other body, with the strongest impulse
+     * @param {planck.Body} body
+     * @param {{begin?: Function, end?: Function, postSolve?: Function}} handlers
+     */
+    onContact(body, handlers) {
+      addContactHandler(body, handlers);
+    },
+
+    /** Call fn() once when The Crash consumes the creation */
+    onConsumed(fn) {
+      consumedHandlers.push(fn);
+    },
+
+    /**
+     * Create and register a round projectile.
+     * @param {object} opts
+     * @param {{x:number,y:number}} opts.position
+     * @param {{x:number,y:number}} [opts.velocity]
+     * @param {number} [opts.radius]
+     * @param {number} [opts.density]
+     * @param {number} [opts.restitution]
+     * @param {string} [opts.color]
+     * @param {boolean} [opts.gravity] - false for shots that fly straight
+     * @returns {planck.Body}
+     */
+    spawnProjectile({
+      position, velocity = null, radius = 0.5, density = 1.5, restitution = 0.2, color = '#e74c3c', gravity = true,
+    }) {
+      const body = world.createBody({
+        type: 'dynamic',
+        position: new planck.Vec2(position.x, position.y),
+        bullet: true,
+        gravityScale: gravity ? 1 : 0,
+      });
+      body.createFixture(new planck.Circle(radius), { density, restitution, friction: 0.3 });
+      if (velocity) body.setLinearVelocity(new planck.Vec2(velocity.x, velocity.y));
+      registerObject({ body, type: 'circle', radius, color });
+      return body;
+    },
+  };
+
+  /**
+   * Advance game time by `frames` (more than 1 while the updater is throttled),
+   * then run queued contact callbacks and due timers.
+   */
+  function tick(frames = 1) {
+    clock += frames;
+    const events = contacts.splice(0);
+    for (const info of events) {
+      if (info.type === 'begin') info.impulse = impacts.get(info.body)?.get(info.other)?.impulse ?? 0;
+    }
+    for (const byOther of impacts.values()) events.push(...byOther.values());
+    impacts.clear();
+    for (const { type, ...info } of events) {
+      for (const handler of contactHandlers.get(info.body) || []) handler[type]?.(info);
+    }
+    // Contacts from before a body was destroyed are still delivered; then its handlers go
+    for (const body of removed) contactHandlers.delete(body);
+    removed.clear();
+
+    // Callbacks may schedule more timers; those wait for the next tick
+    for (const timer of [...timers]) {
+      if (timer.cancelled || timer.at > clock) continue;
+      timer.fn();
+      if (!timer.every) {
+        timer.cancelled = true;
+        continue;
+      }
+      // A throttled updater fires a repeating timer once per tick, not once per missed frame
+      while (timer.at <= clock) timer.at += timer.every;
+    }
+    timers = timers.filter(t => !t.cancelled);
+  }
+
+  function consumed() {
+    for (const fn of consumedHandlers.splice(0)) fn();
+  }
+
+  /** Whether the creation needs ticking even without an update() */
+  function hasWork() {
+    return timers.length > 0 || contactHandlers.size > 0 || consumedHandlers.length > 0;
+  }
+
+  function dispose() {
+    for (const body of contactHandlers.keys()) unwatchContacts(body);
+    timers = [];
+    contactHandlers.clear();
+    removed.clear();
+    contacts.length = 0;
+    impacts.clear();
+    consumedHandlers.length = 0;
+  }
+
+  return { api, tick, consumed, hasWork, dispose };
+}
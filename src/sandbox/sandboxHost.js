@@ -0,0 +1,221 @@
+import planck from 'planck';
+import { registerObject, unregisterObject, getObjects } from '../objects.js';
+import { createFixtures } from '../shapes.js';
+
+const TRANSFORM_STRIDE = 6; // must match sandboxWorker.js
+
+/**
+ * Main-thread side of the sandbox. Untrusted generated code runs inside
+ * sandboxWorker.js against the worker's own planck world; every object it
+ * registers is mirrored here as a kinematic proxy body that follows the
+ * streamed transforms, so the renderer, mouse dragging and OOB cleanup keep
+ * working on ordinary registered objects.
+ *
+ * Proxies are kinematic, so they push page elements around but are not
+ * affected by The Crash's suction and never touch its void core. Eye hits and
+ * consumption are detected in the worker against stand-ins placed where the
+ * real ones are, and reported through the hit and consumed handlers.
+ *
+ * @param {planck.World} world - The main game world
+ * @param {number} W - World width in meters
+ * @param {number} H - World height in meters
+ */
+export function createSandboxHost(world, W, H) {
+  const worker = new Worker(new URL('./sandboxWorker.js', import.meta.url), { type: 'module' });
+
+  const proxies = new Map();  // worker object id → registered proxy object
+  const pending = new Map();  // execute/simulate requestId → { resolve, reject }
+  let nextRequestId = 1;
+  let latestFrame = null;
+  let stepInFlight = false;
+  let pendingDestroys = [];
+  let latestStats = [];
+
+  let eyeProvider = () => null;
+  let voidProvider = () => null;
+  let hitHandler = null;
+  let consumedHandler = null;
+  let crashHandler = null;
+  let destroyedHandler = null;
+
+  worker.addEventListener('message', (e) => {
+    const msg = e.data;
+    if (msg.type === 'frame') {
+      latestFrame = msg;
+      stepInFlight = false;
+      if (msg.stats) latestStats = msg.stats.map(s => ({ ...s, sandboxed: true }));
+    } else if (msg.type === 'crash') {
+      if (crashHandler) crashHandler(msg.label, msg.message);
+    } else if (msg.type === 'destroyed') {
+      if (destroyedHandler) destroyedHandler(msg.creationId, msg.reason);
+    } else if (msg.type === 'executed' || msg.type === 'error' || msg.type === 'simulated') {
+      const req = pending.get(msg.requestId);
+      if (!req) return;
+      pending.delete(msg.requestId);
+      if (msg.type === 'error') req.reject(new Error(msg.message));
+      else req.resolve(msg.type === 'executed' ? msg.creationId : msg.report);
+    }
+  });
+
+  // An uncaught error means the message being handled won't be answered:
+  // stop waiting for it, or the sandbox would stall for the rest of the session
+  worker.addEventListener('error', (e) => {
+    console.error('Sandbox worker error:', e.message);
+    stepInFlight = false;
+    for (const req of pending.values()) req.reject(new Error(`Sandbox error: ${e.message}`));
+    pending.clear();
+  });
+
+  worker.postMessage({ type: 'init', W, H });
+
+  function createProxy(desc) {
+    const body = world.createBody({
+      type: 'kinematic',
+      position: new planck.Vec2(0, 0),
+    });
+    body.setUserData({ isSandboxProxy: true, isEphemeral: !!desc.ephemeral });
+
+    // Same fixtures as the worker-side body, so it collides and draws the same
+    createFixtures(body, desc.fixtures || [], { friction: 0.4 });
+
+    const { id, fixtures, ...style } = desc;
+    const obj = { ...style, body, spawned: true, sandboxed: true };
+    registerObject(obj);
+    proxies.set(id, obj);
+  }
+
+  function removeProxy(id) {
+    const obj = proxies.get(id);
+    if (!obj) return;
+    proxies.delete(id);
+    unregisterObject(obj);
+    try {
+      world.destroyBody(obj.body);
+    } catch (e) { /* Body may already be destroyed */ }
+  }
+
+  function applyFrame(frame) {
+    for (const id of frame.removed) removeProxy(id);
+    for (const desc of frame.added) createProxy(desc);
+
+    const t = frame.transforms;
+    for (let i = 0; i < t.length; i += TRANSFORM_STRIDE) {
+      const obj = proxies.get(t[i]);
+      if (!obj) continue;
+      obj.body.setTransform(new planck.Vec2(t[i + 1], t[i + 2]), t[i + 3]);
+      obj.body.setLinearVelocity(new planck.Vec2(t[i + 4], t[i + 5]));
+    }
+
+    if (hitHandler) {
+      for (const hit of frame.hits) hitHandler(hit.momentum, hit.label);
+    }
+    if (consumedHandler) {
+      for (let i = 0; i < frame.consumed; i++) consumedHandler();
+    }
+  }
+
+  /**
+   * Run code in the worker. Resolves with the worker-side creation id once it has
+   * executed without throwing, rejects with the worker's syntax/runtime error otherwise.
+   * @param {object} [opts]
+   * @param {string} [opts.label]
+   * @param {boolean} [opts.shared] - Analyze with the shared-code rules (see executor.js)
+   */
+  function execute(code, spawnX, spawnY, { label = '', shared = false } = {}) {
+    return request({ type: 'execute', code, spawnX, spawnY, label, shared });
+  }
+
+  /**
+   * Run code headlessly in a throwaway world inside the worker (see headless.js).
+   * @returns {Promise<{ok: boolean, error: string|null, frames: number}>}
+   */
+  function simulate(code, { spawnX, spawnY, target = null } = {}) {
+    return request({ type: 'simulate', code, spawnX, spawnY, target });
+  }
+
+  function request(msg) {
+    return new Promise((resolve, reject) => {
+      const requestId = nextRequestId++;
+      pending.set(requestId, { resolve, reject });
+      worker.postMessage({ ...msg, requestId });
+    });
+  }
+
+  /**
+   * Called once per game frame: applies the most recent worker frame and asks
+   * the worker for the next one (at most one step in flight at a time).
+   * @param {{x:number,y:number}|null} target - Current getTarget() value
+   */
+  function sync(target) {
+    // Proxies removed on this side (OOB cleanup, consumed, victory clear)
+    // must be destroyed in the worker as well
+    const live = new Set(getObjects());
+    for (const [id, obj] of proxies) {
+      if (!live.has(obj)) {
+        proxies.delete(id);
+        pendingDestroys.push(id);
+      }
+    }
+
+    if (latestFrame) {
+      applyFrame(latestFrame);
+      latestFrame = null;
+    }
+
+    if (stepInFlight) return;
+    stepInFlight = true;
+    worker.postMessage({ type: 'step', target, eye: eyeProvider(), void: voidProvider(), destroy: pendingDestroys });
+    pendingDestroys = [];
+  }
+
+  /**
+   * Remove one creation in the worker; its proxies go away with the next frame.
+   * @param {number} creationId - Worker-side id, as resolved by execute()
+   */
+  function despawn(creationId) {
+    worker.postMessage({ type: 'despawn', creationId });
+  }
+
+  /**
+   * Freeze or unfreeze one creation in the worker (see executor.js handle.pause).
+   * @param {number} creationId - Worker-side id, as resolved by execute()
+   * @param {boolean} paused
+   */
+  function setPaused(creationId, paused) {
+    worker.postMessage({ type: paused ? 'pause' : 'resume', creationId });
+  }
+
+  /**
+   * Destroy everything the sandbox has spawned, on both sides.
+   */
+  function clear() {
+    worker.postMessage({ type: 'clear' });
+    for (const id of [...proxies.keys()]) removeProxy(id);
+    latestFrame = null;
+    pendingDestroys = [];
+    latestStats = [];
+  }
+
+  return {
+    execute,
+    simulate,
+    despawn,
+    setPaused,
+    sync,
+    clear,
+    /** Executor stats from the worker (refreshed every few frames) */
+    getStats() { return latestStats; },
+    /** @param {Function} fn - Returns {x, y, radius} of The Crash's eye, or null */
+    setEyeProvider(fn) { eyeProvider = fn; },
+    /** @param {Function} fn - Returns {x, y} of The Crash's void core, or null */
+    setVoidProvider(fn) { voidProvider = fn; },
+    /** @param {Function} fn - Called with (momentum, creation label) for each sandboxed eye hit */
+    onHit(fn) { hitHandler = fn; },
+    /** @param {Function} fn - Called once per sandboxed body the void core consumed */
+    onConsumed(fn) { consumedHandler = fn; },
+    /** @param {Function} fn - Called with (creation label, message) when a sandboxed update() throws */
+    onCrash(fn) { crashHandler = fn; },
+    /** @param {Function} fn - Called with (worker-side creation id, reason) when a creation goes away in the worker */
+    onDestroyed(fn) { destroyedHandler = fn; },
+  };
+}
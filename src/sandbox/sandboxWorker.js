@@ -0,0 +1,336 @@
+import planck from 'planck';
+import { createWorld } from '../world.js';
+import { createExecutor } from '../executor.js';
+import { getObjects, unregisterObject } from '../objects.js';
+import { simulateCode } from '../headless.js';
+import { fixtureOutlines } from '../shapes.js';
+import { VOID_BODY_RADIUS } from '../combat/combatConstants.js';
+
+/**
+ * Sandbox worker — owns a private planck world and runs untrusted generated
+ * code against it. The main thread (sandboxHost.js) drives it one frame at a
+ * time and receives registered objects + body transforms back.
+ *
+ * Protocol (host → worker):
+ *   { type: 'init', W, H }
+ *   { type: 'execute', requestId, code, spawnX, spawnY, label, shared }
+ *   { type: 'simulate', requestId, code, spawnX, spawnY, target }
+ *   { type: 'despawn', creationId }
+ *   { type: 'pause' | 'resume', creationId }
+ *   { type: 'step', target, eye, void, destroy: id[] }
+ *   { type: 'clear' }
+ *
+ * Protocol (worker → host):
+ *   { type: 'executed', requestId, creationId } | { type: 'error', requestId, message }
+ *   { type: 'simulated', requestId, report }
+ *   { type: 'crash', label, message } — a sandboxed update() threw
+ *   { type: 'destroyed', creationId, reason } — see executor.js handle.onDestroyed
+ *     ('cleared' for every creation when a failed step resets the sandbox)
+ *   { type: 'frame', added: descriptor[], removed: id[], transforms: Float64Array,
+ *     hits: {momentum, label}[], consumed: number,
+ *     stats?: creation stats[] (every STATS_INTERVAL frames) }
+ */
+
+// Keep private handles on messaging before the global scope is locked down
+const post = self.postMessage.bind(self);
+const listen = self.addEventListener.bind(self);
+
+// Generated code runs in this global scope: keep only the ECMAScript built-ins
+// and the few host APIs the executor itself uses, so network, storage, messaging,
+// font loading and whatever browsers add next are all out of reach. Hiding them
+// on the global object alone isn't enough: the same methods live on its
+// prototypes (DedicatedWorkerGlobalScope, WorkerGlobalScope, EventTarget), so
+// they are overridden all along the chain, and the prototypes are frozen.
+const ALLOWED_GLOBALS = new Set([
+  'Object', 'Function', 'Array', 'Number', 'Boolean', 'String', 'Symbol', 'BigInt', 'Date', 'RegExp',
+  'Promise', 'Map', 'Set', 'WeakMap', 'WeakSet', 'WeakRef', 'FinalizationRegistry', 'Proxy', 'Reflect',
+  'JSON', 'Math', 'Intl', 'Atomics', 'Iterator', 'globalThis', 'Infinity', 'NaN', 'undefined',
+  'Error', 'AggregateError', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError', 'URIError',
+  'ArrayBuffer', 'SharedArrayBuffer', 'DataView', 'Int8Array', 'Uint8Array', 'Uint8ClampedArray',
+  'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array', 'Float16Array', 'Float32Array', 'Float64Array',
+  'BigInt64Array', 'BigUint64Array',
+  'eval', 'isFinite', 'isNaN', 'parseFloat', 'parseInt',
+  'decodeURI', 'decodeURIComponent', 'encodeURI', 'encodeURIComponent', 'escape', 'unescape',
+  'console', 'setTimeout', 'clearTimeout', 'performance', 'constructor',
+]);
+function block(scope, name) {
+  try {
+    Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false });
+  } catch (e) { /* not redefinable in this engine */ }
+}
+function lockDown(scope) {
+  for (const name of Object.getOwnPropertyNames(scope)) {
+    if (!ALLOWED_GLOBALS.has(name)) block(scope, name);
+  }
+}
+lockDown(globalThis);
+for (let proto = Object.getPrototypeOf(globalThis); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+  lockDown(proto);
+  Object.freeze(proto);
+}
+
+const TRANSFORM_STRIDE = 6; // id, x, y, angle, vx, vy
+const STATS_INTERVAL = 30;  // frames between executor stats updates
+
+let W = 0;
+let H = 0;
+let world = null;
+let executor = null;
+let target = null;
+let eyeBody = null;
+let eyeFixture = null;
+let eyeRadius = 0;
+let voidBody = null;
+let hits = [];
+let consumed = 0;
+let frameCount = 0;
+const scheduledDestroys = [];
+const handles = new Map(); // creation id → executor handle
+const MAX_HANDLES = 50;    // older creations can no longer be despawned or paused
+
+// Registered object ↔ id bookkeeping for the host's proxies
+const ids = new Map();
+const byId = new Map();
+let nextId = 1;
+
+function init(width, height) {
+  W = width;
+  H = height;
+  world = createWorld(W, H);
+  executor = createExecutor(world, { W, H });
+  executor.setTargetProvider(() => target);
+
+  // Stand-in for The Crash's eye so sandboxed projectiles can still deal damage.
+  // Damage itself is applied on the main thread from the reported momentum.
+  eyeBody = world.createBody({ type: 'kinematic', position: new planck.Vec2(-1000, -1000) });
+  eyeBody.setUserData({ isCrash: true, isEye: true });
+  eyeBody.setActive(false);
+
+  // Stand-in for The Crash's void core. Proxies on the main thread are kinematic
+  // and never touch the real one, so consumption happens here.
+  voidBody = world.createBody({ type: 'kinematic', position: new planck.Vec2(-1000, -1000) });
+  voidBody.setUserData({ isCrash: true, isVoidCore: true });
+  voidBody.createFixture(new planck.Circle(VOID_BODY_RADIUS), { isSensor: true });
+  voidBody.setActive(false);
+
+  world.on('begin-contact', (contact) => {
+    const bA = contact.getFixtureA().getBody();
+    const bB = contact.getFixtureB().getBody();
+    if (bA === eyeBody) recordHit(bB);
+    else if (bB === eyeBody) recordHit(bA);
+    if (bA === voidBody) consume(bB);
+    else if (bB === voidBody) consume(bA);
+  });
+}
+
+// Same rules as theCrash.js: particles and static bodies are never consumed
+function consume(other) {
+  const ud = other.getUserData() || {};
+  if (ud.isEphemeral || ud.isConsumed || other.getType() === 'static') return;
+  // Marked first so the creation's updater sees it was consumed, not destroyed
+  ud.isConsumed = true;
+  other.setUserData(ud);
+  scheduledDestroys.push(other);
+  consumed++;
+}
+
+function updateVoid(core) {
+  voidBody.setActive(!!core);
+  if (core) voidBody.setTransform(new planck.Vec2(core.x, core.y), 0);
+}
+
+function recordHit(other) {
+  if (other.getType() === 'static') return;
+  const source = getObjects().find(o => o.body === other);
+  hits.push({ momentum: other.getLinearVelocity().length() * other.getMass(), label: source?.creationLabel });
+  // Bullets and particles are destroyed on eye contact, same as in theCrash.js
+  if (other.getUserData()?.isEphemeral) scheduledDestroys.push(other);
+}
+
+function updateEye(eye) {
+  if (!eye) {
+    eyeBody.setActive(false);
+    return;
+  }
+  if (eye.radius !== eyeRadius) {
+    if (eyeFixture) eyeBody.destroyFixture(eyeFixture);
+    eyeFixture = eyeBody.createFixture(new planck.Circle(eye.radius), { restitution: 0.8, friction: 0.1 });
+    eyeRadius = eye.radius;
+  }
+  eyeBody.setActive(true);
+  eyeBody.setTransform(new planck.Vec2(eye.x, eye.y), 0);
+}
+
+function destroyObject(obj) {
+  unregisterObject(obj);
+  try {
+    world.destroyBody(obj.body);
+  } catch (e) { /* Body may already be destroyed */ }
+}
+
+function runUpdaters() {
+  const updaters = executor.getUpdaters();
+  for (let i = updaters.length - 1; i >= 0; i--) {
+    try {
+      updaters[i].update();
+      if (updaters[i].error) post({ type: 'crash', label: updaters[i].stats.label, message: updaters[i].error });
+      if (updaters[i].dead) updaters.splice(i, 1);
+    } catch (e) {
+      console.warn('Sandboxed updater error, removing:', e);
+      updaters.splice(i, 1);
+    }
+  }
+}
+
+/**
+ * Plain-data copy of a registered object (everything but the body, plus its
+ * fixture outlines and normalized style) so it can cross the worker boundary
+ * and be drawn by the main-thread renderer.
+ */
+function describe(obj) {
+  const desc = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (typeof v === 'string' || typeof v === 'number' || typeof v === 'boolean') desc[k] = v;
+  }
+  desc.fixtures = fixtureOutlines(obj.body);
+  if (obj.style) desc.style = obj.style;
+  return desc;
+}
+
+function buildFrame() {
+  const objects = getObjects();
+  const live = new Set(objects);
+  const added = [];
+  const removed = [];
+
+  for (const [obj, id] of ids) {
+    if (!live.has(obj)) {
+      removed.push(id);
+      ids.delete(obj);
+      byId.delete(id);
+    }
+  }
+
+  const transforms = new Float64Array(objects.length * TRANSFORM_STRIDE);
+  let n = 0;
+  for (const obj of objects) {
+    let id = ids.get(obj);
+    if (id === undefined) {
+      id = nextId++;
+      ids.set(obj, id);
+      byId.set(id, obj);
+      added.push({ id, ...describe(obj) });
+    }
+    const p = obj.body.getPosition();
+    const v = obj.body.getLinearVelocity();
+    transforms.set([id, p.x, p.y, obj.body.getAngle(), v.x, v.y], n);
+    n += TRANSFORM_STRIDE;
+  }
+
+  const frame = { type: 'frame', added, removed, transforms, hits, consumed };
+  if (++frameCount % STATS_INTERVAL === 0) frame.stats = executor.getStats();
+  hits = [];
+  consumed = 0;
+  return frame;
+}
+
+function advance(msg) {
+  for (const id of msg.destroy) {
+    const obj = byId.get(id);
+    if (obj) destroyObject(obj);
+  }
+  target = msg.target;
+  updateEye(msg.eye);
+  updateVoid(msg.void);
+
+  runUpdaters();
+  world.step(1 / 60, 8, 3);
+
+  while (scheduledDestroys.length > 0) {
+    const body = scheduledDestroys.pop();
+    const obj = getObjects().find(o => o.body === body);
+    if (obj) destroyObject(obj);
+  }
+}
+
+// Start over with an empty world; the host drops the proxies with the next frame
+function reset() {
+  for (const handle of handles.values()) post({ type: 'destroyed', creationId: handle.id, reason: 'cleared' });
+  handles.clear();
+  const objects = getObjects();
+  for (let i = objects.length - 1; i >= 0; i--) unregisterObject(objects[i]);
+  scheduledDestroys.length = 0;
+  hits = [];
+  consumed = 0;
+  init(W, H);
+}
+
+// Always answers with a frame: the host waits for one before sending the next step
+function step(msg) {
+  try {
+    advance(msg);
+  } catch (e) {
+    // A creation left the world in a state planck can't step (it would throw every frame)
+    console.warn('Sandbox step failed, clearing the sandbox:', e);
+    reset();
+  }
+  const frame = buildFrame();
+  post(frame, [frame.transforms.buffer]);
+}
+
+function clear() {
+  executor.clearAll();
+  const objects = getObjects();
+  for (let i = objects.length - 1; i >= 0; i--) destroyObject(objects[i]);
+}
+
+listen('message', (e) => {
+  const msg = e.data;
+  switch (msg.type) {
+    case 'init':
+      init(msg.W, msg.H);
+      break;
+    case 'execute':
+      try {
+        const handle = executor.executeSync(msg.code, msg.spawnX, msg.spawnY, { label: msg.label, shared: msg.shared });
+        handles.set(handle.id, handle);
+        if (handles.size > MAX_HANDLES) handles.delete(handles.keys().next().value);
+        handle.onDestroyed((reason) => {
+          handles.delete(handle.id);
+          // Clears come from the host, which already knows
+          if (reason !== 'cleared') post({ type: 'destroyed', creationId: handle.id, reason });
+        });
+        post({ type: 'executed', requestId: msg.requestId, creationId: handle.id });
+      } catch (err) {
+        post({ type: 'error', requestId: msg.requestId, message: err.message });
+      }
+      break;
+    case 'simulate':
+      // Throwaway world with a private registry — never touches the live sandbox world
+      try {
+        post({
+          type: 'simulated',
+          requestId: msg.requestId,
+          report: simulateCode(msg.code, { W, H, spawnX: msg.spawnX, spawnY: msg.spawnY, target: msg.target }),
+        });
+      } catch (err) {
+        post({ type: 'error', requestId: msg.requestId, message: err.message });
+      }
+      break;
+    case 'despawn':
+      handles.get(msg.creationId)?.destroy();
+      break;
+    case 'pause':
+      handles.get(msg.creationId)?.pause();
+      break;
+    case 'resume':
+      handles.get(msg.creationId)?.resume();
+      break;
+    case 'step':
+      step(msg);
+      break;
+    case 'clear':
+      clear();
+      break;
+  }
+});
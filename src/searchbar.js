@@ -22,8 +22,10 @@ const PLACEHOLDER_SUGGESTIONS = [
  * When the user first drags it, input.js flips it to dynamic so gravity takes over.
  * Keyboard input anywhere on the page is captured and displayed inside the bar.
  * Pressing Enter resets to the default placeholder text.
+ * Pressing Escape while loading calls onCancel (e.g. to stop the generation in
+ * progress) and clears the bar like Enter does; otherwise it does nothing.
  */
-export function createSearchBar(world, x, y, onSubmit) {
+export function createSearchBar(world, x, y, onSubmit, onCancel) {
   // Store original position for victory restoration
   const originalX = x;
   const originalY = y;
@@ -138,6 +140,12 @@ export function createSearchBar(world, x, y, onSubmit) {
         onSubmit(obj.text, body);
       }
       obj.text = '';
+    } else if (e.key === 'Escape') {
+      // Only a request in flight can be cancelled
+      if (obj.loading && onCancel) {
+        onCancel();
+        obj.text = '';
+      }
     } else if (e.key === 'Backspace') {
       obj.text = obj.text.slice(0, -1);
     } else if (e.key.length === 1) {
@@ -0,0 +1,95 @@
+import planck from 'planck';
+
+/**
+ * Plain-data outlines of a body's fixtures, in body-local meters, so a body is
+ * drawn as it collides (every fixture, any shape) and can be rebuilt on the
+ * other side of the sandbox boundary. One entry per fixture:
+ *   { shape: 'circle', x, y, radius, color? }
+ *   { shape: 'polygon', vertices: [{x, y}], color? }
+ *   { shape: 'edge', vertices: [{x, y}, {x, y}], color? }
+ *   { shape: 'chain', vertices: [{x, y}], loop, color? }
+ * `color` comes from the fixture's userData ({ color }), for multi-coloured bodies.
+ */
+
+const outlineCache = new WeakMap(); // body → { head, count, outlines }
+
+function copy(v) {
+  return { x: v.x, y: v.y };
+}
+
+// Polygons and edges have no public vertex getters; their distance proxy does
+function proxyVertices(shape) {
+  const proxy = new planck.DistanceProxy();
+  shape.computeDistanceProxy(proxy, 0);
+  const vertices = [];
+  for (let i = 0; i < proxy.getVertexCount(); i++) vertices.push(copy(proxy.getVertex(i)));
+  return vertices;
+}
+
+function describeShape(shape) {
+  switch (shape.getType()) {
+    case 'circle': {
+      const c = shape.getCenter();
+      return { shape: 'circle', x: c.x, y: c.y, radius: shape.getRadius() };
+    }
+    case 'polygon':
+      return { shape: 'polygon', vertices: proxyVertices(shape) };
+    case 'edge':
+      return { shape: 'edge', vertices: proxyVertices(shape) };
+    case 'chain': {
+      // One edge per child; a loop's last edge closes back to the first vertex
+      const edges = shape.getChildCount();
+      const count = shape.isLoop() ? edges : edges + 1;
+      const vertices = [];
+      for (let i = 0; i < count; i++) vertices.push(copy(shape.getVertex(i)));
+      return { shape: 'chain', vertices, loop: shape.isLoop() };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Outlines of every fixture on the body (see above). Cached per body until
+ * its fixture list changes, since the renderer asks every frame.
+ * @param {planck.Body} body
+ * @returns {object[]}
+ */
+export function fixtureOutlines(body) {
+  const head = body.getFixtureList();
+  let count = 0;
+  for (let f = head; f; f = f.getNext()) count++;
+  const cached = outlineCache.get(body);
+  if (cached && cached.head === head && cached.count === count) return cached.outlines;
+
+  const outlines = [];
+  for (let f = head; f; f = f.getNext()) {
+    const outline = describeShape(f.getShape());
+    if (!outline) continue;
+    const color = f.getUserData()?.color;
+    if (typeof color === 'string') outline.color = color;
+    outlines.push(outline);
+  }
+  // Planck lists fixtures newest first; draw them in creation order
+  outlines.reverse();
+  outlineCache.set(body, { head, count, outlines });
+  return outlines;
+}
+
+/**
+ * Recreate fixtures from outlines (sandbox proxies, see sandboxHost.js).
+ * @param {planck.Body} body
+ * @param {object[]} outlines - As returned by fixtureOutlines()
+ * @param {object} [fixtureDef] - Shared fixture options (friction, ...)
+ */
+export function createFixtures(body, outlines, fixtureDef = {}) {
+  for (const o of outlines) {
+    const vertices = (o.vertices || []).map(v => new planck.Vec2(v.x, v.y));
+    let shape = null;
+    if (o.shape === 'circle' && o.radius > 0) shape = new planck.Circle(new planck.Vec2(o.x, o.y), o.radius);
+    else if (o.shape === 'polygon' && vertices.length >= 3) shape = new planck.Polygon(vertices);
+    else if (o.shape === 'edge' && vertices.length === 2) shape = new planck.Edge(vertices[0], vertices[1]);
+    else if (o.shape === 'chain' && vertices.length >= 2) shape = new planck.Chain(vertices, !!o.loop);
+    if (shape) body.createFixture(shape, { ...fixtureDef, userData: o.color ? { color: o.color } : null });
+  }
+}
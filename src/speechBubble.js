@@ -17,6 +17,8 @@
  * @param {'up'|'down'} [options.tailDirection='down'] - Tail points toward anchor
  * @param {boolean} [options.showClickIndicator=false] - Show "Click to continue" hint
  * @param {number} [options.maxLines=12] - Maximum lines to show before truncating
+ * @param {boolean} [options.streaming=false] - Live typing: show the END of long code
+ *   (earlier lines scroll off the top) with a cursor after the last character
  */
 export function drawSpeechBubble(ctx, options) {
   const {
@@ -28,6 +30,7 @@ export function drawSpeechBubble(ctx, options) {
     tailDirection = 'down',
     showClickIndicator = false,
     maxLines = 12,
+    streaming = false,
   } = options;
 
   // Auto-detect code
@@ -51,7 +54,22 @@ export function drawSpeechBubble(ctx, options) {
   let lines = [];
   const codeMaxLines = Math.min(maxLines, 8); // Code gets fewer lines
 
-  if (isCode) {
+  if (isCode && streaming) {
+    // Wrap everything, then keep the last lines so the newest code stays visible
+    const charsPerLine = 38;
+    const wrapped = [];
+    for (const line of text.split('\n')) {
+      for (let i = 0; i < line.length || i === 0; i += charsPerLine) {
+        wrapped.push(line.substring(i, i + charsPerLine));
+      }
+    }
+    if (wrapped.length > codeMaxLines - 1) {
+      lines = ['...', ...wrapped.slice(-(codeMaxLines - 1))];
+    } else {
+      lines = wrapped;
+    }
+    lines[lines.length - 1] += '\u258C'; // ▌ cursor
+  } else if (isCode) {
     const codeLines = text.split('\n');
     // If code is minified (single long line), wrap it
     if (codeLines.length === 1 && codeLines[0].length > 45) {
@@ -0,0 +1,65 @@
+/**
+ * Bundled sprite atlas for registered objects ({ sprite: 'crate' }, see
+ * styles.js). One SVG sheet of square cells, drawn stretched over the body's
+ * bounds and clipped to its fixtures, so no image files are fetched at runtime.
+ */
+
+const CELL = 64;
+
+// name → SVG markup for a 64×64 cell
+const CELLS = {
+  crate: `
+    <rect x="2" y="2" width="60" height="60" rx="3" fill="#b07a3e" stroke="#6b4420" stroke-width="4"/>
+    <rect x="10" y="10" width="44" height="44" fill="none" stroke="#6b4420" stroke-width="3"/>
+    <path d="M10 10 L54 54 M54 10 L10 54" stroke="#6b4420" stroke-width="5"/>`,
+  barrel: `
+    <rect x="8" y="2" width="48" height="60" rx="10" fill="#8e5a2b" stroke="#4a2e14" stroke-width="3"/>
+    <path d="M8 14 H56 M8 50 H56" stroke="#555" stroke-width="5"/>
+    <path d="M22 4 V60 M42 4 V60" stroke="#6d4420" stroke-width="2"/>`,
+  tire: `
+    <circle cx="32" cy="32" r="30" fill="#222"/>
+    <circle cx="32" cy="32" r="30" fill="none" stroke="#444" stroke-width="4" stroke-dasharray="6 5"/>
+    <circle cx="32" cy="32" r="14" fill="#999" stroke="#555" stroke-width="3"/>
+    <circle cx="32" cy="32" r="4" fill="#555"/>`,
+  steel: `
+    <rect x="1" y="1" width="62" height="62" rx="4" fill="#8a949e" stroke="#4d555c" stroke-width="2"/>
+    <path d="M4 20 L20 4 M4 44 L44 4 M20 60 L60 20" stroke="#b4bdc5" stroke-width="3"/>
+    <g fill="#5a636b"><circle cx="9" cy="9" r="3"/><circle cx="55" cy="9" r="3"/><circle cx="9" cy="55" r="3"/><circle cx="55" cy="55" r="3"/></g>`,
+  brick: `
+    <rect width="64" height="64" fill="#d9d2c5"/>
+    <g fill="#a8432f">
+      <rect x="1" y="1" width="30" height="14"/><rect x="33" y="1" width="30" height="14"/>
+      <rect x="-15" y="17" width="30" height="14"/><rect x="17" y="17" width="30" height="14"/><rect x="49" y="17" width="30" height="14"/>
+      <rect x="1" y="33" width="30" height="14"/><rect x="33" y="33" width="30" height="14"/>
+      <rect x="-15" y="49" width="30" height="14"/><rect x="17" y="49" width="30" height="14"/><rect x="49" y="49" width="30" height="14"/>
+    </g>`,
+  bomb: `
+    <circle cx="32" cy="36" r="26" fill="#2c2c2c"/>
+    <circle cx="24" cy="28" r="7" fill="#666"/>
+    <rect x="27" y="4" width="10" height="10" fill="#777"/>`,
+};
+
+export const SPRITE_NAMES = Object.keys(CELLS);
+
+let atlas = null; // { image, cells: name → { x, y, w, h } }
+
+/**
+ * The atlas image and cell rectangles, created on first use. Returns null
+ * outside the browser (headless runs) and until the image has loaded, so
+ * callers fall back to plain fills.
+ */
+export function getSpriteAtlas() {
+  if (!atlas) {
+    if (typeof Image === 'undefined') return null;
+    const cells = {};
+    const parts = SPRITE_NAMES.map((name, i) => {
+      cells[name] = { x: i * CELL, y: 0, w: CELL, h: CELL };
+      return `<svg x="${i * CELL}" width="${CELL}" height="${CELL}" overflow="hidden">${CELLS[name]}</svg>`;
+    });
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${CELL * parts.length}" height="${CELL}">${parts.join('')}</svg>`;
+    const image = new Image();
+    image.src = `data:image/svg+xml,${encodeURIComponent(svg)}`;
+    atlas = { image, cells };
+  }
+  return atlas.image.complete && atlas.image.naturalWidth > 0 ? atlas : null;
+}
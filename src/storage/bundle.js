@@ -0,0 +1,86 @@
+import { fnv1a } from '../hash.js';
+
+/**
+ * Cache bundle: a snapshot of cache entries in one JSON file, used to move a
+ * cache between backends and to ship one with the build for offline play
+ * (see bundleStore.js and scripts/cacheBundle.js).
+ *
+ *   { format: 'revenge-for-dino/cache-bundle', version: 1,
+ *     createdAt, source, promptVersion, count,
+ *     entries: { <key>: { hash, entry } } }
+ *
+ * `entry` is stored as is (see cache.js for its shapes); `hash` is the
+ * entryHash() of it, checked on load so a truncated or hand-edited entry is
+ * dropped instead of served.
+ */
+
+export const BUNDLE_FORMAT = 'revenge-for-dino/cache-bundle';
+export const BUNDLE_VERSION = 1;
+
+// JSON with object keys sorted, so equal entries hash equally whatever their key order
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Content hash of a cache entry.
+ * @param {string|object} entry
+ * @returns {string}
+ */
+export function entryHash(entry) {
+  return fnv1a(stableStringify(entry));
+}
+
+/**
+ * @param {object} entries - { key: entry }
+ * @param {object} [meta]
+ * @param {string} [meta.source] - Where the entries came from (e.g. a database URL)
+ * @param {string|null} [meta.promptVersion] - Prompt version of the exporting build
+ */
+export function createBundle(entries, { source = null, promptVersion = null } = {}) {
+  const bundled = {};
+  for (const [key, entry] of Object.entries(entries)) {
+    if (entry === null || entry === undefined) continue;
+    bundled[key] = { hash: entryHash(entry), entry };
+  }
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: Date.now(),
+    source,
+    promptVersion,
+    count: Object.keys(bundled).length,
+    entries: bundled,
+  };
+}
+
+/**
+ * Validate a parsed bundle and return its entries.
+ * @param {object} data
+ * @returns {{entries: object, skipped: string[], meta: object}} `skipped` lists keys
+ *   whose hash didn't match
+ * @throws {Error} if data isn't a bundle this version can read
+ */
+export function readBundle(data) {
+  if (data?.format !== BUNDLE_FORMAT) throw new Error('Not a cache bundle');
+  if (data.version > BUNDLE_VERSION) throw new Error(`Unsupported cache bundle version ${data.version}`);
+
+  const entries = {};
+  const skipped = [];
+  for (const [key, item] of Object.entries(data.entries || {})) {
+    if (item?.entry !== undefined && item.hash === entryHash(item.entry)) {
+      entries[key] = item.entry;
+    } else {
+      skipped.push(key);
+    }
+  }
+  const { createdAt = null, source = null, promptVersion = null } = data;
+  return { entries, skipped, meta: { createdAt, source, promptVersion } };
+}
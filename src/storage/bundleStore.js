@@ -0,0 +1,43 @@
+import { readBundle } from './bundle.js';
+
+/**
+ * Read-only tier serving a cache bundle shipped with the build (see bundle.js),
+ * so cached objects work offline and without an API key. The bundle is fetched
+ * once, on first use; a missing bundle is an empty tier.
+ * @param {object} opts
+ * @param {string} opts.url - Bundle URL
+ */
+export function createBundleStore({ url }) {
+  let loading = null;
+
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        const res = await fetch(url);
+        if (res.status === 404) return {};
+        if (!res.ok) throw new Error(`Fetching cache bundle failed: ${res.status}`);
+        let data;
+        try {
+          data = await res.json();
+        } catch (e) {
+          console.warn('[Storage] Cache bundle is not JSON, ignoring it:', url);
+          return {};
+        }
+        const { entries, skipped, meta } = readBundle(data);
+        if (skipped.length > 0) console.warn('[Storage] Cache bundle entries failed their hash check:', skipped);
+        console.log(`[Storage] Cache bundle: ${Object.keys(entries).length} entries from ${new Date(meta.createdAt).toISOString()}`);
+        return entries;
+      })();
+      // Let a failed load (e.g. offline) be retried on the next lookup
+      loading.catch(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  return {
+    name: 'bundle',
+    async get(key) { return (await load())[key] ?? null; },
+    async keys() { return Object.keys(await load()); },
+    async entries() { return { ...(await load()) }; },
+  };
+}
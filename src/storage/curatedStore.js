@@ -0,0 +1,13 @@
+import { CURATED_OBJECTS } from '../curatedCache.js';
+
+/**
+ * Read-only tier for the hand-picked objects bundled with the game.
+ */
+export function createCuratedStore(objects = CURATED_OBJECTS) {
+  return {
+    name: 'curated',
+    async get(key) { return objects[key] ?? null; },
+    async keys() { return Object.keys(objects); },
+    async entries() { return { ...objects }; },
+  };
+}
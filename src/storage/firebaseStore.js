@@ -0,0 +1,72 @@
+import { codeRefsOf, withCode } from './variants.js';
+
+/**
+ * Firebase Realtime DB tier, shared by all players.
+ *   cache/<key>          → entry (served; written only by scripts/moderate.js)
+ *   code/<hash>          → code shared by the variants with that codeHash (see codeHash.js)
+ *   pending/<key>/<id>   → submitted variant awaiting review
+ *   crashes/<key>/<id>   → runtime crash reports for a served variant
+ *   safety/<key>         → latest review of a submission (written only by scripts/moderate.js)
+ * Clients never replace entries: new variants are submitted for review
+ * (see src/moderation.js) and stats are incremented server-side, so
+ * concurrent players never overwrite each other. database.rules.json only
+ * lets stats of served variants grow, by a bounded step per write.
+ * @param {object} opts
+ * @param {string} opts.url - Database URL
+ */
+export function createFirebaseStore({ url }) {
+  // Firebase keys cannot contain . $ # [ ] /
+  function path(collection, key) {
+    return `${url}/${collection}/${key.replace(/[.$#\[\]/]/g, '_')}`;
+  }
+
+  async function request(target, method = 'GET', body) {
+    const res = await fetch(`${target}.json`, {
+      method,
+      ...(body !== undefined && {
+        body: JSON.stringify(body),
+        headers: { 'Content-Type': 'application/json' },
+      }),
+    });
+    if (!res.ok) throw new Error(`Firebase ${method} failed: ${res.status}`);
+    return res.json();
+  }
+
+  // Firebase server-side increment
+  const increment = n => ({ '.sv': { increment: n } });
+
+  return {
+    name: 'firebase',
+    async get(key) {
+      const entry = await request(path('cache', key));
+      const refs = codeRefsOf(entry);
+      if (refs.length === 0) return entry;
+      const codes = await Promise.all(refs.map(hash => request(`${url}/code/${hash}`)));
+      return withCode(entry, Object.fromEntries(refs.map((hash, i) => [hash, codes[i]])));
+    },
+    async keys() {
+      // Shallow query: keys only, the code isn't downloaded
+      const res = await fetch(`${url}/cache.json?shallow=true`);
+      if (!res.ok) throw new Error(`Firebase GET failed: ${res.status}`);
+      const data = await res.json();
+      return data && typeof data === 'object' ? Object.keys(data) : [];
+    },
+    async entries() {
+      const [data, codes] = await Promise.all([request(`${url}/cache`), request(`${url}/code`)]);
+      if (!data || typeof data !== 'object') return {};
+      return Object.fromEntries(Object.entries(data).map(([key, entry]) => [key, withCode(entry, codes || {})]));
+    },
+    async addVariant(key, id, record) {
+      await request(`${path('pending', key)}/${id}`, 'PUT', record);
+    },
+    async addStats(key, id, deltas) {
+      // The rules reject writes that don't increase a counter
+      const changes = Object.fromEntries(Object.entries(deltas).filter(([, n]) => n > 0).map(([field, n]) => [field, increment(n)]));
+      if (Object.keys(changes).length === 0) return;
+      await request(`${path('cache', key)}/variants/${id}/stats`, 'PATCH', changes);
+    },
+    async reportCrash(key, id, report) {
+      // POST appends under a generated child key, so reports never collide
+      await request(`${path('crashes', key)}/${id}`, 'POST', report);
+    },  };
+}
@@ -0,0 +1,82 @@
+import { withVariant, withVariantStats, withVariantPatch } from './variants.js';
+
+const DB_VERSION = 1;
+
+/**
+ * Per-browser tier that survives reloads and works offline.
+ * @param {object} [opts]
+ * @param {string} [opts.dbName]
+ * @param {string} [opts.storeName]
+ */
+export function createIndexedDbStore({ dbName = 'revenge-for-dino', storeName = 'objects' } = {}) {
+  let dbPromise = null;
+
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(dbName, DB_VERSION);
+        req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run fn(objectStore) in a transaction; resolves with the result of the
+  // request fn returns (if any) once the transaction has completed
+  async function transact(mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Read-modify-write of one entry in a single transaction; fn returning false skips the write
+  function update(key, fn) {
+    return transact('readwrite', (store) => {
+      const req = store.get(key);
+      req.onsuccess = () => {
+        const entry = fn(req.result);
+        if (entry !== false) store.put(entry, key);
+      };
+    });
+  }
+
+  return {
+    name: 'indexedDB',
+    async get(key) {
+      return (await transact('readonly', store => store.get(key))) ?? null;
+    },
+    async set(key, entry) {
+      await transact('readwrite', store => store.put(entry, key));
+    },
+    async keys() {
+      return (await transact('readonly', store => store.getAllKeys())).map(String);
+    },
+    async entries() {
+      // Same transaction, both in key order, so the two lists line up
+      let keys = [];
+      const values = await transact('readonly', (store) => {
+        const keyReq = store.getAllKeys();
+        keyReq.onsuccess = () => { keys = keyReq.result; };
+        return store.getAll();
+      });
+      return Object.fromEntries(keys.map((k, i) => [String(k), values[i]]));
+    },
+    async addVariant(key, id, record) {
+      await update(key, entry => withVariant(entry, id, record));
+    },
+    async addStats(key, id, deltas) {
+      await update(key, entry => entry !== undefined && withVariantStats(entry, id, deltas));
+    },
+    async reportCrash(key, id) {
+      // This browser stops serving it; the shared tiers decide for everyone else
+      await update(key, entry => entry !== undefined && withVariantPatch(entry, id, { quarantined: true }));
+    },
+  };
+}
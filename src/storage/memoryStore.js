@@ -0,0 +1,25 @@
+import { withVariant, withVariantStats, withVariantPatch } from './variants.js';
+
+/**
+ * Page-lifetime tier: repeat lookups skip IndexedDB and the network.
+ */
+export function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    async get(key) { return entries.get(key) ?? null; },
+    async set(key, entry) { entries.set(key, entry); },
+    async keys() { return [...entries.keys()]; },
+    async entries() { return Object.fromEntries(entries); },
+    async addVariant(key, id, record) {
+      entries.set(key, withVariant(entries.get(key), id, record));
+    },
+    async addStats(key, id, deltas) {
+      if (entries.has(key)) entries.set(key, withVariantStats(entries.get(key), id, deltas));
+    },
+    async reportCrash(key, id) {
+      if (entries.has(key)) entries.set(key, withVariantPatch(entries.get(key), id, { quarantined: true }));
+    },
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Generic REST tier, implemented by server/cacheServer.js:
+ *   GET  /cache              → { key: entry }
+ *   GET  /keys               → [key]
+ *   GET  /cache/<key>        → entry (404 if missing)
+ *   GET  /code/<hash>        → code string (entries come with their code filled in)
+ *   PUT  /pending/<key>/<id>                variant record, submitted for review
+ *                                           → { status: 'live' | 'rejected' | 'duplicate', reason }
+ *   POST /cache/<key>/variants/<id>/stats   { runs?, failures?, totalDamage?, earlyExits? } — added
+ *                                           (each at most src/moderation.js STAT_STEPS)
+ *   POST /cache/<key>/variants/<id>/crashes { message, at } → { crashes, quarantined }
+ *   PUT  /reports/<key>        safety report (admin token, not sent by clients; reviews record their own)
+ *   PUT  /aliases/<key>        { key } — also serve that key's variants under this one (admin token)
+ * Keys are URI-encoded. Entries are never replaced by clients; see src/moderation.js.
+ * @param {object} opts
+ * @param {string} opts.baseUrl
+ */
+export function createRestStore({ baseUrl }) {
+  async function request(path, method = 'GET', body) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      ...(body !== undefined && {
+        body: JSON.stringify(body),
+        headers: { 'Content-Type': 'application/json' },
+      }),
+    });
+    if (method === 'GET' && res.status === 404) return null;
+    if (!res.ok) throw new Error(`Cache server ${method} ${path} failed: ${res.status}`);
+    return res.status === 204 ? null : res.json();
+  }
+
+  const item = key => `/cache/${encodeURIComponent(key)}`;
+
+  return {
+    name: 'rest',
+    get(key) {
+      return request(item(key));
+    },
+    async keys() {
+      return (await request('/keys')) || [];
+    },
+    async entries() {
+      return (await request('/cache')) || {};
+    },
+    async addVariant(key, id, record) {
+      const result = await request(`/pending/${encodeURIComponent(key)}/${encodeURIComponent(id)}`, 'PUT', record);
+      if (result?.status === 'rejected') console.warn(`[Storage] ${key}#${id} rejected by review:`, result.reason);
+    },
+    async addStats(key, id, deltas) {
+      await request(`${item(key)}/variants/${encodeURIComponent(id)}/stats`, 'POST', deltas);
+    },
+    async reportCrash(key, id, report) {
+      await request(`${item(key)}/variants/${encodeURIComponent(id)}/crashes`, 'POST', report);
+    },
+  };
+}
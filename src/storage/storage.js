@@ -0,0 +1,56 @@
+import { createCuratedStore } from './curatedStore.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createIndexedDbStore } from './indexedDbStore.js';
+import { createBundleStore } from './bundleStore.js';
+import { createFirebaseStore } from './firebaseStore.js';
+import { createRestStore } from './restStore.js';
+
+export { createTieredStore } from './tieredStore.js';
+
+/**
+ * Cache storage tiers.
+ *
+ * Every store has the same shape (all methods async, errors are thrown):
+ *   name: string
+ *   get(key) → entry | null
+ *   keys() → string[]
+ *   entries() → { key: entry }
+ * Local stores (memory, IndexedDB) also have:
+ *   set(key, entry) — used to backfill them from slower tiers
+ * Writable stores have:
+ *   addVariant(key, id, record) — add one variant to the key's set, keeping the others.
+ *     Shared stores queue it for review instead (see moderation.js)
+ *   addStats(key, id, { runs?, failures?, totalDamage?, earlyExits? }) — add to a variant's counters
+ *   reportCrash(key, id, { message, at }) — the variant threw at runtime. Local
+ *     stores quarantine it at once; shared stores count reports
+ *
+ * Entries are variant sets (see cache.js); apart from the variant helpers in
+ * variants.js, stores treat them as opaque.
+ */
+
+/**
+ * Read storage config from env vars (see README).
+ * @param {object} [env] - Defaults to Vite's import.meta.env
+ */
+export function loadStorageConfig(env = import.meta.env) {
+  return {
+    indexedDb: env.VITE_CACHE_INDEXEDDB !== '0' && typeof indexedDB !== 'undefined',
+    firebaseUrl: env.VITE_FIREBASE_DB_URL || '',
+    restUrl: env.VITE_CACHE_URL || '',
+    // Shipped from public/ by default; "0" turns it off
+    bundleUrl: env.VITE_CACHE_BUNDLE === '0' ? '' : env.VITE_CACHE_BUNDLE || `${env.BASE_URL || '/'}cache-bundle.json`,
+  };
+}
+
+/**
+ * Tiers in lookup order: curated → memory → IndexedDB → bundle → remote (Firebase, then REST).
+ * @param {object} config - From loadStorageConfig()
+ */
+export function createStores(config) {
+  const tiers = [createCuratedStore(), createMemoryStore()];
+  if (config.indexedDb) tiers.push(createIndexedDbStore());
+  if (config.bundleUrl) tiers.push(createBundleStore({ url: config.bundleUrl }));
+  if (config.firebaseUrl) tiers.push(createFirebaseStore({ url: config.firebaseUrl }));
+  if (config.restUrl) tiers.push(createRestStore({ baseUrl: config.restUrl }));
+  return tiers;
+}
@@ -0,0 +1,76 @@
+/**
+ * Ordered list of stores (fastest first) behaving as one:
+ *   get   — first tier with an accepted entry wins; faster tiers that missed
+ *           are backfilled with it
+ *   set — written through to every local tier
+ *   addVariant / stats / crashes / reports — sent to every tier that supports them
+ * A failing tier (offline, quota, private browsing) is logged and skipped.
+ * @param {object[]} tiers - Stores, see storage.js
+ */
+export function createTieredStore(tiers) {
+  const writable = tiers.filter(t => t.set);
+
+  function warn(tier, op, e) {
+    console.warn(`[Storage] ${tier.name} ${op} failed:`, e.message);
+  }
+
+  // Run op on each tier that has it, without letting one failure stop the others
+  function each(list, op, ...args) {
+    return Promise.all(list.filter(t => t[op]).map(t => t[op](...args).catch(e => warn(t, op, e))));
+  }
+
+  return {
+    tiers,
+
+    /**
+     * @param {string} key
+     * @param {Function} [accept] - (entry, tierName) → boolean; rejected entries are
+     *   treated as misses, so a stale fast tier falls through to a fresher slow one
+     * @returns {Promise<{entry: any, tier: string}|null>}
+     */
+    async get(key, accept = () => true) {
+      for (let i = 0; i < tiers.length; i++) {
+        const tier = tiers[i];
+        let entry;
+        try {
+          entry = await tier.get(key);
+        } catch (e) {
+          warn(tier, 'get', e);
+          continue;
+        }
+        if (entry === null || entry === undefined || !accept(entry, tier.name)) continue;
+        each(writable.filter(t => tiers.indexOf(t) < i), 'set', key, entry);
+        return { entry, tier: tier.name };
+      }
+      return null;
+    },
+
+    set(key, entry) {
+      return each(writable, 'set', key, entry);
+    },
+
+    /** Union of the keys of all tiers */
+    async keys() {
+      const lists = await each(tiers, 'keys');
+      return [...new Set(lists.flatMap(list => list || []))];
+    },
+
+    /** All entries; earlier tiers win */
+    async entries() {
+      const all = await each(tiers, 'entries');
+      return Object.assign({}, ...all.reverse().map(e => e || {}));
+    },
+
+    addVariant(key, id, record) {
+      return each(tiers, 'addVariant', key, id, record);
+    },
+
+    addStats(key, id, deltas) {
+      return each(tiers, 'addStats', key, id, deltas);
+    },
+
+    reportCrash(key, id, report) {
+      return each(tiers, 'reportCrash', key, id, report);
+    },
+  };
+}
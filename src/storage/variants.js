@@ -0,0 +1,73 @@
+/**
+ * Variant-set updates for stores that can't write nested paths server-side
+ * (memory, IndexedDB). Entry shapes are described in cache.js; an older
+ * single-code entry is kept as variant "v0".
+ */
+
+function variantsOf(entry) {
+  if (entry && typeof entry === 'object' && entry.variants) return { ...entry.variants };
+  return entry ? { v0: entry } : {};
+}
+
+/**
+ * @param {string|object|null} entry
+ * @param {string} id
+ * @param {object} record
+ */
+export function withVariant(entry, id, record) {
+  return { variants: { ...variantsOf(entry), [id]: record } };
+}
+
+/**
+ * Entry with stat deltas added to one variant. Unknown variants, and legacy
+ * code strings (no stats), are left unchanged.
+ * @param {string|object|null} entry
+ * @param {string} id
+ * @param {{runs?: number, failures?: number, totalDamage?: number, earlyExits?: number}} deltas
+ */
+export function withVariantStats(entry, id, deltas) {
+  const variants = variantsOf(entry);
+  const variant = variants[id];
+  if (!variant || typeof variant !== 'object') return entry;
+  const stats = { ...variant.stats };
+  for (const [field, n] of Object.entries(deltas)) stats[field] = (stats[field] || 0) + n;
+  return { variants: { ...variants, [id]: { ...variant, stats } } };
+}
+
+/**
+ * Entry with fields merged into one variant (e.g. a local quarantine flag).
+ * Unknown variants are left unchanged.
+ * @param {string|object|null} entry
+ * @param {string} id
+ * @param {object} patch
+ */
+export function withVariantPatch(entry, id, patch) {
+  const variants = variantsOf(entry);
+  const variant = variants[id];
+  if (!variant || typeof variant !== 'object') return entry;
+  return { variants: { ...variants, [id]: { ...variant, ...patch } } };
+}
+
+/**
+ * Code hashes (see codeHash.js) of the variants stored by reference, without their code.
+ * @param {string|object|null} entry
+ * @returns {string[]}
+ */
+export function codeRefsOf(entry) {
+  const variants = Object.values(variantsOf(entry));
+  return [...new Set(variants.filter(v => v?.codeHash && typeof v.code !== 'string').map(v => v.codeHash))];
+}
+
+/**
+ * Entry with the code of variants stored by reference filled in.
+ * Variants whose code is missing are left without it (and are skipped on read).
+ * @param {string|object|null} entry
+ * @param {object} codes - { codeHash: code }
+ */
+export function withCode(entry, codes) {
+  if (!entry?.variants) return entry;
+  const variants = Object.fromEntries(Object.entries(entry.variants).map(([id, v]) => (
+    [id, v?.codeHash && typeof v.code !== 'string' && typeof codes[v.codeHash] === 'string' ? { ...v, code: codes[v.codeHash] } : v]
+  )));
+  return { ...entry, variants };
+}
@@ -0,0 +1,105 @@
+import { SPRITE_NAMES } from './sprites.js';
+
+/**
+ * Optional style fields generated code may pass to registerObject next to
+ * `color` (see renderer.js for drawing, gemini.js for the prompt):
+ *   gradient    — ['#top', '#bottom'] or { colors, type: 'linear'|'radial', angle }
+ *                 (angle in radians, default top to bottom)
+ *   stroke      — outline color; strokeWidth in pixels (default 2)
+ *   glyph       — emoji or short text drawn on the body; glyphColor
+ *   pattern     — 'stripes', 'rivets' or 'wood', over the fill; patternColor
+ *   sprite      — image from the bundled atlas (see sprites.js)
+ *
+ * normalizeStyle() turns those into one plain-data `style` object the renderer
+ * trusts and the sandbox can post across. Anything it doesn't understand is
+ * dropped with a warning, and the body is drawn with its plain color instead.
+ */
+
+export const PATTERNS = ['stripes', 'rivets', 'wood'];
+export const GRADIENT_TYPES = ['linear', 'radial'];
+
+const MAX_GRADIENT_STOPS = 6;
+const MAX_GLYPH_LENGTH = 4;   // code units: a couple of emoji
+const MAX_STROKE_WIDTH = 12;
+const STYLE_KEYS = ['gradient', 'stroke', 'strokeWidth', 'glyph', 'glyphColor', 'pattern', 'patternColor', 'sprite'];
+
+const warned = new Set();
+
+function warnOnce(message) {
+  if (warned.has(message)) return;
+  warned.add(message);
+  console.warn(`[Style] ${message}`);
+}
+
+// Canvas rejects bad colors inconsistently (fillStyle ignores them, gradient
+// stops throw), so only pass on short strings and let the renderer guard stops
+function isColor(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= 64;
+}
+
+function normalizeGradient(value) {
+  const spec = Array.isArray(value) ? { colors: value } : value;
+  if (!spec || typeof spec !== 'object' || !Array.isArray(spec.colors)) {
+    warnOnce('gradient must be a color array or { colors, type, angle }');
+    return null;
+  }
+  const colors = spec.colors.filter(isColor).slice(0, MAX_GRADIENT_STOPS);
+  if (colors.length < 2) {
+    warnOnce('gradient needs at least two colors');
+    return null;
+  }
+  const type = spec.type ?? 'linear';
+  if (!GRADIENT_TYPES.includes(type)) {
+    warnOnce(`unknown gradient type "${type}", using linear`);
+  }
+  const gradient = { type: GRADIENT_TYPES.includes(type) ? type : 'linear', colors };
+  if (gradient.type === 'linear') gradient.angle = Number.isFinite(spec.angle) ? spec.angle : Math.PI / 2;
+  return gradient;
+}
+
+/**
+ * Pick the style fields off a registered object.
+ * @param {object} obj - As passed to registerObject
+ * @returns {object|null} null when the object has no usable style fields
+ */
+export function normalizeStyle(obj) {
+  if (!STYLE_KEYS.some(key => obj[key] != null)) return null;
+  const style = {};
+
+  if (obj.gradient != null) {
+    const gradient = normalizeGradient(obj.gradient);
+    if (gradient) style.gradient = gradient;
+  }
+  if (obj.stroke != null) {
+    if (isColor(obj.stroke)) {
+      style.stroke = obj.stroke;
+      const width = Number(obj.strokeWidth);
+      style.strokeWidth = Number.isFinite(width) && width > 0 ? Math.min(width, MAX_STROKE_WIDTH) : 2;
+    } else {
+      warnOnce('stroke must be a color string');
+    }
+  }
+  if (obj.glyph != null) {
+    const glyph = String(obj.glyph).trim();
+    if (glyph && glyph.length <= MAX_GLYPH_LENGTH) {
+      style.glyph = glyph;
+      if (isColor(obj.glyphColor)) style.glyphColor = obj.glyphColor;
+    } else {
+      warnOnce(`glyph must be 1-${MAX_GLYPH_LENGTH} characters (an emoji or a letter)`);
+    }
+  }
+  if (obj.pattern != null) {
+    if (PATTERNS.includes(obj.pattern)) {
+      style.pattern = obj.pattern;
+      if (isColor(obj.patternColor)) style.patternColor = obj.patternColor;
+    } else {
+      warnOnce(`unknown pattern "${obj.pattern}" (have ${PATTERNS.join(', ')})`);
+    }
+  }
+  if (obj.sprite != null) {
+    if (SPRITE_NAMES.includes(obj.sprite)) style.sprite = obj.sprite;
+    else warnOnce(`unknown sprite "${obj.sprite}" (have ${SPRITE_NAMES.join(', ')})`);
+  }
+
+  return Object.keys(style).length ? style : null;
+}
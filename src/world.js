@@ -2,14 +2,13 @@ import planck from 'planck';
 import { SCALE, WALL_THICKNESS, CAT_WALL } from './constants.js';
 
 /**
- * Create the Box2D world with gravity and four rigid boundary walls
- * sized to the current window dimensions.
+ * Create the Box2D world with gravity and four rigid boundary walls.
+ * Walls are sized to the current window dimensions unless W/H (meters) are given,
+ * e.g. from the sandbox worker where there is no window.
  */
-export function createWorld() {
+export function createWorld(W = window.innerWidth / SCALE, H = window.innerHeight / SCALE) {
   const world = new planck.World({ gravity: new planck.Vec2(0, 40) });
 
-  const W = window.innerWidth / SCALE;
-  const H = window.innerHeight / SCALE;
   const t = WALL_THICKNESS;
 
   const wallDefs = [